@@ -0,0 +1,87 @@
+import { parseArgs } from 'util';
+import { BotClient } from './bots/BotClient.js';
+
+// Lancer des bots contre un serveur : remplir une salle ou tester la charge
+// node bots.js --count 8 --room ABCD --start
+const { values: options } = parseArgs({
+  options: {
+    count: { type: 'string', short: 'n', default: '4' },
+    url: { type: 'string', default: process.env.BOT_URL || 'ws://localhost:3000' },
+    room: { type: 'string', short: 'r' },
+    skill: { type: 'string', default: '0.8' },
+    start: { type: 'boolean', default: false },
+    duration: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+});
+
+if (options.help) {
+  console.log(`Usage: node bots.js [options]
+  -n, --count <n>     Number of bots (default 4)
+      --url <url>     Server WebSocket URL (default ws://localhost:3000, env BOT_URL)
+  -r, --room <code>   Room to join, "new" to create one (default: the server's default room)
+      --skill <0-1>   Share of the top speed the bots aim for (default 0.8)
+      --start         Start the race when a bot is the host of a room in the lobby
+      --duration <s>  Disconnect the bots after this many seconds
+  -q, --quiet         Only print the periodic summary`);
+  process.exit(0);
+}
+
+const COUNT = Math.max(1, parseInt(options.count, 10) || 1);
+const SKILL = Number(options.skill) || 0.8;
+const SPAWN_INTERVAL = 100; // ms entre deux connexions, pour ne pas tout ouvrir d'un coup
+
+const bots = [];
+let room = options.room;
+
+for (let i = 0; i < COUNT; i++) {
+  const bot = new BotClient({
+    url: options.url,
+    room,
+    name: `Bot ${i + 1}`,
+    // Niveaux un peu différents pour que les bots ne roulent pas en file indienne
+    skill: SKILL + (Math.random() * 2 - 1) * 0.1,
+    autoStart: options.start,
+    log: options.quiet ? () => {} : undefined,
+    onClose: () => {
+      if (bots.every((other) => other.socket.readyState === other.socket.CLOSED)) {
+        console.log('All bots disconnected');
+        process.exit(0);
+      }
+    }
+  });
+  bots.push(bot);
+
+  try {
+    await bot.connect();
+  } catch (e) {
+    console.error(`Bot ${i + 1} could not connect: ${e.message}`);
+    process.exit(1);
+  }
+
+  // Une salle créée par le premier bot ("new") est rejointe par les suivants
+  room = bot.roomCode;
+  await new Promise((resolve) => setTimeout(resolve, SPAWN_INTERVAL));
+}
+
+console.log(`${COUNT} bots in room ${room}`);
+
+// Résumé périodique
+setInterval(() => {
+  const connected = bots.filter((bot) => bot.socket.readyState === bot.socket.OPEN);
+  const pings = connected.filter((bot) => bot.rtt !== null).map((bot) => bot.rtt);
+  const averagePing = pings.length > 0 ? pings.reduce((a, b) => a + b, 0) / pings.length : 0;
+  const phase = connected[0]?.race?.phase ?? '-';
+  console.log(`${connected.length}/${COUNT} connected | room ${room} | ${phase} | avg ping ${Math.round(averagePing)}ms`);
+}, 10000);
+
+const stopAll = () => {
+  bots.forEach((bot) => bot.stop());
+  setTimeout(() => process.exit(0), 500);
+};
+
+if (options.duration) {
+  setTimeout(stopAll, Number(options.duration) * 1000);
+}
+process.on('SIGINT', stopAll);
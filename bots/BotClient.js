@@ -0,0 +1,307 @@
+import WebSocket from 'ws';
+import { TrackLayout } from '../src/shared/TrackLayout.js';
+import { CAR_PHYSICS, MAX_CURVATURE, createCarState, stepCar, simulateInputs, clamp, shortestAngle } from '../src/shared/CarPhysics.js';
+import { RacePhase } from '../src/shared/RacePhase.js';
+import { encodeMessage, decodeMessage, quantizeFrame } from '../src/shared/Protocol.js';
+
+// Frames envoyées au plus par lot (voir MAX_INPUT_FRAMES côté serveur)
+const MAX_BATCH_FRAMES = 30;
+
+const CORNER_MARGIN = 0.8; // < 1 : la largeur de la piste permet de couper les virages de la ligne centrale
+const CURVE_SPAN = 3; // Points de la ligne centrale par tronçon pour mesurer la courbure
+
+/**
+ * BotClient - Joueur automatique qui se connecte au serveur comme un navigateur
+ * Même circuit (TrackLayout depuis la graine de la course), même physique (stepCar) et même trafic
+ * qu'un vrai client : lots d'entrées à 20Hz, pings, prédiction réconciliée avec les instantanés.
+ * Le serveur simule la voiture et valide checkpoints et tours à partir de ces entrées.
+ */
+export class BotClient {
+  constructor(options = {}) {
+    this.url = options.url || 'ws://localhost:3000';
+    this.room = options.room || null; // Code de salle, 'new' pour en créer une
+    this.name = options.name || 'Bot';
+    this.color = options.color ?? Math.floor(Math.random() * 0xffffff);
+    this.skill = clamp(options.skill ?? 0.8, 0.1, 1); // Part de la vitesse max visée
+    this.autoStart = !!options.autoStart; // Lancer la course quand le bot est hôte dans le lobby
+    this.startDelay = options.startDelay ?? 5000; // ms d'attente dans le lobby avant de lancer
+    this.stepRate = options.stepRate ?? 30; // Pas de physique par seconde
+    this.log = options.log || ((...args) => console.log(`[${this.name}]`, ...args));
+    this.onClose = options.onClose || null;
+
+    this.socket = null;
+    this.id = null;
+    this.roomCode = null;
+    this.isHost = false;
+    this.race = null; // Dernier état de course reçu
+    this.layout = null;
+    this.car = null; // État prédit de notre voiture
+
+    // Entrées : frames pas encore acquittées (réconciliation) et frames du prochain lot
+    this.inputSeq = 0;
+    this.pendingInputs = [];
+    this.outgoing = [];
+    this.lastSentAt = 0;
+    this.lastStepAt = 0;
+
+    this.rtt = null; // ms, lissé
+    this.laps = 0;
+    this.timers = [];
+    this.startTimer = null;
+  }
+
+  /**
+   * Se connecter au serveur
+   * @returns {Promise} résolue au message de bienvenue
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const url = this.room ? `${this.url}/?room=${encodeURIComponent(this.room)}` : this.url;
+      const socket = new WebSocket(url);
+      this.socket = socket;
+      let welcomed = false;
+
+      socket.on('message', (data, isBinary) => {
+        let msg;
+        try {
+          msg = decodeMessage(isBinary ? data : data.toString());
+        } catch (e) {
+          this.log('Unreadable message:', e.message);
+          return;
+        }
+        this._handleMessage(msg);
+        if (msg.type === 'welcome' && !welcomed) {
+          welcomed = true;
+          resolve(msg);
+        }
+      });
+
+      socket.on('error', (err) => {
+        if (!welcomed) reject(err);
+      });
+
+      socket.on('close', (code, reason) => {
+        this._stopTimers();
+        if (code === 1008) {
+          this.log('Kicked by the server:', reason.toString());
+        }
+        if (!welcomed) reject(new Error(`Connection closed (${code})`));
+        if (this.onClose) this.onClose(this, code);
+      });
+    });
+  }
+
+  /**
+   * Quitter la partie
+   */
+  stop() {
+    this._stopTimers();
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+
+  /**
+   * Envoyer un message au serveur (binaire pour les entrées, JSON pour le reste)
+   */
+  send(message) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(encodeMessage(message));
+    }
+  }
+
+  // Router les messages du serveur
+  _handleMessage(msg) {
+    switch (msg.type) {
+      case 'welcome':
+        this.id = msg.id;
+        this.roomCode = msg.roomCode;
+        this.isHost = msg.isHost;
+        this._setRace(msg.race);
+        this.send({ type: 'player_info', name: this.name, color: this.color });
+        this._startTimers();
+        this.log(`Joined room ${msg.roomCode} as player ${msg.id}${msg.isHost ? ' (host)' : ''}`);
+        this._scheduleStart();
+        break;
+      case 'you_are_host':
+        this.isHost = true;
+        this._scheduleStart();
+        break;
+      case 'race_phase':
+        this._setRace(msg);
+        break;
+      case 'snapshot':
+        this._reconcile(msg.states.find((state) => state.sender === this.id));
+        break;
+      case 'lap_complete':
+        if (msg.sender === this.id) {
+          this.laps = msg.lap;
+          this.log(`Lap ${msg.lap} in ${(msg.lapTime / 1000).toFixed(2)}s`);
+        }
+        break;
+      case 'pong': {
+        const rtt = Date.now() - msg.clientTime;
+        this.rtt = this.rtt === null ? rtt : this.rtt + (rtt - this.rtt) * 0.2;
+        break;
+      }
+      case 'error':
+        this.log('Server error:', msg.message);
+        break;
+    }
+  }
+
+  // Nouvel état de course : circuit de la course, lancement automatique, résultats
+  _setRace(race) {
+    const previousPhase = this.race?.phase;
+    this.race = race;
+
+    if (race.trackSeed !== null && race.trackSeed !== undefined && race.trackSeed !== this.layout?.seed) {
+      this.layout = race.trackDefinition
+        ? TrackLayout.fromDefinition(race.trackDefinition)
+        : new TrackLayout(race.trackSeed, null, race.trackGenerator);
+    }
+
+    if (race.phase === RacePhase.COUNTDOWN && previousPhase !== RacePhase.COUNTDOWN) {
+      // Le serveur remet les voitures sur la grille, le prochain instantané donne notre place
+      this.car = null;
+      this.pendingInputs = [];
+      this.laps = 0;
+    }
+
+    if (race.phase === RacePhase.RESULTS && previousPhase !== RacePhase.RESULTS) {
+      const standing = race.standings.find((entry) => entry.id === this.id);
+      if (standing) {
+        this.log(`Finished P${standing.position}${standing.finished ? '' : ' (did not finish)'}`);
+      }
+    }
+
+    this._scheduleStart();
+  }
+
+  // Lancer la course après un délai quand on est l'hôte d'un lobby (salles remplies de bots)
+  _scheduleStart() {
+    if (!this.autoStart || !this.isHost || this.race?.phase !== RacePhase.LOBBY || this.startTimer) return;
+    this.startTimer = setTimeout(() => {
+      this.startTimer = null;
+      if (this.isHost && this.race?.phase === RacePhase.LOBBY) {
+        this.log('Starting the race');
+        this.send({ type: 'start_game' });
+      }
+    }, this.startDelay);
+  }
+
+  // Pas de physique, envoi des lots à 20Hz et pings chaque seconde, comme NetworkClient
+  _startTimers() {
+    this._stopTimers();
+    this.lastStepAt = Date.now();
+    this.timers.push(setInterval(() => this._step(), 1000 / this.stepRate));
+    this.timers.push(setInterval(() => this._sendInputs(), 50));
+    this.timers.push(setInterval(() => this.send({ type: 'ping', id: 0, clientTime: Date.now() }), 1000));
+  }
+
+  _stopTimers() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+    clearTimeout(this.startTimer);
+    this.startTimer = null;
+  }
+
+  // Avancer la voiture prédite d'un pas (temps réel écoulé) et garder la frame pour le serveur
+  _step() {
+    const now = Date.now();
+    const dt = Math.min((now - this.lastStepAt) / 1000, CAR_PHYSICS.maxStepDt);
+    this.lastStepAt = now;
+
+    const racing = this.race?.phase === RacePhase.RACING
+      && this.race.racers.some((racer) => racer.id === this.id);
+    if (!racing || !this.car || !this.layout || dt <= 0) return;
+
+    const frame = quantizeFrame({ seq: ++this.inputSeq, dt, ...this._drive() });
+    this.car = stepCar(this.car, frame, frame.dt, this.layout);
+    this.pendingInputs.push(frame);
+    this.outgoing.push(frame);
+  }
+
+  // Envoyer le lot de frames (un lot vide par seconde pour rester actif)
+  _sendInputs() {
+    const now = Date.now();
+    if (this.outgoing.length === 0 && now - this.lastSentAt < 1000) return;
+    this.send({ type: 'input', frames: this.outgoing.slice(-MAX_BATCH_FRAMES) });
+    this.outgoing = [];
+    this.lastSentAt = now;
+  }
+
+  // Repartir de l'état du serveur et rejouer les frames qu'il n'a pas encore simulées
+  _reconcile(serverState) {
+    if (!serverState) return;
+    this.pendingInputs = this.pendingInputs.filter((frame) => frame.seq > serverState.seq);
+
+    const base = this.car || createCarState(serverState.x, serverState.y, serverState.z, serverState.rotY);
+    this.car = simulateInputs({
+      ...base,
+      x: serverState.x,
+      y: serverState.y,
+      z: serverState.z,
+      rotY: serverState.rotY,
+      speed: serverState.speed,
+      boostEnergy: serverState.boostEnergy,
+      energyRegenTimer: serverState.energyRegenTimer,
+      segmentId: serverState.segmentId ?? base.segmentId
+    }, this.pendingInputs, this.layout);
+  }
+
+  /**
+   * Pilote : suivre la ligne centrale du circuit
+   * Vise un point devant (plus loin à haute vitesse), ralentit avant les virages serrés,
+   * boost en ligne droite et dérape dans les épingles
+   * @returns {Object} { throttle, steer, boost, drift }
+   */
+  _drive() {
+    const car = this.car;
+    const points = this.layout.points;
+    const closest = this.layout.closestPoint(car.x, car.z, car.y, car.segmentId);
+    const speed = Math.abs(car.speed);
+
+    const lookAhead = 2 + Math.floor(speed / 100);
+    // Sur un circuit ouvert, on vise au plus le dernier point (l'arrivée)
+    const targetIndex = closest.index + lookAhead;
+    const target = points[this.layout.closed ? targetIndex % points.length : Math.min(points.length - 1, targetIndex)];
+    // La voiture avance vers (sin rotY, cos rotY)
+    const error = shortestAngle(Math.atan2(target.x - car.x, target.z - car.z) - car.rotY);
+
+    // Virage à venir : vitesse à laquelle le braquage suit encore la courbure
+    // (assez loin pour freiner : 1 point de ligne centrale par 50 de vitesse)
+    const curvature = curvatureAhead(points, closest.index, 1 + Math.ceil(speed / 50), this.layout.closed) * CORNER_MARGIN;
+    const cornerRatio = clamp((1 - curvature / MAX_CURVATURE) / 0.6, 0.3, 1);
+    const targetSpeed = CAR_PHYSICS.maxSpeed * this.skill * cornerRatio;
+
+    let throttle = 0;
+    if (speed < targetSpeed) throttle = 1;
+    else if (speed > targetSpeed * 1.15) throttle = -1;
+
+    return {
+      throttle,
+      steer: clamp(error * 3, -1, 1),
+      boost: cornerRatio === 1 && Math.abs(error) < 0.1 && car.boostEnergy > 0.3 && this.skill > 0.5,
+      drift: cornerRatio < 0.5 && speed > 120 && Math.abs(error) > 0.3
+    };
+  }
+}
+
+// Plus forte courbure (radians par unité de distance) de la ligne centrale aux `count` prochains points
+// Mesurée sur des tronçons de CURVE_SPAN points : les angles entre points voisins sont trop irréguliers
+// et la largeur de la piste permet de couper les cassures
+// Sur un circuit ouvert (closed = false), les indices s'arrêtent aux extrémités au lieu de boucler
+function curvatureAhead(points, index, count, closed = true) {
+  const at = (i) => points[closed ? (i + points.length) % points.length : clamp(i, 0, points.length - 1)];
+  let max = 0;
+  for (let i = 0; i < count; i++) {
+    const a = at(index + i - CURVE_SPAN);
+    const b = at(index + i);
+    const c = at(index + i + CURVE_SPAN);
+    const turn = Math.abs(shortestAngle(Math.atan2(c.x - b.x, c.z - b.z) - Math.atan2(b.x - a.x, b.z - a.z)));
+    const length = (Math.hypot(b.x - a.x, b.z - a.z) + Math.hypot(c.x - b.x, c.z - b.z)) / 2;
+    max = Math.max(max, turn / (length || 1));
+  }
+  return max;
+}
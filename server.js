@@ -1,340 +1,138 @@
-const express = require('express');
-const http = require('http');
-const WebSocket = require('ws');
-const path = require('path');
+import express from 'express';
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Room } from './server/Room.js';
+import { ClientGuard } from './server/ClientGuard.js';
+import { validateMessage } from './server/MessageSchema.js';
+import { decodeMessage } from './src/shared/Protocol.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocketServer({ server, maxPayload: 64 * 1024 }); // Coupe net les messages énormes (ClientGuard vérifie la taille utile)
 
 // Serve static files from current directory
 app.use(express.static(path.resolve(__dirname)));
 
 let nextClientId = 1;
-// Stocker l'état des joueurs côté serveur pour validation
-const playerStates = new Map(); // id -> { x, y, z, rotY, vx, vz, lives, lastUpdate, isDead, canPlay }
 
-// État du jeu
-let gameActive = false; // Commence inactif
-let roundInProgress = false;
-let hostId = null; // ID du premier joueur (l'hôte)
-
-wss.on('connection', (ws) => {
-  const id = nextClientId++;
-  ws.clientId = id;
-  console.log('Client connected', id);
-
-  // Le premier joueur devient l'hôte
-  if (hostId === null) {
-    hostId = id;
-    console.log('Player', id, 'is now the host');
+// Salles de course indépendantes, par code (ex. ?room=ABCD)
+const rooms = new Map(); // code -> Room
+const DEFAULT_ROOM = 'MAIN'; // Salle utilisée quand aucun code n'est donné
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{1,12}$/;
+const LAP_COUNT = parseInt(process.env.LAP_COUNT, 10) || 3;
+const RECONNECT_GRACE = parseInt(process.env.RECONNECT_GRACE, 10) || 15000; // ms pour se reconnecter sans perdre sa place
+const TICK_RATE = parseInt(process.env.TICK_RATE, 10) || 20; // Instantanés du monde par seconde
+const TRACK = process.env.TRACK || null; // Circuit de tracks/ utilisé par défaut (sinon généré)
+const TRACK_STYLE = process.env.TRACK_STYLE || null; // Style des circuits générés par défaut (oval, technical...)
+
+wss.on('connection', (ws, req) => {
+  // Choisir la salle depuis l'URL de connexion : ?room=CODE, ?room=new pour en créer une
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const requestedRoom = (params.get('room') || DEFAULT_ROOM).toUpperCase();
+  let code = requestedRoom;
+  if (requestedRoom === 'NEW') {
+    code = generateRoomCode();
+  } else if (!ROOM_CODE_PATTERN.test(requestedRoom)) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Invalid room code' }));
+    ws.close(1008, 'Invalid room code'); // 1008 : le client ne tente pas de se reconnecter
+    return;
   }
 
-  // Si le jeu est actif, le nouveau joueur ne peut que regarder
-  const canPlay = !gameActive && !roundInProgress;
-
-  // Initialiser état du joueur avec spawn aléatoire
-  const angle = Math.random() * Math.PI * 2;
-  const distance = Math.random() * 20;
-  playerStates.set(id, {
-    x: Math.cos(angle) * distance,
-    y: 0.2,
-    z: Math.sin(angle) * distance,
-    rotY: Math.random() * Math.PI * 2,
-    vx: 0,
-    vz: 0,
-    lives: 3,
-    isDead: false,
-    canPlay: canPlay,
-    lastUpdate: Date.now(),
-    name: 'Player ' + id,
-    color: 0xcccccc
-  });
-
-  // send back assigned id avec statut
-  ws.send(JSON.stringify({ 
-    type: 'welcome', 
-    id,
-    isHost: id === hostId,
-    canPlay: canPlay,
-    gameActive: gameActive
-  }));
-
-  ws.on('message', (msg) => {
-    // expect JSON messages and broadcast to others
-    try {
-      const data = JSON.parse(msg);
-      // attach sender id
-      data.sender = id;
-
-      // Mettre à jour état du joueur
-      if (data.type === 'state') {
-        const state = playerStates.get(id);
-        if (state) {
-          state.x = data.x;
-          state.y = data.y;
-          state.z = data.z;
-          state.rotY = data.rotY;
-          state.vx = data.vx || 0;
-          state.vz = data.vz || 0;
-          state.lives = data.lives !== undefined ? data.lives : state.lives;
-          state.lastUpdate = Date.now();
-        }
-      }
-
-      // Gérer mise à jour des vies
-      if (data.type === 'lives_update') {
-        const state = playerStates.get(id);
-        if (state) {
-          state.lives = data.lives;
-          state.isDead = data.lives <= 0;
-          console.log(`Player ${id} lives updated: ${data.lives}`);
-          
-          // Vérifier si quelqu'un a gagné
-          checkWinCondition();
-        }
-      }
-
-      // Gérer chute de joueur
-      if (data.type === 'player_fell') {
-        const state = playerStates.get(id);
-        if (state) {
-          state.isDead = true;
-          console.log(`Player ${id} fell off the platform`);
-          
-          // Vérifier si quelqu'un a gagné
-          checkWinCondition();
-        }
-      }
-
-      // Gérer infos du joueur (nom et couleur)
-      if (data.type === 'player_info') {
-        const state = playerStates.get(id);
-        if (state) {
-          state.name = data.name || 'Player ' + id;
-          state.color = data.color || 0xcccccc;
-          console.log(`Player ${id} info: ${state.name}, color: ${state.color.toString(16)}`);
-        }
-      }
-
-      // Gérer demande de refresh des infos des joueurs
-      if (data.type === 'request_player_infos') {
-        console.log(`Player ${id} requested player infos`);
-        // Envoyer les infos de tous les autres joueurs à celui qui demande
-        playerStates.forEach((state, playerId) => {
-          if (playerId !== id && state.name && state.color) {
-            ws.send(JSON.stringify({
-              type: 'player_info',
-              sender: playerId,
-              name: state.name,
-              color: state.color
-            }));
-          }
-        });
-      }
-
-      // Gérer collision avec poussée (A pousse B)
-      if (data.type === 'collision_push' && data.target) {
-        // Relayer la poussée au joueur ciblé
-        wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN && client.clientId === data.target) {
-            client.send(JSON.stringify({ 
-              type: 'collision_push',
-              target: data.target,
-              forceX: data.forceX,
-              forceY: data.forceY,
-              forceZ: data.forceZ,
-              from: id
-            }));
-          }
-        });
-      }
-
-      // Gérer démarrage de partie (seulement l'hôte peut démarrer)
-      if (data.type === 'start_game' && id === hostId) {
-        console.log('Host is starting the game...');
-        startNewGame();
+  let room = rooms.get(code);
+  if (!room) {
+    room = new Room(code, {
+      lapCount: LAP_COUNT,
+      reconnectGracePeriod: RECONNECT_GRACE,
+      tickRate: TICK_RATE,
+      track: TRACK,
+      trackStyle: TRACK_STYLE,
+      // Supprimer la salle quand le dernier joueur est parti (délai de grâce écoulé)
+      onEmpty: () => {
+        room.dispose();
+        rooms.delete(code);
+        console.log(`Room ${code} closed`);
       }
+    });
+    rooms.set(code, room);
+    console.log(`Room ${code} created`);
+  }
 
-      // Gérer spawn de powerup (seulement l'hôte peut spawner)
-      if (data.type === 'powerup_spawn' && id === hostId) {
-        console.log('Host spawned powerup:', data.powerupType);
-        // Broadcaster à tous les clients (y compris l'hôte qui l'a déjà)
-        wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN && client !== ws) {
-            client.send(JSON.stringify(data));
-          }
-        });
-      }
+  // Reprendre la session d'un joueur qui se reconnecte (?token=), sinon nouveau joueur
+  let id = room.findSession(params.get('token'));
+  if (id !== null && room.resumePlayer(id, ws)) {
+    console.log('Client reconnected', id, 'to room', code);
+  } else {
+    id = nextClientId++;
+    console.log('Client connected', id, 'to room', code);
+    room.addPlayer(id, ws);
+  }
+  ws.clientId = id;
 
-      // Gérer collecte de powerup (n'importe quel joueur peut collecter)
-      if (data.type === 'powerup_collect') {
-        console.log(`Player ${id} collected powerup ${data.powerupId}`);
-        // Broadcaster à tous les clients
-        wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN && client !== ws) {
-            client.send(JSON.stringify(data));
-          }
-        });
-      }
+  // Limites de la connexion : taille, débit et infractions répétées
+  const guard = new ClientGuard();
+  const reject = (reason) => {
+    console.warn(`Rejected message from ${id}: ${reason}`);
+    if (guard.recordViolation()) {
+      console.warn(`Kicking ${id}: too many invalid messages`);
+      ws.kicked = true;
+      ws.close(1008, 'Too many invalid messages');
+      return;
+    }
+    ws.send(JSON.stringify({ type: 'error', message: reason }));
+  };
+
+  ws.on('message', (msg, isBinary) => {
+    if (ws.kicked) return;
+    const limit = guard.check(msg.length);
+    if (limit) {
+      reject(limit);
+      return;
+    }
 
-      // Broadcast à tous les autres clients (pour les autres types de messages)
-      // Ne pas broadcaster request_player_infos car c'est une requête individuelle
-      if (data.type !== 'powerup_spawn' && data.type !== 'powerup_collect' && data.type !== 'request_player_infos') {
-        const out = JSON.stringify(data);
-        wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN && client !== ws) {
-            client.send(out);
-          }
-        });
-      }
+    // Messages binaires (entrées) ou JSON (le reste), validés puis traités par la salle du joueur
+    let data;
+    try {
+      data = decodeMessage(isBinary ? msg : msg.toString());
     } catch (e) {
-      console.warn('Invalid message from', id, e);
+      reject(`Unreadable message: ${e.message}`);
+      return;
+    }
+    const { message, error } = validateMessage(data);
+    if (error) {
+      reject(error);
+      return;
     }
+    room.handleMessage(id, message);
   });
 
   ws.on('close', () => {
     console.log('Client disconnected', id);
-    
-    // Si l'hôte se déconnecte, choisir un nouvel hôte AVANT de supprimer
-    if (id === hostId) {
-      const remainingPlayers = Array.from(playerStates.keys()).filter(pid => pid !== id);
-      if (remainingPlayers.length > 0) {
-        hostId = remainingPlayers[0];
-        console.log('New host:', hostId);
-        // Notifier le nouvel hôte
-        wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN && client.clientId === hostId) {
-            client.send(JSON.stringify({ type: 'you_are_host' }));
-          }
-        });
-      } else {
-        hostId = null;
-        console.log('No players left, host is null');
-      }
-    }
-    
-    // Supprimer l'état du joueur
-    playerStates.delete(id);
-    
-    // notify others
-    const out = JSON.stringify({ type: 'disconnect', id });
-    wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) client.send(out);
-    });
-    
-    // Vérifier si quelqu'un a gagné (si un joueur se déconnecte)
-    if (roundInProgress) {
-      checkWinCondition();
-    }
+    // Un client exclu perd sa place tout de suite
+    room.disconnectPlayer(id, ws, !ws.kicked);
   });
 });
 
-// Vérifier condition de victoire
-function checkWinCondition() {
-  if (!roundInProgress) return;
-  
-  // Compter seulement les joueurs qui peuvent jouer (pas les spectateurs)
-  const playablePlayers = [];
-  const alivePlayers = [];
-  
-  playerStates.forEach((state, id) => {
-    if (state.canPlay) {
-      playablePlayers.push(id);
-      if (!state.isDead && state.lives > 0) {
-        alivePlayers.push(id);
-      }
+// Générer un code de salle libre (sans caractères ambigus comme O/0 ou I/1)
+function generateRoomCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < 4; i++) {
+      code += alphabet[Math.floor(Math.random() * alphabet.length)];
     }
-  });
-  
-  console.log(`Alive players: ${alivePlayers.length}/${playablePlayers.length} (total players: ${playerStates.size})`);
-  
-  // Si un seul joueur reste en vie (et qu'il y a au moins 2 joueurs qui jouent)
-  if (alivePlayers.length === 1 && playablePlayers.length >= 2) {
-    const winnerId = alivePlayers[0];
-    console.log(`Player ${winnerId} wins! Waiting for host to restart...`);
-    roundInProgress = false;
-    gameActive = false;
-    
-    // Notifier tous les clients (PAS de redémarrage automatique)
-    wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({ 
-          type: 'game_over',
-          winnerId: winnerId,
-          autoRestart: false
-        }));
-      }
-    });
-  }
-  // Si tous les joueurs sont morts (égalité)
-  else if (alivePlayers.length === 0 && playablePlayers.length >= 2) {
-    console.log('Draw! All players died. Waiting for host to restart...');
-    roundInProgress = false;
-    gameActive = false;
-    
-    // Notifier tous les clients (PAS de redémarrage automatique)
-    wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({ 
-          type: 'game_over',
-          winnerId: null,
-          autoRestart: false
-        }));
-      }
-    });
-  }
-}
-
-// Démarrer une nouvelle partie (appelé par l'hôte)
-function startNewGame() {
-  console.log('Starting new game... Host ID:', hostId);
-  gameActive = true;
-  roundInProgress = true;
-  
-  // Compter combien de joueurs étaient en mode spectateur
-  let spectatorsIncluded = 0;
-  
-  // Réinitialiser TOUS les joueurs et les rendre jouables
-  playerStates.forEach((state, id) => {
-    const angle = Math.random() * Math.PI * 2;
-    const distance = Math.random() * 20;
-    state.x = Math.cos(angle) * distance;
-    state.y = 0.2;
-    state.z = Math.sin(angle) * distance;
-    state.rotY = Math.random() * Math.PI * 2;
-    state.lives = 3;
-    state.isDead = false;
-    
-    // IMPORTANT: Inclure tous les joueurs, même les spectateurs
-    if (!state.canPlay) {
-      spectatorsIncluded++;
-      console.log(`Including spectator player ${id} in the game`);
-    }
-    state.canPlay = true; // Tout le monde peut jouer maintenant
-  });
-  
-  console.log(`Game started with ${playerStates.size} players (${spectatorsIncluded} were spectators)`);
-  
-  // Notifier tous les clients
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify({ 
-        type: 'game_restart',
-        playerCount: playerStates.size
-      }));
-    }
-  });
+  } while (rooms.has(code));
+  return code;
 }
 
 // Nettoyage périodique des états de joueurs inactifs
 setInterval(() => {
-  const now = Date.now();
-  playerStates.forEach((state, id) => {
-    if (now - state.lastUpdate > 30000) { // 30 secondes d'inactivité
-      console.log('Removing inactive player state:', id);
-      playerStates.delete(id);
-    }
+  rooms.forEach((room) => {
+    room.removeInactivePlayers(30000); // 30 secondes d'inactivité
   });
 }, 60000); // Vérifier chaque minute
 
@@ -0,0 +1,133 @@
+import { CAR_PHYSICS, shortestAngle } from '../src/shared/CarPhysics.js';
+
+/**
+ * AntiCheat - Contrôles de vraisemblance sur les voitures simulées par le serveur
+ * Le serveur calcule lui-même les positions à partir des entrées : le levier restant pour tricher
+ * est de déclarer plus de temps qu'il ne s'en est écoulé (frames à gros dt = accélérer le temps).
+ * Chaque pas simulé est aussi comparé aux limites physiques de la voiture, pour ne jamais
+ * diffuser un état impossible (téléportation, vitesse, rotation, hors piste).
+ * Les écarts sont corrigés et signalés, trop de signalements et le joueur est exclu.
+ */
+export const ANTI_CHEAT = Object.freeze({
+  maxInputAhead: 2.0, // Secondes d'entrées acceptées d'avance (rattrapage après une coupure réseau)
+  inputTolerance: 0.1, // Secondes de trop tolérées par lot avant de signaler
+  offTrackMargin: 1.0, // Distance au-delà du bord de piste avant correction
+  maxFlags: 5, // Signalements tolérés dans la fenêtre, au-delà le joueur est exclu
+  flagWindow: 10000 // ms
+});
+
+// Vitesse maximale avec boost
+const MAX_SPEED = CAR_PHYSICS.maxSpeed * CAR_PHYSICS.boostMaxMultiplier;
+// Rotation par seconde au pire (braquage, dérapage, vitesse la plus maniable) et redressement au mur par pas
+const MAX_YAW_RATE = CAR_PHYSICS.turnSpeed * 1.25 * CAR_PHYSICS.skidYawMultiplier * (1 / 2.4);
+const MAX_WALL_YAW = Math.PI * CAR_PHYSICS.wallTurnStrength;
+// Déplacement latéral au pire par seconde (dérapage) et poussée du mur par pas
+const MAX_SLIDE_RATE = CAR_PHYSICS.skidStrength * CAR_PHYSICS.boostMaxMultiplier * 6.0;
+const MAX_WALL_PUSH = 1.0;
+const EPSILON = 1e-6;
+
+/**
+ * Créer le suivi d'un joueur
+ */
+export function createPlayerWatch(now = Date.now()) {
+  return {
+    inputBudget: ANTI_CHEAT.maxInputAhead, // Secondes de simulation encore autorisées
+    budgetUpdatedAt: now,
+    flags: [] // heures des derniers signalements
+  };
+}
+
+/**
+ * Limiter le temps simulé au temps réellement écoulé
+ * Le budget grandit avec le temps réel (plafonné à maxInputAhead), chaque frame en consomme son dt
+ * @returns {Object} { frames, excess } - frames au dt réduit si besoin, secondes refusées
+ */
+export function spendInputTime(watch, frames, now = Date.now()) {
+  watch.inputBudget = Math.min(
+    ANTI_CHEAT.maxInputAhead,
+    watch.inputBudget + (now - watch.budgetUpdatedAt) / 1000
+  );
+  watch.budgetUpdatedAt = now;
+
+  let excess = 0;
+  const budgeted = frames.map((frame) => {
+    const dt = Math.min(Number(frame.dt) || 0, CAR_PHYSICS.maxStepDt);
+    const allowed = Math.min(dt, watch.inputBudget);
+    watch.inputBudget -= allowed;
+    excess += dt - allowed;
+    return allowed === dt ? frame : { ...frame, dt: allowed };
+  });
+  return { frames: budgeted, excess };
+}
+
+/**
+ * Comparer un pas simulé aux limites physiques de la voiture
+ * @param {Object} from - État avant le pas
+ * @param {Object} to - État après le pas
+ * @param {number} dt - Durée du pas (s)
+ * @param {TrackLayout} layout - Circuit (distance à la ligne centrale)
+ * @returns {Object} { state, violation } - état corrigé, raison du signalement ou null
+ */
+export function checkStep(from, to, dt, layout) {
+  const state = { ...to };
+  const violations = [];
+
+  if (Math.abs(state.speed) > MAX_SPEED + EPSILON) {
+    violations.push(`speed ${Math.abs(state.speed).toFixed(1)} > ${MAX_SPEED}`);
+    state.speed = Math.sign(state.speed) * MAX_SPEED;
+  }
+
+  const maxYaw = MAX_YAW_RATE * dt + MAX_WALL_YAW;
+  const yaw = shortestAngle(state.rotY - from.rotY);
+  if (Math.abs(yaw) > maxYaw + EPSILON) {
+    violations.push(`turned ${yaw.toFixed(2)} rad in ${dt}s`);
+    state.rotY = from.rotY + Math.sign(yaw) * maxYaw;
+  }
+
+  const maxDistance = (MAX_SPEED * CAR_PHYSICS.distanceScale + MAX_SLIDE_RATE) * dt + MAX_WALL_PUSH;
+  const distance = Math.hypot(state.x - from.x, state.z - from.z);
+  if (distance > maxDistance + EPSILON) {
+    violations.push(`moved ${distance.toFixed(2)} in ${dt}s`);
+    state.x = from.x;
+    state.z = from.z;
+  }
+
+  // Le mur ne repousse la voiture que d'une unité par pas : à bas débit d'images, un choc peut la porter
+  // au-delà du bord pendant quelques pas. La correction suffit alors, sans signalement
+  const onTrack = keepOnTrack(state, layout);
+  if (onTrack !== state && !to.wallImpact) {
+    violations.push('off track');
+  }
+
+  return { state: onTrack, violation: violations.length > 0 ? violations.join(', ') : null };
+}
+
+/**
+ * Ramener sur la piste une voiture trop loin de la ligne centrale
+ * @returns {Object} le même état s'il est sur la piste, sinon un état corrigé (vitesse coupée)
+ */
+export function keepOnTrack(state, layout) {
+  const closest = layout.closestPoint(state.x, state.z, state.y, state.segmentId);
+  const halfWidth = closest.width / 2;
+  if (closest.distance <= halfWidth + ANTI_CHEAT.offTrackMargin) return state;
+
+  // Replacer contre le bord intérieur du mur, sur la même normale
+  const keep = (halfWidth - CAR_PHYSICS.wallRadius) / closest.distance;
+  return {
+    ...state,
+    x: closest.x + (state.x - closest.x) * keep,
+    z: closest.z + (state.z - closest.z) * keep,
+    y: closest.y + CAR_PHYSICS.heightOffset,
+    speed: 0
+  };
+}
+
+/**
+ * Enregistrer un signalement
+ * @returns {boolean} true si le joueur a dépassé la limite et doit être exclu
+ */
+export function recordFlag(watch, now = Date.now()) {
+  watch.flags = watch.flags.filter(time => now - time < ANTI_CHEAT.flagWindow);
+  watch.flags.push(now);
+  return watch.flags.length > ANTI_CHEAT.maxFlags;
+}
@@ -0,0 +1,50 @@
+/**
+ * ClientGuard - Limites appliquées à une connexion : taille et débit des messages, infractions
+ * Un client qui enchaîne les infractions (messages refusés, trop gros ou trop fréquents) est déconnecté
+ */
+export class ClientGuard {
+  constructor(options = {}) {
+    this.maxMessageSize = options.maxMessageSize ?? 4096; // octets
+    this.messageRate = options.messageRate ?? 40; // messages par seconde en régime permanent
+    this.messageBurst = options.messageBurst ?? 80; // messages acceptés d'un coup
+    this.maxViolations = options.maxViolations ?? 10; // infractions tolérées dans la fenêtre
+    this.violationWindow = options.violationWindow ?? 10000; // ms
+    this.now = options.now || (() => Date.now());
+
+    // Seau à jetons pour le débit
+    this.tokens = this.messageBurst;
+    this.lastRefill = this.now();
+    this.violations = []; // heures des dernières infractions
+  }
+
+  /**
+   * Vérifier la taille et le débit d'un message brut
+   * @param {number} size - Taille du message en octets
+   * @returns {string|null} raison du refus, null si le message est accepté
+   */
+  check(size) {
+    if (size > this.maxMessageSize) {
+      return `Message too large (${size} > ${this.maxMessageSize} bytes)`;
+    }
+
+    const now = this.now();
+    this.tokens = Math.min(this.messageBurst, this.tokens + (now - this.lastRefill) * this.messageRate / 1000);
+    this.lastRefill = now;
+    if (this.tokens < 1) {
+      return 'Too many messages';
+    }
+    this.tokens--;
+    return null;
+  }
+
+  /**
+   * Enregistrer une infraction
+   * @returns {boolean} true si le client a dépassé la limite et doit être déconnecté
+   */
+  recordViolation() {
+    const now = this.now();
+    this.violations = this.violations.filter(time => now - time < this.violationWindow);
+    this.violations.push(now);
+    return this.violations.length > this.maxViolations;
+  }
+}
@@ -0,0 +1,173 @@
+import { CAR_PHYSICS } from '../src/shared/CarPhysics.js';
+import { GENERATOR_PARAMETERS, TRACK_STYLES } from '../src/shared/TrackGenerator.js';
+
+// Nombre maximum de frames d'entrée gardées par message (au-delà, les plus anciennes sont ignorées)
+export const MAX_INPUT_FRAMES = 30;
+
+// Limites du monde pour les positions envoyées par les clients
+const WORLD_LIMIT = 1000;
+
+/**
+ * Types de champs :
+ * - number / integer : nombre fini, ramené dans [min, max]
+ * - id : entier positif (identifiant, numéro de frame), refusé hors limites
+ * - boolean, string (tronquée à maxLength), enum (une des valeurs)
+ * - array : tableau d'éléments `items`, seuls les maxItems derniers sont gardés
+ * - object : objet aux champs `fields`
+ * Un champ est obligatoire sauf `optional` (remplacé par `default` s'il est absent)
+ */
+const INPUT_FRAME = {
+  seq: { type: 'id' },
+  dt: { type: 'number', min: 0, max: CAR_PHYSICS.maxStepDt },
+  throttle: { type: 'number', min: -1, max: 1 },
+  steer: { type: 'number', min: -1, max: 1 },
+  boost: { type: 'boolean', optional: true, default: false },
+  drift: { type: 'boolean', optional: true, default: false }
+};
+
+// Réglages du générateur de circuit : style et paramètres dans leurs limites
+const TRACK_GENERATOR = {
+  style: { type: 'enum', values: Object.keys(TRACK_STYLES) },
+  ...Object.fromEntries(Object.entries(GENERATOR_PARAMETERS).map(([name, range]) => (
+    [name, { type: 'number', min: range.min, max: range.max, optional: true }]
+  )))
+};
+
+// Messages acceptés des clients, par type (les autres sont refusés)
+const SCHEMAS = {
+  input: {
+    frames: { type: 'array', maxItems: MAX_INPUT_FRAMES, items: INPUT_FRAME }
+  },
+  lives_update: {
+    lives: { type: 'integer', min: 0, max: 3 }
+  },
+  player_fell: {},
+  player_info: {
+    name: { type: 'string', maxLength: 20, optional: true },
+    color: { type: 'integer', min: 0, max: 0xffffff, optional: true }
+  },
+  request_player_infos: {},
+  collision: {
+    target: { type: 'id' }
+  },
+  ping: {
+    id: { type: 'id' },
+    clientTime: { type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER }
+  },
+  start_game: {
+    track: { type: 'string', maxLength: 40, optional: true },
+    generator: { type: 'object', fields: TRACK_GENERATOR, optional: true }
+  },
+  return_to_lobby: {},
+  powerup_spawn: {
+    powerupId: { type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER },
+    powerupType: { type: 'enum', values: ['speed', 'shield', 'jump'] },
+    x: { type: 'number', min: -WORLD_LIMIT, max: WORLD_LIMIT },
+    y: { type: 'number', min: -WORLD_LIMIT, max: WORLD_LIMIT },
+    z: { type: 'number', min: -WORLD_LIMIT, max: WORLD_LIMIT }
+  },
+  powerup_collect: {
+    powerupId: { type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER }
+  }
+};
+
+/**
+ * Valider un message reçu d'un client
+ * Le message rendu ne contient que les champs du schéma, nombres ramenés dans leurs limites
+ * (un `sender` envoyé par le client, par exemple, est ignoré)
+ * @param {Object} data - Message décodé
+ * @returns {{ message: Object }|{ error: string }}
+ */
+export function validateMessage(data) {
+  if (!isObject(data) || typeof data.type !== 'string') {
+    return { error: 'Message without type' };
+  }
+
+  const schema = SCHEMAS[data.type];
+  if (!schema) {
+    return { error: `Unknown message type "${data.type.slice(0, 32)}"` };
+  }
+
+  const result = validateObject(data, schema, data.type);
+  if (result.error) return result;
+  return { message: { type: data.type, ...result.value } };
+}
+
+// Valider les champs d'un objet selon son schéma
+function validateObject(data, schema, path) {
+  const value = {};
+  for (const [name, field] of Object.entries(schema)) {
+    const fieldPath = `${path}.${name}`;
+    if (data[name] === undefined || data[name] === null) {
+      if (!field.optional) return { error: `Missing ${fieldPath}` };
+      if (field.default !== undefined) value[name] = field.default;
+      continue;
+    }
+
+    const result = validateField(data[name], field, fieldPath);
+    if (result.error) return result;
+    value[name] = result.value;
+  }
+  return { value };
+}
+
+// Valider une valeur selon son type
+function validateField(value, field, path) {
+  switch (field.type) {
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `${path} must be a number` };
+      }
+      const number = field.type === 'integer' ? Math.round(value) : value;
+      return { value: Math.max(field.min, Math.min(field.max, number)) };
+    }
+    case 'id':
+      if (!Number.isInteger(value) || value < 0 || value > 0xffffffff) {
+        return { error: `${path} must be a positive integer` };
+      }
+      return { value };
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { error: `${path} must be a boolean` };
+      }
+      return { value };
+    case 'string':
+      if (typeof value !== 'string') {
+        return { error: `${path} must be a string` };
+      }
+      return { value: value.trim().slice(0, field.maxLength) };
+    case 'enum':
+      if (!field.values.includes(value)) {
+        return { error: `${path} must be one of ${field.values.join(', ')}` };
+      }
+      return { value };
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { error: `${path} must be an array` };
+      }
+      // Garder les derniers éléments : pour les entrées, les frames les plus récentes
+      const first = Math.max(0, value.length - field.maxItems);
+      const items = [];
+      for (let index = first; index < value.length; index++) {
+        const item = value[index];
+        if (!isObject(item)) return { error: `${path}[${index}] must be an object` };
+        const result = validateObject(item, field.items, `${path}[${index}]`);
+        if (result.error) return result;
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    case 'object':
+      if (!isObject(value)) {
+        return { error: `${path} must be an object` };
+      }
+      return validateObject(value, field.fields, path);
+    default:
+      return { error: `${path} has an unknown schema type` };
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
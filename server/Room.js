@@ -0,0 +1,611 @@
+import WebSocket from 'ws';
+import crypto from 'crypto';
+import { RaceController } from '../src/shared/RaceController.js';
+import { RacePhase } from '../src/shared/RacePhase.js';
+import { TrackLayout } from '../src/shared/TrackLayout.js';
+import { normalizeGeneratorOptions } from '../src/shared/TrackGenerator.js';
+import { CAR_PHYSICS, createCarState, stepCar, resolveCarCollision } from '../src/shared/CarPhysics.js';
+import { encodeMessage } from '../src/shared/Protocol.js';
+import { MAX_INPUT_FRAMES } from './MessageSchema.js';
+import { ANTI_CHEAT, createPlayerWatch, spendInputTime, checkStep, keepOnTrack, recordFlag } from './AntiCheat.js';
+import { loadTrack } from './TrackStore.js';
+
+// Collisions entre voitures : même distance de contact que le client (Game._checkCollisions)
+const CONTACT_DISTANCE = CAR_PHYSICS.collisionRadius * 2 * 1.3;
+const COLLISION_LATENCY_MARGIN = 0.25; // Secondes de déplacement tolérées entre les vues client et serveur
+const COLLISION_COOLDOWN = 500; // ms entre deux collisions de la même paire
+
+// Messages traités par le serveur et jamais relayés aux autres joueurs
+const NOT_RELAYED = new Set([
+  'powerup_spawn', // diffusés séparément
+  'powerup_collect',
+  'request_player_infos', // requête individuelle
+  'ping', // synchronisation d'horloge, réponse au seul demandeur
+  'start_game',
+  'return_to_lobby',
+  'input', // le serveur simule les voitures et diffuse leur état
+  'state', // seul le serveur fait autorité sur les positions
+  'snapshot',
+  'collision', // résolue par le serveur
+  'checkpoint', // les passages sont détectés par le serveur
+  'lap_complete',
+  'collision_push' // envoyée par le serveur uniquement
+]);
+
+/**
+ * Room - Une course indépendante : ses joueurs, son hôte, sa course et ses diffusions
+ * Plusieurs salles tournent en parallèle dans le même processus Node
+ */
+export class Room {
+  constructor(code, options = {}) {
+    this.code = code;
+    this.clients = new Map(); // id -> ws
+    // Stocker l'état des joueurs côté serveur pour validation
+    this.playerStates = new Map(); // id -> { car, inputSeq, lives, lastUpdate, isDead, canPlay, sessionToken }
+    this.hostId = null; // ID du premier joueur (l'hôte)
+
+    // Reprise de session : un joueur déconnecté garde sa place pendant le délai de grâce
+    this.sessions = new Map(); // jeton de session -> id
+    this.disconnectTimers = new Map(); // id -> timer de suppression définitive
+    this.reconnectGracePeriod = options.reconnectGracePeriod ?? 15000; // ms
+    this.onEmpty = options.onEmpty || null; // Appelé quand le dernier joueur est parti pour de bon
+    this.lastCollisions = new Map(); // "idA:idB" -> heure de la dernière collision résolue
+
+    // Cycle de vie de la course : lobby → countdown → racing → results → lobby
+    // Chaque changement de phase est diffusé aux joueurs de la salle avec ses horodatages
+    this.race = new RaceController({
+      lapCount: options.lapCount,
+      onPhaseChange: () => this._broadcastRacePhase()
+    });
+    // Circuit des courses : fichier de tracks/ (options.track), sinon généré au hasard
+    this.defaultTrack = options.track || null;
+    // Style des circuits générés quand l'hôte n'en choisit pas (options.trackStyle)
+    this.defaultGenerator = options.trackStyle ? { style: options.trackStyle } : null;
+    // Graine du circuit : tous les clients génèrent le même tracé à partir d'elle
+    this.race.trackSeed = randomTrackSeed();
+    // Géométrie du circuit pour simuler les voitures (murs, altitude, grille)
+    this.layout = new TrackLayout(this.race.trackSeed);
+
+    // Tick serveur : un instantané de toutes les voitures est diffusé à fréquence fixe
+    this.tickRate = options.tickRate ?? 20; // Hz
+    this.tick = 0;
+    this.tickTimer = setInterval(() => this._tick(), 1000 / this.tickRate);
+  }
+
+  /**
+   * Nombre de joueurs connectés
+   */
+  get size() {
+    return this.clients.size;
+  }
+
+  /**
+   * Trouver le joueur d'un jeton de session encore valide
+   * @returns {number|null} id du joueur, null si le jeton est inconnu ou expiré
+   */
+  findSession(token) {
+    if (!token || !this.sessions.has(token)) return null;
+    return this.sessions.get(token);
+  }
+
+  /**
+   * Ajouter un joueur qui vient de se connecter
+   */
+  addPlayer(id, ws) {
+    this.clients.set(id, ws);
+
+    // Le premier joueur devient l'hôte
+    if (this.hostId === null) {
+      this.hostId = id;
+      console.log(`[${this.code}] Player`, id, 'is now the host');
+    }
+
+    // Si une course est lancée, le nouveau joueur ne peut que regarder
+    const canPlay = this.race.phase === RacePhase.LOBBY || this.race.phase === RacePhase.RESULTS;
+
+    // Jeton pour reprendre la session après une coupure réseau
+    const sessionToken = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(sessionToken, id);
+
+    // Initialiser état du joueur avec spawn aléatoire près de la ligne de départ
+    const spawn = this.layout.getStartPositionOffset((Math.random() - 0.5) * 4, Math.random() * -3);
+    this.playerStates.set(id, {
+      sessionToken,
+      car: createCarState(spawn.x, spawn.y, spawn.z, spawn.rotY),
+      inputSeq: 0, // Dernière frame d'entrée simulée (acquittée dans les états envoyés)
+      watch: createPlayerWatch(), // Anti-triche : temps simulé autorisé, signalements
+      raceTime: 0, // ms simulées depuis le départ (horodatage des passages de portes)
+      lives: 3,
+      isDead: false,
+      canPlay: canPlay,
+      lastUpdate: Date.now(),
+      name: 'Player ' + id,
+      color: 0xcccccc
+    });
+
+    this._sendWelcome(id, false);
+  }
+
+  /**
+   * Reprendre la session d'un joueur qui se reconnecte (même id, place, tours, nom et couleur)
+   */
+  resumePlayer(id, ws) {
+    const state = this.playerStates.get(id);
+    if (!state) return false;
+
+    clearTimeout(this.disconnectTimers.get(id));
+    this.disconnectTimers.delete(id);
+
+    // Une ancienne connexion encore ouverte est remplacée
+    const previous = this.clients.get(id);
+    if (previous && previous !== ws) {
+      previous.close();
+    }
+    this.clients.set(id, ws);
+    state.lastUpdate = Date.now();
+    console.log(`[${this.code}] Player ${id} resumed its session`);
+
+    // L'hôte est parti pendant que tout le monde était déconnecté
+    if (this.hostId === null) {
+      this.hostId = id;
+      console.log(`[${this.code}] Player`, id, 'is now the host');
+    }
+
+    this._sendWelcome(id, true);
+    return true;
+  }
+
+  /**
+   * Un joueur a perdu sa connexion : garder sa place pendant le délai de grâce
+   * @param {WebSocket} ws - Connexion fermée (ignorée si le joueur s'est déjà reconnecté)
+   * @param {boolean} keepSlot - false pour retirer le joueur tout de suite (exclusion)
+   */
+  disconnectPlayer(id, ws, keepSlot = true) {
+    if (this.clients.get(id) !== ws) return;
+    if (!keepSlot) {
+      this.removePlayer(id);
+      return;
+    }
+    this.clients.delete(id);
+
+    console.log(`[${this.code}] Player ${id} disconnected, holding its slot for ${this.reconnectGracePeriod}ms`);
+    this.disconnectTimers.set(id, setTimeout(() => {
+      this.disconnectTimers.delete(id);
+      this.removePlayer(id);
+    }, this.reconnectGracePeriod));
+  }
+
+  /**
+   * Traiter un message d'un joueur de la salle (déjà validé, voir MessageSchema)
+   */
+  handleMessage(id, data) {
+    // attach sender id
+    data.sender = id;
+
+    // Tout message compte comme activité (voir removeInactivePlayers)
+    const sender = this.playerStates.get(id);
+    if (sender) {
+      sender.lastUpdate = Date.now();
+    }
+
+    // Simuler les entrées du joueur, son état part avec l'instantané du prochain tick
+    if (data.type === 'input') {
+      this._applyInputs(id, data.frames);
+    }
+
+    // Synchronisation d'horloge : renvoyer l'heure serveur avec l'heure client du ping
+    if (data.type === 'ping') {
+      this.sendTo(id, { type: 'pong', id: data.id, clientTime: data.clientTime, serverTime: Date.now() });
+    }
+
+    // Gérer mise à jour des vies
+    if (data.type === 'lives_update') {
+      const state = this.playerStates.get(id);
+      if (state) {
+        state.lives = data.lives;
+        state.isDead = data.lives <= 0;
+        console.log(`[${this.code}] Player ${id} lives updated: ${data.lives}`);
+      }
+    }
+
+    // Gérer chute de joueur
+    if (data.type === 'player_fell') {
+      const state = this.playerStates.get(id);
+      if (state) {
+        state.isDead = true;
+        console.log(`[${this.code}] Player ${id} fell off the platform`);
+      }
+    }
+
+    // Gérer infos du joueur (nom et couleur)
+    if (data.type === 'player_info') {
+      const state = this.playerStates.get(id);
+      if (state) {
+        state.name = data.name || 'Player ' + id;
+        state.color = data.color ?? 0xcccccc; // 0 (noir) est une couleur valide
+        console.log(`[${this.code}] Player ${id} info: ${state.name}, color: ${state.color.toString(16)}`);
+      }
+    }
+
+    // Gérer demande de refresh des infos des joueurs
+    if (data.type === 'request_player_infos') {
+      console.log(`[${this.code}] Player ${id} requested player infos`);
+      // Envoyer les infos de tous les autres joueurs à celui qui demande
+      this.playerStates.forEach((state, playerId) => {
+        if (playerId !== id && state.name && state.color !== undefined) {
+          this.sendTo(id, {
+            type: 'player_info',
+            sender: playerId,
+            name: state.name,
+            color: state.color
+          });
+        }
+      });
+    }
+
+    // Gérer collision signalée par un joueur : vérifiée et résolue avec les positions du serveur
+    if (data.type === 'collision' && data.target !== undefined) {
+      this._resolveCollision(id, data.target);
+    }
+
+    // Gérer démarrage de partie (seulement l'hôte peut démarrer)
+    if (data.type === 'start_game' && id === this.hostId) {
+      console.log(`[${this.code}] Host is starting the game...`);
+      this.startNewGame(data.track ?? this.defaultTrack, data.generator ?? this.defaultGenerator);
+    }
+
+    // Gérer retour au lobby (seulement l'hôte)
+    if (data.type === 'return_to_lobby' && id === this.hostId) {
+      console.log(`[${this.code}] Host sent everyone back to the lobby`);
+      this.race.returnToLobby();
+    }
+
+    // Gérer spawn de powerup (seulement l'hôte peut spawner)
+    if (data.type === 'powerup_spawn' && id === this.hostId) {
+      console.log(`[${this.code}] Host spawned powerup:`, data.powerupType);
+      // Broadcaster à tous les clients (y compris l'hôte qui l'a déjà)
+      this.broadcast(data, id);
+    }
+
+    // Gérer collecte de powerup (n'importe quel joueur peut collecter)
+    if (data.type === 'powerup_collect') {
+      console.log(`[${this.code}] Player ${id} collected powerup ${data.powerupId}`);
+      // Broadcaster à tous les clients
+      this.broadcast(data, id);
+    }
+
+    // Broadcast à tous les autres clients (pour les autres types de messages)
+    if (!NOT_RELAYED.has(data.type)) {
+      this.broadcast(data, id);
+    }
+  }
+
+  /**
+   * Retirer un joueur déconnecté
+   */
+  removePlayer(id) {
+    this.clients.delete(id);
+    clearTimeout(this.disconnectTimers.get(id));
+    this.disconnectTimers.delete(id);
+
+    // Si l'hôte se déconnecte, choisir un nouvel hôte AVANT de supprimer
+    if (id === this.hostId) {
+      const remainingPlayers = Array.from(this.clients.keys());
+      if (remainingPlayers.length > 0) {
+        this.hostId = remainingPlayers[0];
+        console.log(`[${this.code}] New host:`, this.hostId);
+        // Notifier le nouvel hôte
+        this.sendTo(this.hostId, { type: 'you_are_host' });
+      } else {
+        this.hostId = null;
+        console.log(`[${this.code}] No players left, host is null`);
+      }
+    }
+
+    // Supprimer l'état du joueur et sa session
+    const state = this.playerStates.get(id);
+    if (state) {
+      this.sessions.delete(state.sessionToken);
+    }
+    this.playerStates.delete(id);
+    this.lastCollisions.forEach((time, pair) => {
+      if (pair.split(':').includes(String(id))) {
+        this.lastCollisions.delete(pair);
+      }
+    });
+
+    // notify others
+    this.broadcast({ type: 'disconnect', id });
+
+    // Retirer le joueur de la course en cours (peut terminer la course)
+    this.race.removeRacer(id);
+
+    if (this.clients.size === 0 && this.playerStates.size === 0 && this.onEmpty) {
+      this.onEmpty();
+    }
+  }
+
+  /**
+   * Démarrer une nouvelle partie (appelé par l'hôte) : nouveau circuit puis compte à rebours
+   * @param {string|null} trackName - Circuit de tracks/ à utiliser, null ou "random" pour en générer un
+   * @param {Object|null} generator - Réglages du circuit généré { style, length, ... } (voir TrackGenerator)
+   */
+  startNewGame(trackName = null, generator = null) {
+    console.log(`[${this.code}] Starting new game... Host ID:`, this.hostId);
+
+    // Compter combien de joueurs étaient en mode spectateur
+    let spectatorsIncluded = 0;
+
+    // Réinitialiser TOUS les joueurs et les rendre jouables
+    this.playerStates.forEach((state, id) => {
+      state.lives = 3;
+      state.isDead = false;
+
+      // IMPORTANT: Inclure tous les joueurs, même les spectateurs
+      if (!state.canPlay) {
+        spectatorsIncluded++;
+        console.log(`[${this.code}] Including spectator player ${id} in the game`);
+      }
+      state.canPlay = true; // Tout le monde peut jouer maintenant
+    });
+
+    // Nouveau circuit pour cette course, l'ordre de la grille suit l'ordre d'arrivée des joueurs
+    // Un circuit introuvable ou invalide est remplacé par un circuit généré
+    let definition = null;
+    if (trackName && trackName !== 'random') {
+      const track = loadTrack(trackName);
+      if (track.error) {
+        console.warn(`[${this.code}] ${track.error}, using a random track`);
+      }
+      definition = track.definition || null;
+    }
+    const trackGenerator = definition ? null : normalizeGeneratorOptions(generator || {});
+    this.layout = definition ? TrackLayout.fromDefinition(definition) : new TrackLayout(randomTrackSeed(), null, trackGenerator);
+    const trackSeed = this.layout.seed;
+    this.race.checkpointCount = this.layout.checkpoints.length;
+    this.race.startCountdown(Array.from(this.playerStates.keys()), trackSeed, definition, trackGenerator);
+
+    // Placer chaque voiture sur sa case de la grille
+    this.race.racers.forEach((racer, racerId) => {
+      const state = this.playerStates.get(racerId);
+      const slot = this.layout.getGridPosition(racer.grid);
+      state.car = createCarState(slot.x, slot.y, slot.z, slot.rotY);
+      state.raceTime = 0;
+    });
+
+    console.log(`[${this.code}] Game started with ${this.playerStates.size} players (${spectatorsIncluded} were spectators), ${definition ? `track "${trackName}"` : `${trackGenerator.style} track seed ${trackSeed}`}`);
+  }
+
+  /**
+   * Retirer les joueurs connectés mais inactifs et fermer leur connexion
+   * Les joueurs déconnectés sont laissés à leur délai de grâce
+   */
+  removeInactivePlayers(maxIdleTime) {
+    const now = Date.now();
+    this.playerStates.forEach((state, id) => {
+      const client = this.clients.get(id);
+      if (client && now - state.lastUpdate > maxIdleTime) {
+        console.log(`[${this.code}] Removing inactive player:`, id);
+        this.removePlayer(id);
+        client.close(1000, 'Inactive');
+      }
+    });
+  }
+
+  /**
+   * Envoyer un message à un joueur de la salle
+   */
+  sendTo(id, message) {
+    const client = this.clients.get(id);
+    if (client && client.readyState === WebSocket.OPEN) {
+      client.send(encodeMessage(message));
+    }
+  }
+
+  /**
+   * Envoyer un message à tous les joueurs de la salle (sauf exceptId)
+   */
+  broadcast(message, exceptId = null) {
+    const out = encodeMessage(message); // Binaire pour les états, JSON pour le reste
+    this.clients.forEach((client, id) => {
+      if (id !== exceptId && client.readyState === WebSocket.OPEN) {
+        client.send(out);
+      }
+    });
+  }
+
+  /**
+   * Libérer la salle (plus aucun joueur)
+   */
+  dispose() {
+    clearInterval(this.tickTimer);
+    this.race.dispose();
+    this.disconnectTimers.forEach((timer) => clearTimeout(timer));
+    this.disconnectTimers.clear();
+  }
+
+  // Envoyer le message de bienvenue puis la position des voitures
+  _sendWelcome(id, resumed) {
+    const state = this.playerStates.get(id);
+    const racer = this.race.racers.get(id);
+
+    // send back assigned id avec statut
+    this.sendTo(id, {
+      type: 'welcome',
+      id,
+      roomCode: this.code,
+      sessionToken: state.sessionToken,
+      resumed,
+      tickRate: this.tickRate,
+      isHost: id === this.hostId,
+      canPlay: state.canPlay,
+      serverTime: Date.now(),
+      race: this.race.getState(),
+      players: Array.from(this.playerStates.keys()),
+      // Progression dans la course en cours (reprise de session)
+      progress: racer ? { laps: racer.laps, nextCheckpoint: racer.nextCheckpoint } : null
+    });
+
+    // Position de toutes les voitures sans attendre le prochain tick (les autres le recevront)
+    this.sendTo(id, this._snapshotMessage());
+  }
+
+  // Simuler un lot de frames d'entrée { seq, dt, throttle, steer, boost, drift }
+  _applyInputs(id, frames) {
+    const state = this.playerStates.get(id);
+    if (!state || !Array.isArray(frames)) return;
+    if (frames.length === 0) return;
+
+    // Les voitures ne roulent que pendant la course, les frames restent acquittées
+    const canMove = this.race.phase === RacePhase.RACING && this.race.isRacer(id) && !state.isDead;
+
+    // Pas plus de temps simulé que de temps écoulé
+    const fresh = frames.slice(-MAX_INPUT_FRAMES).filter((frame) => frame && frame.seq > state.inputSeq);
+    const budget = spendInputTime(state.watch, fresh);
+    if (budget.excess > ANTI_CHEAT.inputTolerance) {
+      this._flag(id, `inputs ${budget.excess.toFixed(2)}s ahead of real time`);
+    }
+
+    budget.frames.forEach((frame) => {
+      if (!(frame.seq > state.inputSeq)) return;
+      state.inputSeq = frame.seq;
+      if (canMove) {
+        state.raceTime += frame.dt * 1000;
+        const previous = state.car;
+        const check = checkStep(previous, stepCar(previous, frame, frame.dt, this.layout), frame.dt, this.layout);
+        state.car = check.state;
+        if (check.violation) {
+          this._flag(id, check.violation);
+        }
+        this._checkGates(id, previous, state.car, Math.round(this.race.raceStartedAt + state.raceTime));
+      }
+    });
+  }
+
+  // Signaler un comportement impossible, exclure le joueur s'il récidive
+  _flag(id, reason) {
+    const state = this.playerStates.get(id);
+    if (!state) return;
+    console.warn(`[${this.code}] Anti-cheat flagged player ${id}: ${reason}`);
+    this.sendTo(id, { type: 'error', message: `Anti-cheat: ${reason}` });
+
+    const ws = this.clients.get(id);
+    if (recordFlag(state.watch) && ws) {
+      console.warn(`[${this.code}] Kicking player ${id} (anti-cheat)`);
+      ws.kicked = true; // Pas de délai de grâce (voir server.js)
+      ws.close(1008, 'Kicked by anti-cheat');
+    }
+  }
+
+  // Valider les passages de portes sur la trajectoire simulée par le serveur
+  // Seule la porte attendue compte : checkpoints dans l'ordre, puis la ligne d'arrivée
+  // time = heure serveur du passage dans le temps simulé du joueur (départ + somme des dt),
+  // les temps au tour ne dépendent donc pas de la latence avec laquelle ses entrées arrivent
+  _checkGates(id, from, to, time) {
+    const gate = this.race.recordMove(id, this.layout, from, to, time);
+    if (!gate) return;
+
+    if (gate.lap) {
+      console.log(`[${this.code}] Player ${id} completed lap ${gate.lap.lap}/${this.race.lapCount} in ${gate.lap.lapTime}ms`);
+      this.broadcast({ type: 'lap_complete', sender: id, time, ...gate.lap });
+    } else {
+      this.sendTo(id, { type: 'checkpoint', checkpointId: gate.checkpointId, time });
+    }
+  }
+
+  // Résoudre une collision entre deux voitures (échange de quantité de mouvement)
+  // Refusée si les dernières positions connues des deux voitures ne sont pas proches
+  _resolveCollision(id, targetId) {
+    const a = this.playerStates.get(id);
+    const b = this.playerStates.get(targetId);
+    if (!a || !b || targetId === id || a.isDead || b.isDead) return;
+    if (this.race.phase !== RacePhase.RACING || !this.race.isRacer(id) || !this.race.isRacer(targetId)) return;
+
+    const pair = id < targetId ? `${id}:${targetId}` : `${targetId}:${id}`;
+    const now = Date.now();
+    if (now - (this.lastCollisions.get(pair) || 0) < COLLISION_COOLDOWN) return;
+
+    // Marge pour la latence : chaque client voit l'autre voiture un peu dans le passé
+    const distance = Math.hypot(b.car.x - a.car.x, b.car.z - a.car.z);
+    const travel = (Math.abs(a.car.speed) + Math.abs(b.car.speed)) * CAR_PHYSICS.distanceScale * COLLISION_LATENCY_MARGIN;
+    if (distance > CONTACT_DISTANCE + travel) {
+      console.warn(`[${this.code}] Rejected collision ${id} -> ${targetId}: cars are ${distance.toFixed(1)} apart`);
+      return;
+    }
+
+    // La poussée peut envoyer une voiture dans le mur : la garder sur la piste
+    const result = resolveCarCollision(a.car, b.car);
+    a.car = keepOnTrack(result.a, this.layout);
+    b.car = keepOnTrack(result.b, this.layout);
+    this.lastCollisions.set(pair, now);
+
+    // Prévenir le joueur percuté (effets de caméra), celui qui a signalé la collision les a déjà joués
+    const push = result.impulse * CAR_PHYSICS.distanceScale * CAR_PHYSICS.collisionBumpTime;
+    this.sendTo(targetId, {
+      type: 'collision_push',
+      target: targetId,
+      forceX: result.normalX * push,
+      forceY: 0,
+      forceZ: result.normalZ * push,
+      from: id
+    });
+  }
+
+  // Diffuser l'instantané du monde (appelé à chaque tick)
+  _tick() {
+    this.tick++;
+    if (this.clients.size === 0) return;
+    this.broadcast(this._snapshotMessage());
+  }
+
+  // Instantané de toutes les voitures au même instant serveur
+  // tick = numéro du tick, time = heure serveur (interpolation côté client)
+  _snapshotMessage() {
+    return {
+      type: 'snapshot',
+      tick: this.tick,
+      time: Date.now(),
+      states: Array.from(this.playerStates.keys(), (id) => this._carState(id))
+    };
+  }
+
+  // État d'une voiture dans un instantané
+  // seq = dernière entrée simulée (acquittement pour la réconciliation du client)
+  _carState(id) {
+    const state = this.playerStates.get(id);
+    const car = state.car;
+    const racer = this.race.racers.get(id);
+    const { segmentId, segmentT } = this.layout.getSegmentPosition(car.x, car.z, car.y, car.segmentId);
+    return {
+      sender: id,
+      seq: state.inputSeq,
+      x: car.x,
+      y: car.y,
+      z: car.z,
+      rotY: car.rotY,
+      speed: car.speed,
+      boostEnergy: car.boostEnergy,
+      energyRegenTimer: car.energyRegenTimer,
+      vx: -Math.sin(car.rotY) * car.speed * CAR_PHYSICS.distanceScale,
+      vz: -Math.cos(car.rotY) * car.speed * CAR_PHYSICS.distanceScale,
+      segmentId,
+      segmentT,
+      lives: state.lives,
+      lap: racer ? racer.laps : 0
+    };
+  }
+
+  // Diffuser la phase de course à tous les joueurs de la salle
+  _broadcastRacePhase() {
+    this.broadcast({
+      type: 'race_phase',
+      serverTime: Date.now(),
+      ...this.race.getState()
+    });
+  }
+}
+
+// Tirer une nouvelle graine de circuit (entier non signé 32 bits)
+function randomTrackSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
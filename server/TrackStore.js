@@ -0,0 +1,39 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseTrackDefinition } from '../src/shared/TrackDefinition.js';
+
+// Circuits versionnés dans le dépôt : tracks/<nom>.json (servis aussi aux navigateurs)
+const TRACKS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../tracks');
+export const TRACK_NAME_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+// Définitions déjà lues et vérifiées, par nom
+const cache = new Map();
+
+/**
+ * Charger un circuit du dossier tracks/
+ * @param {string} name - Nom du fichier sans extension (ex. "stadium")
+ * @returns {{ definition: Object }|{ error: string }}
+ */
+export function loadTrack(name) {
+  if (!TRACK_NAME_PATTERN.test(name)) {
+    return { error: `Invalid track name "${String(name).slice(0, 40)}"` };
+  }
+  if (cache.has(name)) {
+    return { definition: cache.get(name) };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(TRACKS_DIR, `${name}.json`), 'utf8'));
+  } catch (e) {
+    return { error: `Cannot read track "${name}": ${e.message}` };
+  }
+
+  const result = parseTrackDefinition(data);
+  if (result.error) {
+    return { error: `Track "${name}": ${result.error}` };
+  }
+  cache.set(name, result.definition);
+  return result;
+}
@@ -3,11 +3,19 @@ import { SceneManager } from './core/Scene.js';
 import { RendererManager } from './core/Renderer.js';
 import { CameraManager } from './core/Camera.js';
 import { Car } from './game/Car.js';
+import { KeyboardInput } from './game/KeyboardInput.js';
 import { GameState } from './game/GameState.js';
 import { ParticleSystem } from './particles/ParticleSystem.js';
 import { NetworkClient } from './network/NetworkClient.js';
+import { LocalSession } from './network/LocalSession.js';
+import { AI_DIFFICULTY } from './game/AIDriver.js';
+import { TrackEditor } from './game/TrackEditor.js';
+import { fetchTrackList, readTrackFile, saveTrackFile } from './game/TrackLibrary.js';
+import { INTERPOLATION_DEFAULTS } from './network/SnapshotBuffer.js';
 import { UIManager } from './ui/UIManager.js';
 import { SoundManager } from './audio/SoundManager.js';
+import { RacePhase } from './shared/RacePhase.js';
+import { GENERATOR_PARAMETERS, TRACK_STYLES, normalizeGeneratorOptions } from './shared/TrackGenerator.js';
 
 /**
  * Game - Main game coordinator
@@ -25,16 +33,69 @@ export class Game {
         // Set track reference in game state for spawning
         this.gameState.setTrack(this.sceneManager.getTrack());
         
+        // Dev: ?netLatency=ms&netJitter=ms&netLoss=0..1 simulate a bad connection
+        const params = new URLSearchParams(window.location.search);
+        const simulation = {
+            latency: params.get('netLatency'),
+            jitter: params.get('netJitter'),
+            loss: params.get('netLoss')
+        };
+        
         // Systems
         this.particles = new ParticleSystem(this.sceneManager.getScene());
-        this.network = new NetworkClient(this.gameState);
+        this.network = new NetworkClient(this.gameState, { simulation });
         this.ui = new UIManager(this.gameState);
         this.sound = new SoundManager();
         
+        // Local controls
+        this.input = new KeyboardInput();
+        
+        // Track editor (F2), works on the scene's track until closed
+        this.trackEditor = new TrackEditor(this.sceneManager, this.camera, this.renderer.getRenderer().domElement);
+        this.raceTrack = { seed: this.sceneManager.getTrack().seed, definition: null, generator: null }; // Track restored after editing
+        
+        // F2 opens the track editor, F3 shows the network diagnostics, F4 the racing line
+        this.showDrivingLine = false;
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'F2') {
+                e.preventDefault();
+                this._toggleTrackEditor();
+            } else if (e.key === 'F3') {
+                e.preventDefault();
+                this.ui.toggleNetworkPanel();
+            } else if (e.key === 'F4') {
+                e.preventDefault();
+                this.showDrivingLine = !this.showDrivingLine;
+                this.sceneManager.getTrack()?.setDrivingLineVisible(this.showDrivingLine);
+            }
+        });
+        
+        // Track file chosen by the host (?track=name), null = the server's choice
+        this.selectedTrack = params.get('track');
+        
+        // Options of the generated tracks (?style=oval|technical|sprint|figure-eight), set by the host in the lobby
+        this.generatorOptions = normalizeGeneratorOptions({ style: params.get('style') });
+        this.ui.setGeneratorSettings(
+            { ...this.generatorOptions, styles: TRACK_STYLES, parameters: GENERATOR_PARAMETERS },
+            (options) => { this.generatorOptions = options; }
+        );
+        
+        // AI opponents of offline races (?ai=count&aiLevel=easy|medium|hard)
+        this.opponentOptions = {
+            count: params.has('ai') ? Number(params.get('ai')) || 0 : 3,
+            difficulty: AI_DIFFICULTY[params.get('aiLevel')] ? params.get('aiLevel') : 'medium'
+        };
+        
+        // Remote cars are rendered slightly in the past (?interpDelay=ms to tune)
+        this.interpolationOptions = {
+            delay: Number(params.get('interpDelay')) || INTERPOLATION_DEFAULTS.delay
+        };
+        
         // Players
         this.localCar = null;
         this.remotePlayers = new Map();
         this.carModelTemplate = null;
+        this.lastSnapshotTick = -1; // Server tick of the last world snapshot
         
         // Timing
         this.prevTime = performance.now();
@@ -60,11 +121,12 @@ export class Game {
         // Initialize minimap with track data
         const track = this.sceneManager.getTrack();
         if (track && track.skeletonPoints) {
-            this.ui.initMinimap(track.skeletonPoints);
+            this.ui.initMinimap(track.skeletonPoints, track.getAnalysis(), track.layout.closed);
         }
         
         // Create local car
         this.localCar = new Car(this.sceneManager.getScene(), true);
+        this.localCar.setTrackLayout(track.layout);
         
         // Load car model
         try {
@@ -80,13 +142,36 @@ export class Game {
             console.error('Failed to load car model:', err);
         }
         
-        // Connect to multiplayer
+        // Track files the host can choose from (tracks/index.json)
+        fetchTrackList().then((tracks) => {
+            this.ui.setTrackChoices(tracks, this.selectedTrack || 'random', (id) => {
+                this.selectedTrack = id;
+            });
+            this.ui.updateHostControls(
+                () => this._onStartGame(),
+                () => this._onResetGame(),
+                () => this._onReturnToLobby()
+            );
+        }).catch((err) => console.warn(err.message));
+        
+        // Connect to multiplayer, or race alone when the server is unreachable
         try {
             await this.network.connect();
-            this.network.startStateUpdates(this.localCar);
         } catch (err) {
             console.warn('Running in offline mode');
+            this.network = new LocalSession(this.gameState, {
+                opponents: this.opponentOptions.count,
+                difficulty: this.opponentOptions.difficulty,
+                getTrack: () => this.sceneManager.getTrack()
+            });
+            this.ui.setOpponentSettings(
+                { ...this.opponentOptions, difficulties: AI_DIFFICULTY },
+                (count, difficulty) => this.network.setOpponents(count, difficulty)
+            );
+            this._setupNetworkHandlers();
+            await this.network.connect();
         }
+        this.network.startInputUpdates();
         
         // Start game loop
         this.animate();
@@ -98,21 +183,64 @@ export class Game {
     _setupNetworkHandlers() {
         // Handle welcome message (already handled in NetworkClient)
         this.network.on('welcome', (msg) => {
+            this.lastSnapshotTick = -1;
+            this.gameState.setRaceState(msg.race, this.network.getServerTime());
+            this.ui.updateRoomCode(msg.offline ? 'Hors ligne' : msg.roomCode);
+            
+            // Build the same track as the other players
+            const trackSeed = msg.race.trackSeed;
+            if (trackSeed !== null && trackSeed !== this.sceneManager.getTrack()?.seed) {
+                this._loadTrack(trackSeed, msg.race.trackDefinition, msg.race.trackGenerator);
+                const spawn = this.gameState.getRandomSpawnPosition();
+                this.localCar.spawn(spawn.x, spawn.y, spawn.z, spawn.rotY);
+            }
+            
+            // After a reconnection: forget players who left meanwhile, get our laps back
+            if (msg.players) {
+                this.remotePlayers.forEach((player, id) => {
+                    if (!msg.players.includes(id)) {
+                        this._handleDisconnect({ id });
+                    }
+                });
+            }
+            if (msg.resumed && msg.progress) {
+                this.localCar.restoreLapProgress(msg.progress);
+            }
+            
             if (this.gameState.isHost) {
                 this.ui.showHostControls(
                     () => this._onStartGame(),
-                    () => this._onResetGame()
+                    () => this._onResetGame(),
+                    () => this._onReturnToLobby()
                 );
             }
             
-            if (!this.gameState.canPlay) {
+            if (!this.gameState.canPlay && !msg.resumed) {
                 this.camera.enterSpectatorMode();
-                this.ui.showSpectatorMode('Partie en cours, vous rejoindrez la prochaine');
+                this.ui.showSpectatorMode('Course en cours, vous rejoindrez la prochaine');
+            }
+        });
+        
+        // Connection lost / back (see NetworkClient reconnection)
+        this.network.on('connection_status', (msg) => {
+            if (msg.status === 'reconnecting') {
+                this.ui.showReconnecting(msg.attempt);
+            } else {
+                this.ui.hideReconnecting();
             }
         });
         
-        // Handle player state updates
-        this.network.on('state', (msg) => this._handlePlayerState(msg));
+        // Handle world snapshots (every car at the same server tick)
+        this.network.on('snapshot', (msg) => this._handleSnapshot(msg));
+        
+        // Handle names and colors of the other players
+        this.network.on('player_info', (msg) => {
+            this.gameState.setPlayerInfo(msg.sender, { name: msg.name, color: msg.color });
+            const player = this.remotePlayers.get(msg.sender);
+            if (player && msg.color !== undefined) {
+                player.setColor(msg.color);
+            }
+        });
         
         // Handle disconnections
         this.network.on('disconnect', (msg) => this._handleDisconnect(msg));
@@ -126,29 +254,51 @@ export class Game {
             console.log('You are now the host!');
             this.ui.showHostControls(
                 () => this._onStartGame(),
-                () => this._onResetGame()
+                () => this._onResetGame(),
+                () => this._onReturnToLobby()
             );
         });
         
-        // Handle game restart
-        this.network.on('game_restart', (msg) => this._handleGameRestart(msg));
+        // Handle race lifecycle (lobby → countdown → racing → results)
+        this.network.on('race_phase', (msg) => this._handleRacePhase(msg));
+        
+        // Checkpoints and laps are validated by the server
+        this.network.on('checkpoint', (msg) => {
+            this.localCar.passCheckpoint(msg.checkpointId);
+            console.log(`Checkpoint ${msg.checkpointId + 1} passed`);
+        });
+        this.network.on('lap_complete', (msg) => this._handleLapComplete(msg));
+    }
+
+    /**
+     * Handle a world snapshot from the server
+     * Snapshots older than the last one are dropped (ticks restart with each connection)
+     */
+    _handleSnapshot(msg) {
+        if (msg.tick < this.lastSnapshotTick) return;
+        this.lastSnapshotTick = msg.tick;
         
-        // Handle game over
-        this.network.on('game_over', (msg) => this._handleGameOver(msg));
+        msg.states.forEach((state) => this._handlePlayerState({ ...state, time: msg.time }));
     }
 
     /**
-     * Handle remote player state update
+     * Handle authoritative player state from the server
      */
     _handlePlayerState(msg) {
         const id = msg.sender;
-        if (id === this.gameState.localId) return;
+        if (id === this.gameState.localId) {
+            // Our own car: correct the prediction
+            this.localCar.reconcile(msg);
+            return;
+        }
         
         let player = this.remotePlayers.get(id);
         
         if (!player) {
             // Create new remote player
-            player = new Car(this.sceneManager.getScene(), false);
+            player = new Car(this.sceneManager.getScene(), false, {
+                interpolation: this.interpolationOptions
+            });
             
             if (this.carModelTemplate) {
                 player.mesh = this.carModelTemplate.clone(true);
@@ -169,13 +319,18 @@ export class Game {
                 this.sceneManager.add(player.mesh);
             }
             
-            player.setTarget(msg.x, msg.y, msg.z, msg.rotY, msg.vx, msg.vz, msg.segmentId, msg.segmentT);
+            const color = this.gameState.players.get(id)?.color;
+            if (color !== undefined) {
+                player.setColor(color);
+            }
+            
+            player.addSnapshot(msg);
             this.remotePlayers.set(id, player);
             
             console.log('Created remote player:', id);
         } else {
             // Update existing player
-            player.setTarget(msg.x, msg.y, msg.z, msg.rotY, msg.vx, msg.vz, msg.segmentId, msg.segmentT);
+            player.addSnapshot(msg);
             if (msg.lives !== undefined) {
                 player.lives = msg.lives;
                 player.isDead = msg.lives <= 0;
@@ -199,12 +354,11 @@ export class Game {
 
     /**
      * Handle collision push from server
+     * The push itself is applied by the server and arrives with our next state
      */
     _handleCollisionPush(msg) {
         if (msg.target === this.gameState.localId && this.localCar.mesh && !this.localCar.isDead) {
             const pushForce = new THREE.Vector3(msg.forceX || 0, msg.forceY || 0, msg.forceZ || 0);
-            this.localCar.mesh.position.add(pushForce);
-            this.localCar.speed *= 0.5;
             
             // Apply camera tilt when receiving collision push from server
             const pushDirection = pushForce.clone().normalize();
@@ -214,28 +368,71 @@ export class Game {
     }
 
     /**
-     * Handle game restart
+     * Handle a lap validated by the server
      */
-    _handleGameRestart(msg) {
-        console.log('Game restarting!');
-        
-        // Regenerate track with new layout
-        this.sceneManager.regenerateTrack();
+    _handleLapComplete(msg) {
+        if (msg.sender === this.gameState.localId) {
+            this.localCar.completeLap(msg.lap);
+            // The last lap is shown with the results
+            if (!msg.finished) {
+                this.ui.showLapComplete(msg.lap, msg.lapTime);
+            }
+        } else {
+            const player = this.remotePlayers.get(msg.sender);
+            if (player) {
+                player.completeLap(msg.lap);
+            }
+        }
+    }
+
+    /**
+     * Handle race phase change from server
+     */
+    _handleRacePhase(msg) {
+        const previousPhase = this.gameState.phase;
+        this.gameState.setRaceState(msg, this.network.getServerTime());
+        
+        switch (msg.phase) {
+            case RacePhase.COUNTDOWN:
+                this._prepareRace(msg);
+                break;
+            case RacePhase.RACING:
+                if (previousPhase === RacePhase.COUNTDOWN) {
+                    this.ui.showGo();
+                }
+                break;
+            case RacePhase.RESULTS:
+                this.ui.showResults(this.gameState.standings, this.gameState.localId);
+                break;
+            case RacePhase.LOBBY:
+                // Everyone (including spectators) can join the next race
+                this.gameState.setCanPlay(true);
+                this.camera.enableFollow();
+                this.ui.clearMessages();
+                break;
+        }
         
-        // Update game state with new track
-        this.gameState.setTrack(this.sceneManager.getTrack());
+        this.ui.updateHostControls(
+            () => this._onStartGame(),
+            () => this._onResetGame(),
+            () => this._onReturnToLobby()
+        );
+    }
+
+    /**
+     * Put everyone on the starting grid of the new race during the countdown
+     */
+    _prepareRace(msg) {
+        console.log('Race starting!');
         
-        // Reinitialize minimap with new track
-        const track = this.sceneManager.getTrack();
-        if (track && track.skeletonPoints) {
-            this.ui.initMinimap(track.skeletonPoints);
-        }
+        // Regenerate track with the layout chosen by the server
+        this._loadTrack(msg.trackSeed, msg.trackDefinition, msg.trackGenerator);
         
         this.gameState.reset();
-        this.gameState.setCanPlay(true);
+        this.gameState.setCanPlay(this.gameState.isRacer());
         
-        // Reset local car
-        const spawn = this.gameState.getRandomSpawnPosition();
+        // Reset local car on its grid slot
+        const spawn = this.gameState.getGridSpawnPosition(this.gameState.getGridSlot());
         this.localCar.spawn(spawn.x, spawn.y, spawn.z, spawn.rotY);
         
         // Reset remote players
@@ -243,45 +440,107 @@ export class Game {
             player.lives = 3;
             player.isDead = false;
             player.resetLapProgress();
+            player.snapshots.clear(); // Their grid position follows
         });
         
-        // Re-enable camera follow
-        this.camera.enableFollow();
-        
         // Clear UI
         this.ui.clearMessages();
-        this.ui.updateHostControls(
-            () => this._onStartGame(),
-            () => this._onResetGame()
-        );
+        
+        if (this.gameState.canPlay) {
+            // Re-enable camera follow
+            this.camera.enableFollow();
+            this.ui.showCountdown(this.gameState.phaseEndsAt);
+        } else {
+            this.camera.enterSpectatorMode();
+            this.ui.showSpectatorMode('Course en cours, vous rejoindrez la prochaine');
+        }
     }
 
     /**
-     * Handle game over
+     * Rebuild the track from a seed and update everything that depends on it
+     * @param {number} seed - Track seed shared by all players
+     * @param {Object} definition - Track definition of the race, when it is not generated
+     * @param {Object} generator - Generator options of the race, when it is generated
      */
-    _handleGameOver(msg) {
-        console.log('Game Over! Winner:', msg.winnerId);
-        this.gameState.setWinner(msg.winnerId);
-        
-        if (msg.winnerId === null) {
-            this.ui.showDraw();
-        } else if (msg.winnerId === this.gameState.localId) {
-            this.ui.showVictory();
-        } else {
-            this.ui.showDefeat(msg.winnerId);
+    _loadTrack(seed, definition = null, generator = null) {
+        // The editor works on the scene's track, which is replaced
+        this._stopTrackEditing();
+        this.raceTrack = { seed, definition, generator };
+        this.sceneManager.regenerateTrack(seed, definition, generator);
+        
+        // Update game state with new track
+        const track = this.sceneManager.getTrack();
+        this.gameState.setTrack(track);
+        this.localCar?.setTrackLayout(track.layout);
+        
+        // Reinitialize minimap with new track
+        if (track && track.skeletonPoints) {
+            this.ui.initMinimap(track.skeletonPoints, track.getAnalysis(), track.layout.closed);
+        }
+        track.setDrivingLineVisible(this.showDrivingLine);
+    }
+
+    /**
+     * Open the track editor, or close it and get the race track back
+     * The editor is not available during a race
+     */
+    _toggleTrackEditor() {
+        if (this.trackEditor.isOpen) {
+            this._loadTrack(this.raceTrack.seed, this.raceTrack.definition, this.raceTrack.generator);
+            const spawn = this.gameState.getRandomSpawnPosition();
+            this.localCar.spawn(spawn.x, spawn.y, spawn.z, spawn.rotY);
+            return;
+        }
+        if (this.gameState.phase === RacePhase.COUNTDOWN || this.gameState.phase === RacePhase.RACING) {
+            console.warn('The track editor is not available during a race');
+            return;
         }
         
-        this.ui.updateHostControls(
-            () => this._onStartGame(),
-            () => this._onResetGame()
-        );
+        const editor = this.trackEditor;
+        this.ui.showTrackEditor({
+            onAction: (action) => {
+                switch (action) {
+                    case 'add': editor.addPoint(); break;
+                    case 'remove': editor.removePoint(); break;
+                    case 'checkpoint': editor.toggleCheckpoint(); break;
+                    case 'start': editor.setStartLine(); break;
+                    case 'save': {
+                        const fileName = saveTrackFile(editor.getDefinition());
+                        this.ui.updateTrackEditor({ ...editor.getState(), message: `Enregistré : ${fileName}.json` });
+                        break;
+                    }
+                    case 'close': this._toggleTrackEditor(); break;
+                }
+            },
+            onPointChange: (field, value) => editor.updatePoint(field, value),
+            onNameChange: (name) => editor.setName(name),
+            onOpenFile: (file) => {
+                readTrackFile(file)
+                    .then((definition) => editor.load(definition))
+                    .catch((err) => this.ui.updateTrackEditor({ ...editor.getState(), message: err.message }));
+            }
+        });
+        editor.open((state) => this.ui.updateTrackEditor(state));
+        const track = this.sceneManager.getTrack();
+        this.ui.initMinimap(track.skeletonPoints, null, track.layout.closed);
+    }
+
+    /**
+     * Close the track editor without restoring the track (it is about to be replaced)
+     */
+    _stopTrackEditing() {
+        if (!this.trackEditor.isOpen) return;
+        
+        this.trackEditor.close();
+        this.ui.hideTrackEditor();
+        this.camera.enableFollow();
     }
 
     /**
      * Start game button handler
      */
     _onStartGame() {
-        this.network.startGame();
+        this.network.startGame(this.selectedTrack, this.generatorOptions);
     }
 
     /**
@@ -289,10 +548,17 @@ export class Game {
      */
     _onResetGame() {
         if (confirm('Êtes-vous sûr de vouloir réinitialiser la partie ?')) {
-            this.network.startGame();
+            this.network.startGame(this.selectedTrack, this.generatorOptions);
         }
     }
 
+    /**
+     * Return to lobby button handler
+     */
+    _onReturnToLobby() {
+        this.network.returnToLobby();
+    }
+
     /**
      * Check collisions between local car and remote players
      */
@@ -315,21 +581,8 @@ export class Game {
                     .subVectors(player.mesh.position, this.localCar.mesh.position)
                     .normalize();
                 
-                // Reduced collision forces for racetrack gameplay
-                const impactForce = Math.abs(this.localCar.speed) * 0.015; // Reduced from 0.035
-                const restitution = 0.6; // Reduced from 1.2
-                const separationForce = 1.0; // Reduced from 2.5
-                
-                // Send collision to server
-                this.network.sendCollisionPush(
-                    id,
-                    collisionVector.x * (impactForce * restitution + separationForce),
-                    0,
-                    collisionVector.z * (impactForce * restitution + separationForce)
-                );
-                
-                // Reduce local car speed (less aggressive)
-                this.localCar.speed *= 0.92; // Changed from 0.85
+                // Report collision to server (it resolves the impact for both cars)
+                this.network.reportCollision(id);
                 
                 // Play impact sound based on collision intensity
                 const speedRatio = Math.abs(this.localCar.speed) / this.localCar.maxSpeed;
@@ -384,109 +637,23 @@ export class Game {
     }
 
     /**
-     * Check collisions with track walls
+     * Play wall impact effects
+     * The bounce itself is part of the car physics (see shared/CarPhysics)
      */
-    _checkWallCollisions() {
-        if (!this.localCar.mesh || this.localCar.isDead) return;
-        
-        const track = this.sceneManager.getTrack();
-        if (!track) return;
-
-        const collision = track.checkWallCollision(this.localCar.mesh.position);
-        
-        if (collision) {
-            // More aggressive push to prevent clipping
-            const pushStrength = Math.min(collision.penetrationDepth * 1.5, 1.0);
-            this.localCar.mesh.position.add(
-                collision.correctionVector.multiplyScalar(pushStrength)
-            );
-            
-            // Calculate impact intensity for sound
-            const speedBeforeImpact = Math.abs(this.localCar.speed);
-            
-            // Reduce speed by 30%
-            this.localCar.speed *= 0.7;
-            
-            // Play impact sound if speed is significant
-            if (speedBeforeImpact > 10) {
-                const speedRatio = speedBeforeImpact / this.localCar.maxSpeed;
-                this.sound.playImpact(speedRatio);
-            }
-            
-            // Turn the car away from the wall
-            // Calculate the direction we want the car to face (along the correction vector)
-            const desiredDirection = collision.correctionVector.clone();
-            const currentRotation = this.localCar.mesh.rotation.y;
-            const targetRotation = Math.atan2(desiredDirection.x, desiredDirection.z);
-            
-            // Calculate shortest rotation difference
-            let rotationDiff = targetRotation - currentRotation;
-            // Normalize to -PI to PI range
-            while (rotationDiff > Math.PI) rotationDiff -= Math.PI * 2;
-            while (rotationDiff < -Math.PI) rotationDiff += Math.PI * 2;
-            
-            // Apply stronger rotation toward the correction direction
-            const turnStrength = 0.2; // Increased from 0.15 for more aggressive turning
-            this.localCar.mesh.rotation.y += rotationDiff * turnStrength;
-            
-            // Emit particles on harder impacts
-            if (Math.abs(this.localCar.speed) > 10) {
-                this.particles.emitExplosion(this.localCar.mesh.position.clone());
-            }
+    _checkWallCollisions(actions) {
+        if (!actions || !actions.wallImpact) return;
+        
+        // Play impact sound if speed is significant
+        const speedBeforeImpact = actions.wallImpact;
+        if (speedBeforeImpact > 10) {
+            const speedRatio = speedBeforeImpact / this.localCar.maxSpeed;
+            this.sound.playImpact(speedRatio);
         }
-    }
-
-    /**
-     * Check if car passes through checkpoints and finish line
-     */
-    _checkCheckpoints() {
-        if (!this.localCar.mesh || this.localCar.isDead) return;
         
-        const track = this.sceneManager.getTrack();
-        if (!track) return;
-
-        const currentPos = this.localCar.mesh.position.clone();
-        const lastPos = this.localCar.lastPosition;
-        
-        // Check each checkpoint
-        for (let i = 0; i < track.checkpoints.length; i++) {
-            if (!this.localCar.checkpointsCleared.has(i)) {
-                const checkpoint = track.checkCheckpoint(lastPos, currentPos, i);
-                if (checkpoint) {
-                    this.localCar.passCheckpoint(i);
-                    console.log(`Checkpoint ${i + 1}/${track.checkpoints.length} passed`);
-                    
-                    // Send checkpoint update to server
-                    this.network.sendMessage({
-                        type: 'checkpoint',
-                        checkpointId: i
-                    });
-                }
-            }
-        }
-        
-        // Check finish line (only if all checkpoints are cleared)
-        if (this.localCar.allCheckpointsCleared()) {
-            const crossedFinish = track.checkFinishLine(lastPos, currentPos);
-            if (crossedFinish) {
-                const lapCompleted = this.localCar.completeLap();
-                if (lapCompleted) {
-                    console.log(`🏁 Lap ${this.localCar.currentLap} completed!`);
-                    
-                    // Send lap completion to server
-                    this.network.sendMessage({
-                        type: 'lap_complete',
-                        lap: this.localCar.currentLap
-                    });
-                    
-                    // Show UI feedback
-                    this.ui.showLapComplete(this.localCar.currentLap);
-                }
-            }
+        // Emit particles on harder impacts
+        if (Math.abs(this.localCar.speed) > 10) {
+            this.particles.emitExplosion(this.localCar.mesh.position.clone());
         }
-        
-        // Update last position for next frame
-        this.localCar.lastPosition.copy(currentPos);
     }
 
     /**
@@ -509,7 +676,7 @@ export class Game {
         this.remotePlayers.forEach((player, id) => {
             players.push({
                 id: id,
-                name: null,
+                name: this.gameState.getPlayerName(id),
                 laps: player.currentLap || 0,
                 isLocal: false
             });
@@ -599,28 +766,38 @@ export class Game {
         const dt = Math.max(0, (now - this.prevTime) / 1000);
         this.prevTime = now;
         
-        // Update remote players (interpolation)
+        // Update remote players (snapshot interpolation)
+        // Snapshots arrive one-way latency after they were taken: render against the newest data
+        const serverNow = this.network.getServerTime() - this.network.getLatency();
         this.remotePlayers.forEach((player) => {
-            player.interpolate(dt);
+            player.interpolate(serverNow, this.sceneManager.getTrack());
         });
         
         // Check collisions
         this._checkCollisions(dt);
         
-        // Check wall collisions
-        this._checkWallCollisions();
-        
-        // Check checkpoints and finish line
-        this._checkCheckpoints();
-        
         // Check if fell off platform
         this._checkFallOff();
         
+        // Track editor: rebuild the edited track (the minimap follows, without the analysis while editing)
+        const editing = this.trackEditor.isOpen;
+        if (editing && this.trackEditor.update()) {
+            const track = this.sceneManager.getTrack();
+            this.ui.initMinimap(track.skeletonPoints, null, track.layout.closed);
+        }
+        
         // Update local car physics
-        const canMove = !this.localCar.isDead && 
+        const canMove = !editing &&
+                       !this.localCar.isDead && 
                        this.gameState.isGameActive && 
                        this.gameState.canPlay;
-        const actions = this.localCar.updatePhysics(dt, canMove);
+        const actions = this.localCar.updatePhysics(dt, this.input.getInput(), canMove);
+        if (actions) {
+            this.network.queueInput(actions.input);
+        }
+        
+        // Wall impact effects
+        this._checkWallCollisions(actions);
         
         // Update car to follow track surface
         if (canMove) {
@@ -668,8 +845,8 @@ export class Game {
         // Update particles
         this.particles.update(dt);
         
-        // Update camera
-        if (!this.localCar.isDead) {
+        // Update camera (the editor has its own view)
+        if (!this.localCar.isDead && !editing) {
             this.camera.follow(
                 this.localCar.getActiveMesh(), 
                 this.localCar.speed,
@@ -681,9 +858,10 @@ export class Game {
         // Update UI
         this.ui.updateLives(this.localCar.lives, this.localCar.maxLives);
         this.ui.updateBoost(this.localCar.boostEnergy, this.localCar.boostMaxEnergy);
-        this.ui.updateLap(this.localCar.currentLap);
+        this.ui.updateLap(this.localCar.currentLap, this.gameState.lapCount);
         this.ui.updateSpeed(this.localCar.speed);
         this.ui.updateParticleCount(this.particles.getParticleCount());
+        this.ui.updateNetworkStats(this.network.getStats());
         
         // Update leaderboard
         this._updateLeaderboard();
@@ -180,6 +180,22 @@ export class CameraManager {
         this.currentRoll = 0;
     }
 
+    /**
+     * Look down on a point of the ground from above (track editor view)
+     * @param {number} x
+     * @param {number} z
+     * @param {number} height - Distance above the ground, zooms the view
+     */
+    lookDownAt(x, z, height) {
+        this.followConfig.enabled = false;
+        this.camera.fov = this.dynamicConfig.baseFov;
+        this.camera.updateProjectionMatrix();
+        this.camera.position.set(x, height, z + height * 0.25); // Slightly tilted to see the altitudes
+        this.camera.lookAt(x, 0, z);
+        this.lookAtTarget.set(x, 0, z);
+        this.currentRoll = 0;
+    }
+
     /**
      * Enable camera follow
      */
@@ -16,9 +16,9 @@ export class SceneManager {
         this._setupLights();
     }
 
-    _setupTrack() {
-        // Create racing track
-        this.track = new Track(this.scene);
+    _setupTrack(seed, definition = null, generator = null) {
+        // Create racing track (random seed if none given, or from a track definition)
+        this.track = new Track(this.scene, seed, definition, generator);
         console.log('Track initialized');
     }
 
@@ -48,14 +48,17 @@ export class SceneManager {
     }
 
     /**
-     * Regenerate the track with a new random layout
+     * Regenerate the track with a new layout
+     * @param {number} seed - Track seed chosen by the server (random if omitted)
+     * @param {Object} definition - Track definition to build instead of generating one
+     * @param {Object} generator - Options of the generated track { style, length, ... } (see TrackGenerator)
      */
-    regenerateTrack() {
+    regenerateTrack(seed, definition = null, generator = null) {
         if (this.track) {
             this.track.destroy();
             this.track = null;
         }
-        this._setupTrack();
+        this._setupTrack(seed, definition, generator);
         console.log('Track regenerated with new layout');
     }
 
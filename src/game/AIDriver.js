@@ -0,0 +1,150 @@
+import { CAR_PHYSICS, clamp, shortestAngle } from '../shared/CarPhysics.js';
+
+/**
+ * Difficulty levels of the AI opponents
+ */
+export const AI_DIFFICULTY = Object.freeze({
+    easy: Object.freeze({
+        label: 'Facile',
+        speed: 0.75, // Share of the planned speeds actually driven
+        braking: 0.6, // Share of the real braking power assumed when planning (lower = brakes earlier)
+        line: 0.3, // Use of the track width (0 = centerline, 1 = full racing line)
+        steerNoise: 0.15, // Random steering wobble
+        boost: false,
+        drift: false
+    }),
+    medium: Object.freeze({
+        label: 'Moyen',
+        speed: 0.88,
+        braking: 0.8,
+        line: 0.7,
+        steerNoise: 0.06,
+        boost: true,
+        drift: false
+    }),
+    hard: Object.freeze({
+        label: 'Difficile',
+        speed: 0.97,
+        braking: 0.95,
+        line: 1.0,
+        steerNoise: 0.02,
+        boost: true,
+        drift: true
+    })
+});
+
+const LOOK_AHEAD = 4; // Distance to the steering target at rest
+const LOOK_AHEAD_TIME = 0.35; // Extra steering target distance per unit of speed (seconds of travel)
+const REACTION_TIME = 0.3; // The planned speed is read this far ahead (seconds of travel)
+const STEER_GAIN = 3;
+const WALL_PROBE_TIME = 0.4; // Walls are probed where the car will be in this many seconds
+const WALL_AVOIDANCE = 0.6; // Weight of the wall escape direction in the steering
+const WALL_SLOWDOWN = 0.6; // Share of the planned speed kept while steering away from a wall
+const DRIFT_ANGLE = 0.35; // Heading error (radians) above which hard drivers drift
+
+/**
+ * AIDriver - Computer driver for a car
+ * Takes its line and speeds from the track's analysis (see TrackAnalysis), adjusted to its
+ * difficulty, then turns the car state into inputs every step:
+ * steer toward a point ahead on the line, brake to the planned speed, boost on straights, drift
+ * in tight turns and steer away from the walls ahead (Track.checkWallCollision).
+ * Produces the same inputs as KeyboardInput, so the car runs the shared physics like any player.
+ */
+export class AIDriver {
+    /**
+     * @param {string} difficulty - Key of AI_DIFFICULTY
+     */
+    constructor(difficulty = 'medium') {
+        this.difficulty = AI_DIFFICULTY[difficulty] ? difficulty : 'medium';
+        this.settings = AI_DIFFICULTY[this.difficulty];
+
+        this.track = null; // Track the line was planned on
+        this.analysis = null;
+        this.line = []; // Line points { x, z, speed }, one per analysis sample
+        this.lineIndex = null; // Sample closest to the car (search hint)
+        this.wobble = 0; // Current steering noise
+    }
+
+    /**
+     * Choose the input for the next step
+     * @param {Object} state - Car state (see shared/CarPhysics)
+     * @param {Track} track - Track being raced
+     * @param {number} dt - Step duration in seconds
+     * @returns {Object} { throttle, steer, boost, drift }
+     */
+    getInput(state, track, dt) {
+        if (track !== this.track) {
+            this._planRacingLine(track);
+        }
+
+        const count = this.line.length;
+        const index = this.analysis.findClosestSample(state.x, state.z, this.lineIndex);
+        this.lineIndex = index;
+        const speed = Math.abs(state.speed);
+        const travel = speed * CAR_PHYSICS.distanceScale; // Units per second
+        // Line point some samples ahead: around the loop, up to the end of an open track
+        const ahead = (samples) => this.line[this.analysis.closed ? (index + samples) % count : Math.min(count - 1, index + samples)];
+
+        // Steer toward a point ahead on the line (the car moves toward (sin rotY, cos rotY))
+        const spacing = this.analysis.spacing;
+        const target = ahead(Math.round((LOOK_AHEAD + travel * LOOK_AHEAD_TIME) / spacing));
+        let error = shortestAngle(Math.atan2(target.x - state.x, target.z - state.z) - state.rotY);
+
+        // A wall where we are heading (off the line, pushed by another car): turn back toward the track
+        const probe = LOOK_AHEAD + travel * WALL_PROBE_TIME;
+        const heading = state.rotY + error;
+        const wall = track.checkWallCollision({
+            x: state.x + Math.sin(heading) * probe,
+            y: state.y,
+            z: state.z + Math.cos(heading) * probe
+        }, state.segmentId);
+        if (wall) {
+            const escape = shortestAngle(Math.atan2(wall.correctionVector.x, wall.correctionVector.z) - state.rotY);
+            error = error * (1 - WALL_AVOIDANCE) + escape * WALL_AVOIDANCE;
+        }
+
+        // Slowest planned speed within the reaction distance
+        const reach = Math.round(travel * REACTION_TIME / spacing);
+        let plannedSpeed = Infinity;
+        for (let i = 0; i <= reach; i++) {
+            plannedSpeed = Math.min(plannedSpeed, ahead(i).speed);
+        }
+        const targetSpeed = plannedSpeed * this.settings.speed * (wall ? WALL_SLOWDOWN : 1);
+
+        let throttle = 0;
+        if (speed < targetSpeed) {
+            throttle = 1;
+        } else if (speed > targetSpeed + 10) {
+            throttle = -1;
+        }
+
+        // Slowly varying steering noise, so the weaker drivers do not follow the line perfectly
+        this.wobble += ((Math.random() * 2 - 1) * this.settings.steerNoise - this.wobble) * Math.min(1, dt * 2);
+
+        return {
+            throttle,
+            steer: clamp(error * STEER_GAIN + this.wobble, -1, 1),
+            // Boost only pays off where the line allows more than the normal top speed
+            boost: this.settings.boost && !wall && targetSpeed > CAR_PHYSICS.maxSpeed
+                && Math.abs(error) < 0.1 && state.boostEnergy > 0.25,
+            drift: this.settings.drift && Math.abs(error) > DRIFT_ANGLE && speed > 100
+        };
+    }
+
+    /**
+     * Plan the line and its speeds for a track
+     * Weaker drivers use less of the track width and brake earlier than the analysis suggests,
+     * boosting drivers count on the boosted top speed on the straights
+     */
+    _planRacingLine(track) {
+        this.track = track;
+        this.analysis = track.getAnalysis();
+        this.lineIndex = null;
+
+        const topSpeed = CAR_PHYSICS.maxSpeed * (this.settings.boost ? CAR_PHYSICS.boostMaxMultiplier : 1);
+        this.line = this.analysis.getLine(this.settings.line);
+        this.analysis.getSpeedProfile(this.line, { braking: this.settings.braking, topSpeed }).forEach((speed, i) => {
+            this.line[i].speed = speed;
+        });
+    }
+}
@@ -1,11 +1,20 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { CAR_PHYSICS, createCarState, stepCar, simulateInputs, shortestAngle } from '../shared/CarPhysics.js';
+import { SnapshotBuffer } from '../network/SnapshotBuffer.js';
+import { quantizeFrame } from '../shared/Protocol.js';
 
 /**
- * Car - Manages individual car state, physics, controls, and model
+ * Car - Renders a car and wraps its simulation state
+ * The physics live in shared/CarPhysics (no DOM, no THREE.js), inputs come from outside (see KeyboardInput)
  */
 export class Car {
-    constructor(scene, isLocal = false) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {boolean} isLocal - Local player (prediction) or remote player (interpolation)
+     * @param {Object} options - { interpolation } options of the remote snapshot buffer (see SnapshotBuffer)
+     */
+    constructor(scene, isLocal = false, options = {}) {
         this.scene = scene;
         this.isLocal = isLocal;
         
@@ -13,14 +22,19 @@ export class Car {
         this.mesh = null;
         this.placeholder = null;
         
-        // Physics properties
+        // Physics state, simulated with the same code as the server (see shared/CarPhysics)
+        this.state = createCarState();
+        this.layout = null; // TrackLayout used for walls and altitude
         this.speed = 0;
-        this.maxSpeed = 250; // Increased from 190
-        this.accel = 20;
-        this.baseMaxSpeed = 250; // Increased from 190
-        this.baseAccel = 20;
-        this.turnSpeed = Math.PI * 0.5; // Slightly increased from 0.45 for better turning
-        this.turnSpeedPenalty = 0.998; // Speed multiplier when turning (99.8% - much less harsh)
+        this.maxSpeed = CAR_PHYSICS.maxSpeed;
+        
+        // Client-side prediction
+        this.inputSeq = 0; // Sequence number of the last input frame
+        this.pendingInputs = []; // Input frames not yet acknowledged by the server
+        this.maxPendingInputs = 120; // Older frames are dropped (offline or very late server)
+        this.correctionOffset = { x: 0, z: 0, rotY: 0 }; // Visual error left by the last reconciliation
+        this.correctionDecay = 10; // How quickly the visual error fades (per second)
+        this.correctionSnapDistance = 5; // Larger errors are corrected instantly
         
         // Track following properties
         this.trackPitch = 0; // Current pitch from track slope
@@ -31,20 +45,9 @@ export class Car {
         this.currentSegmentId = null; // Which track segment the car is currently on
         this.segmentT = 0; // Position along the current segment (0-1)
         
-        // Boost configuration
-        this.boostMultiplier = 2.0;
-        this.boostMaxMultiplier = 1.5;
-        this.boostEnergy = 1.0;
-        this.boostMaxEnergy = 1.0;
-        this.energyDrainRate = 0.8;
-        this.energyRegenRate = 0.35;
-        this.energyRegenDelay = 1.0;
-        this.energyRegenTimer = 0.0;
-        
-        // Skid/drift configuration
-        this.skidStrength = 0.12;
-        this.skidYawMultiplier = 1.8;
-        this.skidMinSpeed = 2.0;
+        // Boost
+        this.boostEnergy = CAR_PHYSICS.boostMaxEnergy;
+        this.boostMaxEnergy = CAR_PHYSICS.boostMaxEnergy;
         
         // Lives system
         this.lives = 3;
@@ -52,41 +55,30 @@ export class Car {
         this.isDead = false;
         
         // Collision properties
-        this.collisionRadius = 1.2;
+        this.collisionRadius = CAR_PHYSICS.collisionRadius;
         this.collisionCooldown = 0;
         this.collisionCooldownTime = 0.5;
         
         // Lap tracking
         this.currentLap = 0;
-        this.checkpointsCleared = new Set(); // Track which checkpoints have been passed
-        this.lastPosition = new THREE.Vector3(); // For checkpoint crossing detection
-        this.totalCheckpoints = 4; // Should match track's numCheckpoints
+        this.checkpointsCleared = new Set(); // Checkpoints passed this lap (validated by the server)
         
-        // For remote players - interpolation
-        this.targetPos = new THREE.Vector3();
-        this.targetRot = 0;
-        this.velocity = new THREE.Vector3();
+        // For remote players - timestamped snapshots rendered with a small delay
+        this.snapshots = isLocal ? null : new SnapshotBuffer(options.interpolation);
         
         // Angular velocity for camera effects
         this.angularVelocity = 0;
         
         // Color
         this.color = new THREE.Color().setHSL(Math.random(), 0.8, 0.5);
-        
-        // Input state (for local player)
-        this.keys = {};
-        if (isLocal) {
-            this._setupInput();
-        }
     }
 
-    _setupInput() {
-        window.addEventListener('keydown', (e) => { 
-            this.keys[e.key.toLowerCase()] = true; 
-        });
-        window.addEventListener('keyup', (e) => { 
-            this.keys[e.key.toLowerCase()] = false; 
-        });
+    /**
+     * Set the track geometry used by the physics
+     * @param {TrackLayout} layout
+     */
+    setTrackLayout(layout) {
+        this.layout = layout;
     }
 
     /**
@@ -146,22 +138,30 @@ export class Car {
         if (this.mesh) {
             this.mesh.position.set(x, y, z);
             this.mesh.rotation.y = rotY;
-            this.lastPosition.set(x, y, z);
         } else if (this.placeholder) {
             this.placeholder.position.set(x, y, z);
             this.placeholder.rotation.y = rotY;
-            this.lastPosition.set(x, y, z);
         }
+        this.state = createCarState(x, y, z, rotY);
+        this.pendingInputs = [];
+        this.correctionOffset = { x: 0, z: 0, rotY: 0 };
         this.speed = 0;
+        this.boostEnergy = this.state.boostEnergy;
+        this.currentSegmentId = null; // Found again from the spawn position
         this.lives = this.maxLives;
         this.isDead = false;
         this.resetLapProgress();
     }
 
     /**
-     * Update car physics and controls (for local player)
+     * Update car physics from an input (for local player)
+     * The input frame is applied immediately (prediction) and kept until the server acknowledges it
+     * @param {number} dt - Frame duration in seconds
+     * @param {Object} input - { throttle, steer, boost, drift } (see KeyboardInput)
+     * @param {boolean} canMove - False during countdown, results or spectating
+     * @returns {Object} Actions for effects, with the input frame to send to the server
      */
-    updatePhysics(dt, canMove = true) {
+    updatePhysics(dt, input, canMove = true) {
         if (!this.mesh || this.isDead || !canMove) return;
 
         // Update collision cooldown
@@ -169,114 +169,94 @@ export class Car {
             this.collisionCooldown -= dt;
         }
 
-        // Input processing
-        let forward = 0;
-        if (this.keys['s']) forward += 8; // Increased from 5 for stronger braking
-        if (this.keys['z'] || this.keys['w']) forward -= 5;
+        // Rounded like on the wire, so the server replays exactly what we predicted
+        const frame = quantizeFrame({
+            seq: ++this.inputSeq,
+            dt: Math.min(dt, CAR_PHYSICS.maxStepDt),
+            throttle: input.throttle,
+            steer: input.steer,
+            boost: input.boost,
+            drift: input.drift
+        });
+        this.pendingInputs.push(frame);
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
 
-        let turn = 0;
-        if (this.keys['q'] || this.keys['a']) turn += 1;
-        if (this.keys['d']) turn -= 1;
+        this.state = stepCar(this.state, frame, frame.dt, this.layout);
+        this._decayCorrection(dt);
+        this._applyState();
 
-        // Boost logic
-        const boosting = !!this.keys['shift'];
-        if (boosting && this.boostEnergy > 0) {
-            this.boostEnergy = Math.max(0, this.boostEnergy - this.energyDrainRate * dt);
-            this.energyRegenTimer = 0.0;
-        } else {
-            this.energyRegenTimer += dt;
-            if (this.energyRegenTimer >= this.energyRegenDelay) {
-                this.boostEnergy = Math.min(
-                    this.boostMaxEnergy, 
-                    this.boostEnergy + this.energyRegenRate * dt
-                );
-            }
-        }
+        return {
+            forward: -frame.throttle, // Same sign as speed: negative accelerates, positive brakes
+            turn: frame.steer,
+            boosting: this.state.boosting,
+            skidding: this.state.skidding,
+            wallImpact: this.state.wallImpact,
+            input: frame
+        };
+    }
 
-        // Effective stats based on boost
-        const boostAvailable = boosting && this.boostEnergy > 0;
-        const effectiveAccel = this.baseAccel * (boostAvailable ? this.boostMultiplier : 1);
-        const effectiveMaxSpeed = this.baseMaxSpeed * (boostAvailable ? this.boostMaxMultiplier : 1);
+    /**
+     * Reconcile with an authoritative state from the server
+     * Restarts from the server state and replays the inputs it has not processed yet
+     * @param {Object} serverState - { seq, x, y, z, rotY, speed, boostEnergy, energyRegenTimer, segmentId }
+     */
+    reconcile(serverState) {
+        // Inputs up to serverState.seq are already included in the server state
+        this.pendingInputs = this.pendingInputs.filter((frame) => frame.seq > serverState.seq);
 
-        // Acceleration
-        if (forward !== 0) {
-            this.speed += forward * effectiveAccel * dt;
-        } else {
-            // Much lower natural deceleration for better throttle management
-            // Old: 4 * dt (loses ~98% speed per second)
-            // New: 0.5 * dt (loses ~39% speed per second)
-            this.speed *= Math.max(0, 1 - 0.5 * dt);
-        }
-        this.speed = Math.max(-effectiveMaxSpeed, Math.min(effectiveMaxSpeed, this.speed));
+        const previous = this.state;
+        const state = simulateInputs({
+            ...previous,
+            x: serverState.x,
+            y: serverState.y,
+            z: serverState.z,
+            rotY: serverState.rotY,
+            speed: serverState.speed,
+            boostEnergy: serverState.boostEnergy,
+            energyRegenTimer: serverState.energyRegenTimer,
+            segmentId: serverState.segmentId ?? previous.segmentId
+        }, this.pendingInputs, this.layout);
+        this.state = state;
 
-        // Turning
-        const sign = Math.sign(this.speed || 1);
-        const skidding = !!(this.keys[' '] || this.keys['space']);
-        const turnFactor = skidding ? 1.25 : 1.0;
-        
-        // Speed-dependent turning: faster = wider turn radius (less turning)
-        // At low speeds (0-50): full turning ability
-        // At high speeds (200+): reduced turning (~40% of normal)
-        const speedRatio = Math.abs(this.speed) / this.maxSpeed;
-        const speedTurnMultiplier = 1.0 - (speedRatio * 0.6); // Reduces to 40% at max speed
-        
-        let deltaYaw = turn * this.turnSpeed * dt * 
-                       (Math.abs(this.speed) / this.maxSpeed) * 
-                       turnFactor * 
-                       speedTurnMultiplier; // Apply speed-dependent reduction
-        
-        // Apply speed penalty when turning (much lighter now)
-        if (Math.abs(turn) > 0.01 && Math.abs(this.speed) > 5) {
-            if (skidding) {
-                // Drifting causes more speed loss than regular turning
-                // Regular turn: 0.2% loss, Drift: 1.5% loss
-                this.speed *= 0.985;
-            } else {
-                this.speed *= this.turnSpeedPenalty;
-            }
-        }
-        
-        // Skid mechanics
-        if (skidding && Math.abs(turn) > 0.01 && Math.abs(this.speed) > this.skidMinSpeed) {
-            deltaYaw *= this.skidYawMultiplier;
-            
-            // Lateral slide
-            const forwardDir = new THREE.Vector3(0, 0, -1)
-                .applyQuaternion(this.mesh.quaternion)
-                .normalize();
-            const lateralDir = new THREE.Vector3()
-                .copy(forwardDir)
-                .applyAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2 * Math.sign(turn));
-            const slideVel = lateralDir.multiplyScalar(
-                this.skidStrength * (Math.abs(this.speed) / this.maxSpeed) * Math.abs(turn)
-            );
-            this.mesh.position.add(slideVel.multiplyScalar(dt * 6.0));
-        }
-        
-        this.mesh.rotation.y += deltaYaw;
-        
-        // Track angular velocity for camera effects (normalized to -1 to 1)
-        // Only set if there's actual turning happening
-        if (Math.abs(turn) > 0.01 && dt > 0) {
-            const rawAngularVelocity = deltaYaw / (this.turnSpeed * dt);
-            this.angularVelocity = THREE.MathUtils.clamp(rawAngularVelocity, -1, 1);
+        // Hide small prediction errors by fading them out, snap on large ones (respawn, push)
+        const errorX = previous.x - state.x;
+        const errorZ = previous.z - state.z;
+        if (Math.hypot(errorX, errorZ) > this.correctionSnapDistance) {
+            this.correctionOffset = { x: 0, z: 0, rotY: 0 };
         } else {
-            // Reset angular velocity when not turning
-            this.angularVelocity = 0;
+            this.correctionOffset.x += errorX;
+            this.correctionOffset.z += errorZ;
+            // The server sends rotY within one turn: keep the shortest rotation
+            this.correctionOffset.rotY += shortestAngle(previous.rotY - state.rotY);
         }
 
-        // Move forward
-        const forwardVec = new THREE.Vector3(0, 0, -1)
-            .applyQuaternion(this.mesh.quaternion)
-            .multiplyScalar(this.speed * dt * 0.1);
-        this.mesh.position.add(forwardVec);
+        this._applyState();
+    }
 
-        return {
-            forward,
-            turn,
-            boosting: boostAvailable,
-            skidding
-        };
+    /**
+     * Fade the visual error left by reconciliation
+     */
+    _decayCorrection(dt) {
+        const decay = Math.max(0, 1 - this.correctionDecay * dt);
+        this.correctionOffset.x *= decay;
+        this.correctionOffset.z *= decay;
+        this.correctionOffset.rotY *= decay;
+    }
+
+    /**
+     * Copy the physics state to the mesh (altitude and tilt are handled by followTrackSurface)
+     */
+    _applyState() {
+        if (this.mesh) {
+            this.mesh.position.x = this.state.x + this.correctionOffset.x;
+            this.mesh.position.z = this.state.z + this.correctionOffset.z;
+            this.mesh.rotation.y = this.state.rotY + this.correctionOffset.rotY;
+        }
+        this.speed = this.state.speed;
+        this.boostEnergy = this.state.boostEnergy;
+        this.angularVelocity = this.state.angularVelocity;
     }
 
     /**
@@ -320,55 +300,48 @@ export class Car {
     }
 
     /**
-     * Interpolate remote player position
+     * Place remote player at its buffered state for the current time
+     * Interpolates between snapshots, or extrapolates along the track when they run out
+     * @param {number} serverNow - Current time on the server clock (ms)
+     * @param {Track} track - Track used for extrapolation
      */
-    interpolate(dt) {
-        if (!this.mesh || !this.targetPos) return;
-
-        // Predict position based on velocity
-        const predictedPos = this.targetPos.clone()
-            .add(this.velocity.clone().multiplyScalar(dt * 2));
+    interpolate(serverNow, track) {
+        if (!this.mesh) return;
         
-        // Lerp towards predicted position
-        this.mesh.position.lerp(predictedPos, 0.3);
+        const sample = this.snapshots.sample(serverNow);
+        if (!sample) return;
         
-        // Interpolate rotation (handle wrap-around)
-        const currentRot = this.mesh.rotation.y;
-        let rotDiff = this.targetRot - currentRot;
+        let { x, z, rotY } = sample;
+        if (sample.extrapolate > 0 && track && sample.from.segmentId !== undefined) {
+            ({ x, z, rotY } = track.extrapolateAlongTrack(sample.from, sample.extrapolate / 1000));
+        }
         
-        if (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
-        if (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
+        this.mesh.position.x = x;
+        this.mesh.position.z = z;
+        this.mesh.rotation.y = rotY;
         
-        this.mesh.rotation.y += rotDiff * 0.25;
-    }
-
-    /**
-     * Update target position/rotation for interpolation
-     * Now includes segment tracking for overlapping track support
-     */
-    setTarget(x, y, z, rotY, vx, vz, segmentId, segmentT) {
-        this.targetPos.set(x, y, z);
-        this.targetRot = rotY;
-        if (vx !== undefined && vz !== undefined) {
-            this.velocity.set(vx, 0, vz);
-        }
-        // Update segment tracking if provided
-        if (segmentId !== undefined) {
-            this.currentSegmentId = segmentId;
-        }
-        if (segmentT !== undefined) {
-            this.segmentT = segmentT;
+        // Altitude and tilt come from followTrackSurface, starting from the snapshot's segment
+        if (sample.segmentId !== undefined) {
+            this.currentSegmentId = sample.segmentId;
         }
     }
 
     /**
-     * Get current segment data for network sync
+     * Add an authoritative state of a remote player to its snapshot buffer
+     * @param {Object} msg - Car state from a world snapshot { time, x, y, z, rotY, vx, vz, segmentId, segmentT }
      */
-    getSegmentData() {
-        return {
-            segmentId: this.currentSegmentId,
-            segmentT: this.segmentT
-        };
+    addSnapshot(msg) {
+        this.snapshots.push({
+            time: msg.time,
+            x: msg.x,
+            y: msg.y,
+            z: msg.z,
+            rotY: msg.rotY,
+            vx: msg.vx,
+            vz: msg.vz,
+            segmentId: msg.segmentId,
+            segmentT: msg.segmentT
+        });
     }
 
     /**
@@ -439,23 +412,24 @@ export class Car {
     }
 
     /**
-     * Check if all checkpoints have been cleared
+     * Complete a lap (validated by the server)
      */
-    allCheckpointsCleared() {
-        return this.checkpointsCleared.size >= this.totalCheckpoints;
+    completeLap(lap) {
+        this.currentLap = lap;
+        this.checkpointsCleared.clear();
+        console.log(`Lap ${this.currentLap} completed!`);
     }
 
     /**
-     * Complete a lap
+     * Restore lap progress kept by the server (session resumed after a reconnection)
+     * @param {Object} progress - { laps, nextCheckpoint }
      */
-    completeLap() {
-        if (this.allCheckpointsCleared()) {
-            this.currentLap++;
-            this.checkpointsCleared.clear();
-            console.log(`Lap ${this.currentLap} completed!`);
-            return true;
+    restoreLapProgress(progress) {
+        this.currentLap = progress.laps;
+        this.checkpointsCleared.clear();
+        for (let i = 0; i < progress.nextCheckpoint; i++) {
+            this.checkpointsCleared.add(i);
         }
-        return false;
     }
 
     /**
@@ -466,6 +440,22 @@ export class Car {
         this.checkpointsCleared.clear();
     }
 
+    /**
+     * Change the car's paint
+     * @param {number} hex - Color (0xRRGGBB)
+     */
+    setColor(hex) {
+        this.color.setHex(hex);
+        const mesh = this.getActiveMesh();
+        if (!mesh) return;
+        
+        mesh.traverse((child) => {
+            if (child.isMesh && child.material && child.material.color) {
+                child.material.color.copy(this.color);
+            }
+        });
+    }
+
     /**
      * Remove car from scene
      */
@@ -1,14 +1,28 @@
+import { RacePhase } from '../shared/RacePhase.js';
+
 /**
  * GameState - Manages game state and rules
+ * The race phase is driven by the server (see RaceController)
  */
 export class GameState {
     constructor() {
         this.isGameActive = false;
-        this.winnerId = null;
         this.playerCount = 0;
         this.isHost = false;
         this.canPlay = false;
         this.localId = null;
+        this.roomCode = null;
+        
+        // Race lifecycle (mirrors the server's RaceController)
+        this.phase = RacePhase.LOBBY;
+        this.phaseEndsAt = null; // Local timestamp (ms) when the phase ends, null = no limit
+        this.raceStartedAt = null; // Local timestamp (ms) of the race start
+        this.lapCount = 3;
+        this.racers = []; // [{ id, grid }]
+        this.standings = []; // [{ id, position, laps, finished, finishTime }]
+        
+        // Names and colors announced by the other players (player_info)
+        this.players = new Map(); // id -> { name, color }
         
         // Track reference (will be set by Game)
         this.track = null;
@@ -22,6 +36,10 @@ export class GameState {
         this.localId = id;
     }
 
+    setRoomCode(code) {
+        this.roomCode = code;
+    }
+
     setHost(isHost) {
         this.isHost = isHost;
     }
@@ -34,9 +52,53 @@ export class GameState {
         this.isGameActive = active;
     }
 
-    setWinner(winnerId) {
-        this.winnerId = winnerId;
-        this.isGameActive = false;
+    /**
+     * Apply a race state received from the server
+     * @param {Object} race - State from RaceController.getState()
+     * @param {number} serverNow - Current time on the server clock (see NetworkClient.getServerTime)
+     */
+    setRaceState(race, serverNow) {
+        // Convert server timestamps to the local clock
+        const toLocal = (time) => time === null || time === undefined ? null : Date.now() + (time - serverNow);
+        
+        this.phase = race.phase;
+        this.phaseEndsAt = toLocal(race.endsAt);
+        this.raceStartedAt = toLocal(race.raceStartedAt);
+        this.lapCount = race.lapCount;
+        this.racers = race.racers || [];
+        this.standings = race.standings || [];
+        this.isGameActive = race.phase === RacePhase.RACING;
+    }
+
+    /**
+     * Check if the local player takes part in the current race
+     */
+    isRacer(id = this.localId) {
+        return this.racers.some(racer => racer.id === id);
+    }
+
+    /**
+     * Get the local player's grid slot (0 = pole position)
+     */
+    getGridSlot(id = this.localId) {
+        const racer = this.racers.find(r => r.id === id);
+        return racer ? racer.grid : 0;
+    }
+
+    /**
+     * Remember a player's name and color
+     * @param {number} id
+     * @param {Object} info - { name, color }
+     */
+    setPlayerInfo(id, info) {
+        this.players.set(id, { ...this.players.get(id), ...info });
+    }
+
+    /**
+     * Get a player's display name
+     */
+    getPlayerName(id) {
+        return this.players.get(id)?.name || `Joueur ${id}`;
     }
 
     setPlayerCount(count) {
@@ -65,6 +127,19 @@ export class GameState {
         return this.track.getStartPositionOffset(lateralOffset, longitudinalOffset);
     }
 
+    /**
+     * Get spawn position on the starting grid
+     * Two cars per row, rows staggered behind the start line (see TrackLayout.getGridPosition)
+     * @param {number} slot - Grid slot (0 = pole position)
+     */
+    getGridSpawnPosition(slot) {
+        if (!this.track) {
+            return this.getRandomSpawnPosition();
+        }
+        
+        return this.track.getGridPosition(slot);
+    }
+
     /**
      * Check if position is outside platform bounds
      * Temporarily disabled for racetrack implementation
@@ -79,7 +154,6 @@ export class GameState {
      * Reset game state for new round
      */
     reset() {
-        this.isGameActive = true;
-        this.winnerId = null;
+        this.standings = [];
     }
 }
@@ -0,0 +1,51 @@
+/**
+ * KeyboardInput - Turns keyboard state into input frames for the car physics
+ * Keeps the DOM out of Car so the simulation itself can run headless (see shared/CarPhysics)
+ */
+export class KeyboardInput {
+    constructor(target = window) {
+        this.target = target;
+        this.keys = {};
+
+        this._onKeyDown = (e) => {
+            this.keys[e.key.toLowerCase()] = true;
+        };
+        this._onKeyUp = (e) => {
+            this.keys[e.key.toLowerCase()] = false;
+        };
+
+        this.target.addEventListener('keydown', this._onKeyDown);
+        this.target.addEventListener('keyup', this._onKeyUp);
+    }
+
+    /**
+     * Read the current input
+     * Z/W accelerate, S brakes, Q/A and D steer, Shift boosts, Space drifts
+     * @returns {Object} { throttle, steer, boost, drift }
+     */
+    getInput() {
+        let throttle = 0;
+        if (this.keys['z'] || this.keys['w']) throttle += 1;
+        if (this.keys['s']) throttle -= 1;
+
+        let steer = 0;
+        if (this.keys['q'] || this.keys['a']) steer += 1;
+        if (this.keys['d']) steer -= 1;
+
+        return {
+            throttle,
+            steer,
+            boost: !!this.keys['shift'],
+            drift: !!(this.keys[' '] || this.keys['space'])
+        };
+    }
+
+    /**
+     * Stop listening to the keyboard
+     */
+    dispose() {
+        this.target.removeEventListener('keydown', this._onKeyDown);
+        this.target.removeEventListener('keyup', this._onKeyUp);
+        this.keys = {};
+    }
+}
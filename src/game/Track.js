@@ -1,16 +1,49 @@
 import * as THREE from 'three';
+import { SeededRandom } from '../shared/SeededRandom.js';
+import { TrackLayout, LEVEL_TOLERANCE } from '../shared/TrackLayout.js';
+import { SpatialGrid } from '../shared/SpatialGrid.js';
+import { parseTrackDefinition } from '../shared/TrackDefinition.js';
+import { CAR_PHYSICS, shortestAngle } from '../shared/CarPhysics.js';
+import { TrackAnalysis } from './TrackAnalysis.js';
+
+// Color of the road for each ground type (see TRACK_SURFACES)
+const SURFACE_COLORS = {
+    asphalt: 0x333333,
+    dirt: 0x7a5230,
+    ice: 0xa8d8f0
+};
+
+// Distance between two samples of the surface lookup table (see Track._buildSurfaceIndex)
+const SURFACE_SAMPLE_SPACING = 1;
+
+// Slab under the parts of the track passing over another one
+const BRIDGE_THICKNESS = 0.8;
+const BRIDGE_COLOR = 0x8a8a8a;
 
 /**
  * Track - Manages the racing track generation and rendering
  * Uses a skeleton-based approach: first generate a path of points,
  * then build the track geometry around those points
+ * The layout is generated from a seed: the same seed gives the same track on every client
+ * It can also be loaded from a track definition file (see Track.fromDefinition) and edited in place (see rebuild)
+ * The pure geometry lives in TrackLayout (shared with the server), this class renders it
  */
 export class Track {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {number} seed - Seed of the generated track
+     * @param {Object} definition - Normalized track definition to build instead
+     * @param {Object} generator - Options of the generated track { style, length, ... } (see TrackGenerator)
+     */
+    constructor(scene, seed = SeededRandom.randomSeed(), definition = null, generator = null) {
         this.scene = scene;
         
+        // Seeded layout so every client (and the server) builds the same track
+        this.layout = definition ? TrackLayout.fromDefinition(definition) : new TrackLayout(seed, null, generator);
+        this.seed = this.layout.seed;
+        
         // Track configuration
-        this.trackWidth = 12; // Width of the racing track (increased for larger track)
+        this.trackWidth = this.layout.trackWidth; // Default width of the racing track (each point has its own)
         this.wallHeight = 0.6; // Height of the track walls (reduced for better visibility)
         this.skeletonPoints = []; // Array of Vector3 points defining the centerline
         this.trackCurve = null; // Smooth curve for surface queries
@@ -18,157 +51,104 @@ export class Track {
         // Segment-based system for overlapping track support
         this.segments = []; // Array of track segments with connectivity
         this.segmentCurves = []; // Individual curves for each segment
+        this.surfaceSamples = []; // Surface along the track curve { position, segmentId, x, y, z, heading, pitch, roll }
+        this.surfaceGrid = null; // Pieces between two surface samples by area
         
         // Track meshes
         this.trackMesh = null;
         this.innerWall = null;
         this.outerWall = null;
+        this.bridgeMesh = null; // Decks of the overpasses, null when the track never passes over itself
         this.finishLineMesh = null;
+        this.startLineMesh = null; // Open tracks only: the start is not on the finish line
+        this.startWall = null; // Open tracks only: walls closing the road before the grid and after the finish
+        this.endWall = null;
+        this.drivingLine = null; // Racing line overlay, built when first shown
+        
+        // Racing line, speeds and corners (see getAnalysis)
+        this.analysis = null;
         
         // Checkpoints for lap validation
         this.checkpoints = []; // Array of checkpoint data
-        this.numCheckpoints = 4; // Number of validation checkpoints (excluding finish line)
+        this.numCheckpoints = this.layout.numCheckpoints; // Number of validation checkpoints (excluding finish line)
         
         // Generate the track
         this._generateSkeleton();
         this._createSegments();
+        this._buildSurfaceIndex();
         this._buildTrack();
         this._buildWalls();
+        this._buildBridges();
         this._createCheckpoints();
         this._createFinishLine();
+        this._createStartLine();
     }
 
     /**
-     * Generate the skeleton path for the track
-     * Creates a circular base with radius variation for interesting turns and altitude changes
+     * Build a track from a definition (JSON file format, see TrackDefinition)
+     * @param {THREE.Scene} scene
+     * @param {Object} data - Parsed JSON, checked here
+     * @returns {Track}
+     * @throws {Error} When the definition is invalid
      */
-    _generateSkeleton() {
-        this.skeletonPoints = [];
-        
-        const baseRadius = 70; // Base radius of the track (increased for longer track)
-        const segments = 64; // Number of points in the circle
-        const radiusVariation = 0.3; // How much the radius can vary (0.3 = 30%)
-        const smoothing = 0.6; // How much to smooth out sharp changes (0-1, higher = smoother)
-        
-        // Altitude variation parameters
-        const maxAltitude = 8; // Maximum altitude change (positive or negative)
-        const altitudeSmoothing = 0.7; // Higher = smoother altitude transitions
-        const startLevelLength = 8; // Number of segments to keep level near start/finish
-        
-        // Generate random radius multipliers for each segment
-        const radiusMultipliers = [];
-        const altitudeValues = [];
-        
-        for (let i = 0; i < segments; i++) {
-            // Calculate distance from finish line (segment 0)
-            // Distance wraps around the circle
-            const distanceFromStart = Math.min(i, segments - i);
-            const startStraightLength = 8; // Number of segments to keep straighter near start
-            
-            // Reduce variation near the start/finish line
-            let localVariation = radiusVariation;
-            if (distanceFromStart < startStraightLength) {
-                // Gradually reduce variation from 0% at start to 100% at startStraightLength
-                const variationMultiplier = distanceFromStart / startStraightLength;
-                localVariation = radiusVariation * variationMultiplier;
-            }
-            
-            // Random variation between (1 - localVariation) and (1 + localVariation)
-            const randomMultiplier = 1 + (Math.random() * 2 - 1) * localVariation;
-            radiusMultipliers.push(randomMultiplier);
-            
-            // Generate altitude values
-            // Reduce altitude variation near start/finish line for smoother start
-            let localAltitudeVariation = maxAltitude;
-            if (distanceFromStart < startLevelLength) {
-                const altitudeMultiplier = distanceFromStart / startLevelLength;
-                localAltitudeVariation = maxAltitude * altitudeMultiplier;
-            }
-            
-            // Random altitude, biased towards previous segment's altitude
-            let altitude;
-            if (i === 0) {
-                altitude = 0; // Start at ground level
-            } else {
-                const prevAltitude = altitudeValues[i - 1];
-                // Random change from previous altitude (-localAltitudeVariation to +localAltitudeVariation)
-                const maxChange = localAltitudeVariation * 0.3; // Limit change per segment
-                const altitudeChange = (Math.random() * 2 - 1) * maxChange;
-                altitude = prevAltitude + altitudeChange;
-                // Clamp to max altitude range
-                altitude = Math.max(-maxAltitude, Math.min(maxAltitude, altitude));
-            }
-            altitudeValues.push(altitude);
-        }
-        
-        // Smooth the radius multipliers to avoid sharp transitions
-        const smoothedMultipliers = [];
-        for (let i = 0; i < segments; i++) {
-            const prev = radiusMultipliers[(i - 1 + segments) % segments];
-            const curr = radiusMultipliers[i];
-            const next = radiusMultipliers[(i + 1) % segments];
-            
-            // Weighted average for smoothing
-            const smoothed = prev * smoothing * 0.5 + 
-                           curr * (1 - smoothing) + 
-                           next * smoothing * 0.5;
-            smoothedMultipliers.push(smoothed);
-        }
-        
-        // Apply one more pass of smoothing for even better results
-        const finalMultipliers = [];
-        for (let i = 0; i < segments; i++) {
-            const prev = smoothedMultipliers[(i - 1 + segments) % segments];
-            const curr = smoothedMultipliers[i];
-            const next = smoothedMultipliers[(i + 1) % segments];
-            
-            const smoothed = prev * 0.25 + curr * 0.5 + next * 0.25;
-            finalMultipliers.push(smoothed);
-        }
-        
-        // Smooth altitude values
-        const smoothedAltitudes = [];
-        for (let i = 0; i < segments; i++) {
-            const prev = altitudeValues[(i - 1 + segments) % segments];
-            const curr = altitudeValues[i];
-            const next = altitudeValues[(i + 1) % segments];
-            
-            const smoothed = prev * altitudeSmoothing * 0.5 + 
-                           curr * (1 - altitudeSmoothing) + 
-                           next * altitudeSmoothing * 0.5;
-            smoothedAltitudes.push(smoothed);
+    static fromDefinition(scene, data) {
+        const { definition, error } = parseTrackDefinition(data);
+        if (error) {
+            throw new Error(`Invalid track definition: ${error}`);
         }
+        return new Track(scene, null, definition);
+    }
+
+    /**
+     * Describe this track as a definition, to save it to a file
+     * @param {Object} meta - Metadata to store with it { name, author, description }
+     */
+    toDefinition(meta = {}) {
+        return this.layout.toDefinition(meta);
+    }
+
+    /**
+     * Replace the track with an edited definition and rebuild it (see TrackEditor)
+     * Runs the same pipeline as the constructor: skeleton, segments and their surface, ribbon, walls, bridges and gates
+     * @param {Object} definition - Normalized track definition
+     */
+    rebuild(definition) {
+        const drivingLineVisible = Boolean(this.drivingLine?.visible);
+        this._disposeMeshes();
         
-        // Apply second pass of altitude smoothing
-        const finalAltitudes = [];
-        for (let i = 0; i < segments; i++) {
-            const prev = smoothedAltitudes[(i - 1 + segments) % segments];
-            const curr = smoothedAltitudes[i];
-            const next = smoothedAltitudes[(i + 1) % segments];
-            
-            const smoothed = prev * 0.25 + curr * 0.5 + next * 0.25;
-            finalAltitudes.push(smoothed);
-        }
+        this.layout = TrackLayout.fromDefinition(definition);
+        this.seed = this.layout.seed;
+        this.trackWidth = this.layout.trackWidth;
+        this.numCheckpoints = this.layout.numCheckpoints;
+        this.analysis = null; // Computed again on demand
         
-        // Generate points with varied radius and altitude
-        for (let i = 0; i < segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            const radius = baseRadius * finalMultipliers[i];
-            
-            const x = Math.cos(angle) * radius;
-            const y = finalAltitudes[i]; // Use smoothed altitude
-            const z = Math.sin(angle) * radius;
-            
-            this.skeletonPoints.push(new THREE.Vector3(x, y, z));
-        }
+        this._generateSkeleton();
+        this._createSegments();
+        this._buildSurfaceIndex();
+        this._buildTrack();
+        this._buildWalls();
+        this._buildBridges();
+        this._createCheckpoints();
+        this._createFinishLine();
+        this._createStartLine();
+        this.setDrivingLineVisible(drivingLineVisible);
+    }
+
+    /**
+     * Build the skeleton path for the track from the shared layout
+     */
+    _generateSkeleton() {
+        this.skeletonPoints = this.layout.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
         
         // Create smooth curve from skeleton points for surface queries
         const curvePoints = [...this.skeletonPoints];
-        curvePoints.push(this.skeletonPoints[0].clone()); // Close the loop
+        if (this.layout.closed) {
+            curvePoints.push(this.skeletonPoints[0].clone()); // Close the loop
+        }
         this.trackCurve = new THREE.CatmullRomCurve3(curvePoints);
-        this.trackCurve.closed = true;
+        this.trackCurve.closed = this.layout.closed;
         
-        console.log(`Track skeleton generated with ${this.skeletonPoints.length} points (varied radius and altitude)`);
+        console.log(`Track skeleton generated with ${this.skeletonPoints.length} points (seed ${this.seed})`);
     }
 
     /**
@@ -177,23 +157,27 @@ export class Track {
      */
     _createSegments() {
         const numPoints = this.skeletonPoints.length;
-        const pointsPerSegment = 4; // Each segment spans 4 skeleton points for smooth curves
-        const numSegments = Math.floor(numPoints / pointsPerSegment);
+        const closed = this.layout.closed;
+        // Point index on the skeleton: around the loop, or held at the ends of an open track
+        const pointIndex = (i) => closed ? (i + numPoints) % numPoints : Math.max(0, Math.min(numPoints - 1, i));
+        const pointsPerSegment = this.layout.pointsPerSegment; // Each segment spans 4 skeleton points for smooth curves
+        const numSegments = this.layout.getSegmentCount(); // The last one takes the remaining points
         
         this.segments = [];
         this.segmentCurves = [];
         
         for (let i = 0; i < numSegments; i++) {
             const startIdx = i * pointsPerSegment;
-            const endIdx = ((i + 1) * pointsPerSegment) % numPoints;
+            const size = this.layout.getSegmentSize(i);
+            const endIdx = pointIndex(startIdx + size);
             
             // Get points for this segment (include extra points for smooth Catmull-Rom)
             const segmentPoints = [];
-            const startPoint = (startIdx - 1 + numPoints) % numPoints;
-            const pointCount = pointsPerSegment + 2; // Include one before and one after
+            const startPoint = startIdx - 1;
+            const pointCount = size + 2; // Include one before and one after (repeated at the ends of an open track)
             
             for (let j = 0; j < pointCount; j++) {
-                const idx = (startPoint + j) % numPoints;
+                const idx = pointIndex(startPoint + j);
                 segmentPoints.push(this.skeletonPoints[idx].clone());
             }
             
@@ -208,12 +192,15 @@ export class Track {
                 startIdx: startIdx,
                 endIdx: endIdx,
                 curve: segmentCurve,
-                // t range on the curve (exclude the extra endpoints)
+                // t range on the curve: from the first skeleton point of the segment to the first one of the
+                // next segment, so the segments cover the whole loop (see TrackLayout.getSegmentPosition)
                 tStart: 1 / (pointCount - 1), // Skip first point
-                tEnd: (pointCount - 2) / (pointCount - 1), // Skip last point
-                // Neighbors (previous and next segments)
-                prevSegment: (i - 1 + numSegments) % numSegments,
-                nextSegment: (i + 1) % numSegments,
+                tEnd: 1, // Up to the extra last point
+                // Neighbors (previous and next segments, the end ones are their own neighbor on an open track)
+                prevSegment: closed ? (i - 1 + numSegments) % numSegments : Math.max(0, i - 1),
+                nextSegment: closed ? (i + 1) % numSegments : Math.min(numSegments - 1, i + 1),
+                // Pieces of the surface lookup table along this segment (see _buildSurfaceIndex)
+                pieces: [],
                 // Bounding box for quick rejection (calculated below)
                 bounds: { minX: 0, maxX: 0, minZ: 0, maxZ: 0, minY: 0, maxY: 0 }
             };
@@ -233,12 +220,12 @@ export class Track {
                 maxY = Math.max(maxY, point.y);
             }
             
-            // Add padding to bounds
-            const padding = this.trackWidth;
+            // Add padding to bounds (in altitude, less than half the height between two levels of the track)
+            const padding = Math.max(this.trackWidth, ...this.layout.points.map(p => p.width));
             segment.bounds = {
                 minX: minX - padding, maxX: maxX + padding,
                 minZ: minZ - padding, maxZ: maxZ + padding,
-                minY: minY - padding, maxY: maxY + padding
+                minY: minY - LEVEL_TOLERANCE, maxY: maxY + LEVEL_TOLERANCE
             };
             
             this.segments.push(segment);
@@ -247,6 +234,95 @@ export class Track {
         console.log(`Track divided into ${this.segments.length} segments`);
     }
 
+    /**
+     * Build the lookup table of the track surface, so getTrackSurfaceAt does not evaluate curves every frame:
+     * samples at regular distances along the track curve (the one the ribbon is built on) with their place on
+     * the skeleton, slope and banking, and the pieces between two samples by area
+     * (registered wherever they are within the layout's gridReach, see TrackLayout.closestPoint)
+     */
+    _buildSurfaceIndex() {
+        const count = this.skeletonPoints.length;
+        const closed = this.layout.closed;
+        const reach = this.layout.gridReach;
+        const sampleCount = Math.max(count, Math.ceil(this.trackCurve.getLength() / SURFACE_SAMPLE_SPACING));
+        this.surfaceSamples = [];
+        this.surfaceGrid = new SpatialGrid(reach);
+        
+        // An open track has a last sample on its last point
+        const spans = this._curveSpans();
+        for (let k = 0; k < (closed ? sampleCount : sampleCount + 1); k++) {
+            const t = this.trackCurve.getUtoTmapping(k / sampleCount);
+            const point = this.trackCurve.getPoint(t);
+            const tangent = this.trackCurve.getTangent(t);
+            const horizontalLength = Math.sqrt(tangent.x * tangent.x + tangent.z * tangent.z);
+            
+            // Skeleton point i is at t = i / (count + 1), the closing span back to the first point is empty
+            // (at t = i / (count - 1) on an open track, see _curveSpans)
+            const position = !closed || t * spans < count ? t * spans : 0;
+            
+            this.surfaceSamples.push({
+                position, // Place on the skeleton (point index, fractional)
+                segmentId: Math.floor(Math.floor(position) / this.layout.pointsPerSegment),
+                x: point.x,
+                y: point.y,
+                z: point.z,
+                heading: Math.atan2(tangent.x, tangent.z),
+                pitch: Math.atan2(tangent.y, horizontalLength),
+                roll: 0
+            });
+        }
+        
+        // Banking from the curvature of the segment curve under each sample (see _bankingAt)
+        this.surfaceSamples.forEach((sample) => {
+            const offset = sample.position - sample.segmentId * this.layout.pointsPerSegment;
+            const t = (offset + 1) / (this.layout.getSegmentSize(sample.segmentId) + 1);
+            sample.roll = this._bankingAt(this.segments[sample.segmentId], t);
+        });
+        
+        // Piece k goes from sample k to the next one, and belongs to the segment of sample k
+        // (no piece starts on the last sample of an open track)
+        this.surfaceSamples.forEach((a, piece) => {
+            if (!closed && piece === sampleCount) return;
+            const b = this.surfaceSamples[(piece + 1) % this.surfaceSamples.length];
+            this.segments[a.segmentId].pieces.push(piece);
+            this.surfaceGrid.insert(piece,
+                Math.min(a.x, b.x) - reach, Math.min(a.z, b.z) - reach,
+                Math.max(a.x, b.x) + reach, Math.max(a.z, b.z) + reach
+            );
+        });
+    }
+
+    /**
+     * Banking of the track at a place on a segment curve, from the turn of its direction around that place
+     * @param {Object} segment - Segment of the track (see _createSegments)
+     * @param {number} t - Parameter on the segment curve
+     * @returns {number} Roll angle (radians)
+     */
+    _bankingAt(segment, t) {
+        const curve = segment.curve;
+        const curvePoint = curve.getPoint(t);
+        const pointBefore = curve.getPoint(Math.max(segment.tStart, t - 0.01));
+        const pointAfter = curve.getPoint(Math.min(segment.tEnd, t + 0.01));
+        
+        const dirBefore = new THREE.Vector2(
+            curvePoint.x - pointBefore.x,
+            curvePoint.z - pointBefore.z
+        ).normalize();
+        
+        const dirAfter = new THREE.Vector2(
+            pointAfter.x - curvePoint.x,
+            pointAfter.z - curvePoint.z
+        ).normalize();
+        
+        const angleBefore = Math.atan2(dirBefore.y, dirBefore.x);
+        const angleAfter = Math.atan2(dirAfter.y, dirAfter.x);
+        const angleDiff = shortestAngle(angleAfter - angleBefore);
+        
+        const maxRoll = 0.15;
+        const curvatureScale = 15;
+        return THREE.MathUtils.clamp(-angleDiff * curvatureScale, -maxRoll, maxRoll);
+    }
+
     /**
      * Build the 3D track geometry from the skeleton points
      * Creates a path with width following the skeleton
@@ -258,13 +334,8 @@ export class Track {
         }
 
         // For now, create a simple tube-like track using THREE.TubeGeometry
-        // First, create a curve from our skeleton points
-        const curvePoints = [...this.skeletonPoints];
-        // Close the loop by adding the first point at the end
-        curvePoints.push(this.skeletonPoints[0].clone());
-        
-        const curve = new THREE.CatmullRomCurve3(curvePoints);
-        curve.closed = true;
+        // along the curve of the skeleton points (closed unless the track is open)
+        const curve = this.trackCurve;
         
         // Create tube geometry along the curve
         const tubeGeometry = new THREE.TubeGeometry(
@@ -272,7 +343,7 @@ export class Track {
             this.skeletonPoints.length, // tubular segments
             this.trackWidth / 2, // radius (half width for circular cross-section)
             8, // radial segments
-            true // closed
+            this.layout.closed
         );
         
         // Create a flattened version for the actual track surface
@@ -280,7 +351,8 @@ export class Track {
         const trackGeometry = this._createFlatRibbon(curve);
         
         const trackMaterial = new THREE.MeshStandardMaterial({
-            color: 0x333333,
+            color: 0xffffff, // Tinted by the vertex colors (ground types)
+            vertexColors: true,
             roughness: 0.8,
             metalness: 0.2,
             side: THREE.DoubleSide
@@ -298,17 +370,23 @@ export class Track {
      */
     _createFlatRibbon(curve) {
         const segments = this.skeletonPoints.length;
-        const halfWidth = this.trackWidth / 2;
         
         const vertices = [];
         const indices = [];
         const uvs = [];
+        const colors = [];
+        const color = new THREE.Color();
         
         // Generate vertices along the curve
         for (let i = 0; i <= segments; i++) {
             const t = i / segments;
             const point = curve.getPoint(t);
             const tangent = curve.getTangent(t);
+            const halfWidth = this._widthAt(t) / 2;
+            
+            // Road color from the ground type of the skeleton point
+            color.setHex(SURFACE_COLORS[this._pointAt(t).surface] ?? SURFACE_COLORS.asphalt);
+            colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
             
             // Calculate perpendicular vector (for width)
             const perpendicular = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
@@ -337,12 +415,39 @@ export class Track {
         const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
         geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
         geometry.setIndex(indices);
         geometry.computeVertexNormals();
         
         return geometry;
     }
 
+    /**
+     * Number of spans of the track curves, between two skeleton points:
+     * the curves go through every skeleton point, then back to the first one (closing point),
+     * and stop on the last point of an open track
+     */
+    _curveSpans() {
+        const count = this.skeletonPoints.length;
+        return this.layout.closed ? count + 1 : count - 1;
+    }
+
+    /**
+     * Skeleton point at a parameter of the track curves (see _curveSpans)
+     */
+    _pointAt(t) {
+        const count = this.skeletonPoints.length;
+        const index = Math.floor(t * this._curveSpans());
+        return this.layout.points[this.layout.closed ? index % count : Math.min(index, count - 1)];
+    }
+
+    /**
+     * Track width at a parameter of the track curves (see _pointAt)
+     */
+    _widthAt(t) {
+        return this.layout.getWidthAt(t * this._curveSpans());
+    }
+
     /**
      * Build walls along the inner and outer edges of the track
      */
@@ -352,44 +457,49 @@ export class Track {
             return;
         }
 
-        const halfWidth = this.trackWidth / 2;
         const wallThickness = 0.3;
         
-        // Create curve from skeleton
-        const curvePoints = [...this.skeletonPoints];
-        curvePoints.push(this.skeletonPoints[0].clone());
-        const curve = new THREE.CatmullRomCurve3(curvePoints);
-        curve.closed = true;
+        // Same curve as the road
+        const curve = this.trackCurve;
 
         // Build inner wall
-        this.innerWall = this._createWall(curve, halfWidth, wallThickness, true);
+        this.innerWall = this._createWall(curve, wallThickness, true);
         this.scene.add(this.innerWall);
 
         // Build outer wall
-        this.outerWall = this._createWall(curve, halfWidth, wallThickness, false);
+        this.outerWall = this._createWall(curve, wallThickness, false);
         this.scene.add(this.outerWall);
 
+        // Close the ends of an open track
+        if (!this.layout.closed) {
+            this.startWall = this._createEndWall(0, wallThickness);
+            this.scene.add(this.startWall);
+            this.endWall = this._createEndWall(this.skeletonPoints.length - 1, wallThickness);
+            this.scene.add(this.endWall);
+        }
+
         console.log('Track walls created');
     }
 
     /**
      * Create a single wall (inner or outer)
      */
-    _createWall(curve, halfWidth, wallThickness, isInner) {
+    _createWall(curve, wallThickness, isInner) {
         const segments = this.skeletonPoints.length;
         const vertices = [];
         const indices = [];
         const uvs = [];
         
-        // Determine wall offset direction
-        const offsetDistance = isInner ? -(halfWidth + wallThickness/2) : (halfWidth + wallThickness/2);
-        
         // Generate wall vertices
         for (let i = 0; i <= segments; i++) {
             const t = i / segments;
             const point = curve.getPoint(t);
             const tangent = curve.getTangent(t);
             
+            // Wall offset from the centerline, following the local track width
+            const halfWidth = this._widthAt(t) / 2;
+            const offsetDistance = isInner ? -(halfWidth + wallThickness/2) : (halfWidth + wallThickness/2);
+            
             // Calculate perpendicular vector (for width)
             const perpendicular = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
             
@@ -433,6 +543,56 @@ export class Track {
             }
         }
         
+        return this._createWallMesh(vertices, indices, uvs);
+    }
+
+    /**
+     * Create the wall closing an end of an open track: a half circle past the end point,
+     * where the layout's walls stop the cars (see TrackLayout.checkWall)
+     * @param {number} index - First or last skeleton point
+     */
+    _createEndWall(index, wallThickness) {
+        const point = this.skeletonPoints[index];
+        const neighbor = this.skeletonPoints[index === 0 ? 1 : index - 1];
+        const outward = new THREE.Vector3(point.x - neighbor.x, 0, point.z - neighbor.z).normalize();
+        const side = new THREE.Vector3(-outward.z, 0, outward.x);
+        const radius = this.layout.points[index].width / 2 + wallThickness / 2;
+        const steps = 12;
+        const vertices = [];
+        const indices = [];
+        const uvs = [];
+        
+        // Same vertices and faces as the side walls, around the end point
+        for (let i = 0; i <= steps; i++) {
+            const angle = Math.PI * (i / steps - 0.5);
+            const radial = outward.clone().multiplyScalar(Math.cos(angle)).add(side.clone().multiplyScalar(Math.sin(angle)));
+            const innerEdge = point.clone().add(radial.clone().multiplyScalar(radius - wallThickness / 2));
+            const outerEdge = point.clone().add(radial.clone().multiplyScalar(radius + wallThickness / 2));
+            
+            vertices.push(innerEdge.x, innerEdge.y, innerEdge.z);
+            vertices.push(outerEdge.x, outerEdge.y, outerEdge.z);
+            vertices.push(innerEdge.x, innerEdge.y + this.wallHeight, innerEdge.z);
+            vertices.push(outerEdge.x, outerEdge.y + this.wallHeight, outerEdge.z);
+            uvs.push(0, 0, 1, 0, 0, 1, 1, 1);
+            
+            if (i < steps) {
+                const baseIndex = i * 4;
+                indices.push(baseIndex, baseIndex + 2, baseIndex + 4);
+                indices.push(baseIndex + 2, baseIndex + 6, baseIndex + 4);
+                indices.push(baseIndex + 1, baseIndex + 5, baseIndex + 3);
+                indices.push(baseIndex + 3, baseIndex + 5, baseIndex + 7);
+                indices.push(baseIndex + 2, baseIndex + 3, baseIndex + 6);
+                indices.push(baseIndex + 3, baseIndex + 7, baseIndex + 6);
+            }
+        }
+        
+        return this._createWallMesh(vertices, indices, uvs);
+    }
+
+    /**
+     * Wall mesh from its vertices (see _createWall)
+     */
+    _createWallMesh(vertices, indices, uvs) {
         const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
         geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
@@ -453,62 +613,124 @@ export class Track {
     }
 
     /**
-     * Create invisible checkpoints along the track for lap validation
+     * Build the decks of the overpasses: a slab under the road wherever it passes over another
+     * part of the track, from one side of the lower road to the other
      */
-    _createCheckpoints() {
-        this.checkpoints = [];
-        
-        if (this.skeletonPoints.length < 2) {
-            return;
+    _buildBridges() {
+        const points = this.layout.points;
+        const count = points.length;
+        const closed = this.layout.closed;
+        if (count < 2) return;
+        
+        // Points too close along the track to be another part of it (slopes are not overpasses)
+        const spacing = this.trackCurve.getLength() / count;
+        const maxWidth = Math.max(...points.map(p => p.width));
+        const neighbors = Math.ceil(maxWidth * 2 / spacing);
+        
+        // Skeleton points above another part of the track
+        const above = points.map((point, i) => points.some((other, j) => {
+            const gap = closed ? Math.min((j - i + count) % count, (i - j + count) % count) : Math.abs(j - i);
+            return gap > neighbors &&
+                point.y - other.y >= LEVEL_TOLERANCE &&
+                Math.hypot(point.x - other.x, point.z - other.z) < (point.width + other.width) / 2;
+        }));
+        
+        // One deck per run of points above, one point longer at each end (within the ends of an open track)
+        const runs = [];
+        for (let i = 0; i < count; i++) {
+            if (above[i] && !(closed ? above[(i - 1 + count) % count] : above[i - 1])) {
+                let end = i;
+                while ((closed || end + 1 < count) && above[(end + 1) % count] && end - i < count) end++;
+                runs.push(closed ? [i - 1, end + 1] : [Math.max(0, i - 1), Math.min(count - 1, end + 1)]);
+            }
         }
-
-        // Create evenly spaced checkpoints around the track (excluding start/finish)
-        for (let i = 0; i < this.numCheckpoints; i++) {
-            // Space checkpoints evenly, starting after the finish line
-            const index = Math.floor((i + 1) * this.skeletonPoints.length / (this.numCheckpoints + 1));
-            const nextIndex = (index + 1) % this.skeletonPoints.length;
-            
-            const point = this.skeletonPoints[index];
-            const nextPoint = this.skeletonPoints[nextIndex];
-            
-            // Calculate perpendicular vector for checkpoint width
-            const tangent = new THREE.Vector3().subVectors(nextPoint, point).normalize();
-            const perpendicular = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
-            
-            const halfWidth = this.trackWidth / 2;
+        if (runs.length === 0) return;
+        
+        const vertices = [];
+        const indices = [];
+        const steps = 4; // Samples per skeleton point
+        
+        runs.forEach(([start, end]) => {
+            const first = vertices.length / 3;
+            const samples = (end - start) * steps;
             
-            this.checkpoints.push({
-                id: i,
-                position: point.clone(),
-                leftEdge: point.clone().add(perpendicular.clone().multiplyScalar(halfWidth)),
-                rightEdge: point.clone().add(perpendicular.clone().multiplyScalar(-halfWidth)),
-                direction: tangent.clone(),
-                perpendicular: perpendicular.clone()
-            });
-        }
+            for (let k = 0; k <= samples; k++) {
+                // Same parameter as the ribbon (see _pointAt)
+                const position = start + k / steps;
+                const t = closed ? (((position % count) + count) % count) / (count + 1) : position / (count - 1);
+                const point = this.trackCurve.getPoint(t);
+                const tangent = this.trackCurve.getTangent(t);
+                const perpendicular = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
+                const halfWidth = this._widthAt(t) / 2 + 0.3; // Under the walls too
+                
+                // Left top, left bottom, right bottom, right top (the top is the road itself)
+                const left = point.clone().add(perpendicular.clone().multiplyScalar(halfWidth));
+                const right = point.clone().add(perpendicular.clone().multiplyScalar(-halfWidth));
+                vertices.push(left.x, left.y - 0.02, left.z);
+                vertices.push(left.x, left.y - BRIDGE_THICKNESS, left.z);
+                vertices.push(right.x, right.y - BRIDGE_THICKNESS, right.z);
+                vertices.push(right.x, right.y - 0.02, right.z);
+                
+                // Left side, underside and right side
+                if (k < samples) {
+                    const base = first + k * 4;
+                    for (let side = 0; side < 3; side++) {
+                        indices.push(base + side, base + side + 1, base + side + 4);
+                        indices.push(base + side + 1, base + side + 5, base + side + 4);
+                    }
+                }
+            }
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        
+        const material = new THREE.MeshStandardMaterial({
+            color: BRIDGE_COLOR,
+            roughness: 0.9,
+            metalness: 0.1,
+            side: THREE.DoubleSide
+        });
+        
+        this.bridgeMesh = new THREE.Mesh(geometry, material);
+        this.scene.add(this.bridgeMesh);
+        
+        console.log(`Track bridges created (${runs.length})`);
+    }
+
+    /**
+     * Create invisible checkpoints along the track for lap validation
+     * The gates come from the layout: the server validates crossings against the same ones
+     */
+    _createCheckpoints() {
+        this.checkpoints = this.layout.checkpoints.map((gate) => ({
+            id: gate.id,
+            position: new THREE.Vector3(gate.x, gate.y, gate.z),
+            leftEdge: new THREE.Vector3(gate.leftX, gate.y, gate.leftZ),
+            rightEdge: new THREE.Vector3(gate.rightX, gate.y, gate.rightZ),
+            direction: new THREE.Vector3(gate.dirX, 0, gate.dirZ),
+            perpendicular: new THREE.Vector3(-gate.dirZ, 0, gate.dirX)
+        }));
         
         console.log(`Created ${this.checkpoints.length} checkpoints`);
     }
 
     /**
-     * Create visual finish line at the track start
+     * Create visual finish line on the layout's finish gate (the track start of a loop, its end when open)
      */
     _createFinishLine() {
-        if (this.skeletonPoints.length < 2) {
+        const gate = this.layout.finishLine;
+        if (!gate) {
             return;
         }
 
-        const startPoint = this.skeletonPoints[0];
-        const nextPoint = this.skeletonPoints[1];
-        
-        // Calculate perpendicular vector
-        const tangent = new THREE.Vector3().subVectors(nextPoint, startPoint).normalize();
-        const perpendicular = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
-        
-        const halfWidth = this.trackWidth / 2;
+        const startPoint = new THREE.Vector3(gate.x, gate.y, gate.z);
+        const tangent = new THREE.Vector3(gate.dirX, 0, gate.dirZ);
         
         // Create checkered pattern finish line
-        const lineGeometry = new THREE.PlaneGeometry(this.trackWidth, 1);
+        const lineGeometry = new THREE.PlaneGeometry(Math.hypot(gate.rightX - gate.leftX, gate.rightZ - gate.leftZ), 1);
         
         // Create a canvas texture for checkered pattern
         const canvas = document.createElement('canvas');
@@ -552,67 +774,29 @@ export class Track {
     }
 
     /**
-     * Check if a position crosses a checkpoint
-     * Returns checkpoint info if crossed, null otherwise
+     * Create visual start line of an open track, in front of the starting grid
+     * (a loop starts on its finish line)
      */
-    checkCheckpoint(oldPos, newPos, checkpointId) {
-        if (checkpointId >= this.checkpoints.length) {
-            return null;
-        }
-        
-        const checkpoint = this.checkpoints[checkpointId];
-        
-        // Check if the line from oldPos to newPos crosses the checkpoint line
-        // using 2D line intersection (ignoring Y)
-        const crossed = this._linesCross2D(
-            oldPos, newPos,
-            checkpoint.leftEdge, checkpoint.rightEdge
-        );
-        
-        return crossed ? checkpoint : null;
-    }
-
-    /**
-     * Check if a position crosses the finish line
-     */
-    checkFinishLine(oldPos, newPos) {
-        if (this.skeletonPoints.length < 2) {
-            return false;
+    _createStartLine() {
+        if (this.layout.closed || this.skeletonPoints.length < 2) {
+            return;
         }
-        
-        const startPoint = this.skeletonPoints[0];
-        const nextPoint = this.skeletonPoints[1];
-        
-        const tangent = new THREE.Vector3().subVectors(nextPoint, startPoint).normalize();
-        const perpendicular = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
-        const halfWidth = this.trackWidth / 2;
-        
-        const leftEdge = startPoint.clone().add(perpendicular.clone().multiplyScalar(halfWidth));
-        const rightEdge = startPoint.clone().add(perpendicular.clone().multiplyScalar(-halfWidth));
-        
-        return this._linesCross2D(oldPos, newPos, leftEdge, rightEdge);
-    }
 
-    /**
-     * Check if two 2D line segments intersect (helper function)
-     */
-    _linesCross2D(a1, a2, b1, b2) {
-        // Using 2D coordinates only (x, z)
-        const x1 = a1.x, z1 = a1.z;
-        const x2 = a2.x, z2 = a2.z;
-        const x3 = b1.x, z3 = b1.z;
-        const x4 = b2.x, z4 = b2.z;
-        
-        const denom = (x1 - x2) * (z3 - z4) - (z1 - z2) * (x3 - x4);
-        
-        if (Math.abs(denom) < 0.0001) {
-            return false; // Parallel or coincident
-        }
+        const start = this.layout.getStartPositionOffset(0, 0);
+        const lineGeometry = new THREE.PlaneGeometry(this.layout.points[this.layout.startIndex].width, 0.5);
+        const lineMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.9
+        });
         
-        const t = ((x1 - x3) * (z3 - z4) - (z1 - z3) * (x3 - x4)) / denom;
-        const u = -((x1 - x2) * (z1 - z3) - (z1 - z2) * (x1 - x3)) / denom;
+        this.startLineMesh = new THREE.Mesh(lineGeometry, lineMaterial);
+        this.startLineMesh.position.set(start.x, this.layout.points[this.layout.startIndex].y + 0.05, start.z);
+        this.startLineMesh.rotation.x = -Math.PI / 2; // Lay flat
+        this.startLineMesh.rotation.z = start.rotY; // Align with track
         
-        return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+        this.scene.add(this.startLineMesh);
     }
 
     /**
@@ -620,25 +804,7 @@ export class Track {
      * Returns the first point on the track
      */
     getStartPosition() {
-        if (this.skeletonPoints.length === 0) {
-            return { x: 0, y: 0.2, z: 0, rotY: 0 };
-        }
-        
-        const startPoint = this.skeletonPoints[0];
-        const nextPoint = this.skeletonPoints[1] || startPoint;
-        
-        // Calculate rotation to face along the track
-        const direction = new THREE.Vector3()
-            .subVectors(nextPoint, startPoint)
-            .normalize();
-        const rotY = Math.atan2(direction.x, direction.z);
-        
-        return {
-            x: startPoint.x,
-            y: 0.2,
-            z: startPoint.z,
-            rotY: rotY
-        };
+        return this.layout.getStartPositionOffset(0, 0);
     }
 
     /**
@@ -646,136 +812,53 @@ export class Track {
      * Useful for multiple players at the starting line
      */
     getStartPositionOffset(lateralOffset = 0, longitudinalOffset = 0) {
-        if (this.skeletonPoints.length < 2) {
-            return this.getStartPosition();
-        }
-        
-        const startPoint = this.skeletonPoints[0];
-        const nextPoint = this.skeletonPoints[1];
-        
-        // Calculate forward direction
-        const forward = new THREE.Vector3()
-            .subVectors(nextPoint, startPoint)
-            .normalize();
-        
-        // Calculate perpendicular (lateral) direction
-        const lateral = new THREE.Vector3(-forward.z, 0, forward.x).normalize();
-        
-        // Calculate position with offsets
-        const position = startPoint.clone()
-            .add(lateral.multiplyScalar(lateralOffset))
-            .add(forward.multiplyScalar(longitudinalOffset));
-        
-        const rotY = Math.atan2(forward.x, forward.z);
-        
-        return {
-            x: position.x,
-            y: 0.2,
-            z: position.z,
-            rotY: rotY
-        };
+        return this.layout.getStartPositionOffset(lateralOffset, longitudinalOffset);
+    }
+
+    /**
+     * Get spawn position on the starting grid (same slots as the server)
+     * @param {number} slot - Grid slot (0 = pole position)
+     */
+    getGridPosition(slot) {
+        return this.layout.getGridPosition(slot);
     }
 
     /**
      * Check if a position is outside the track boundaries
      * Returns an object with collision info if outside, null if inside
+     * Where the track passes over itself, only the walls of the section the car is on count
+     * @param {Object} position - { x, y, z }, y optional
+     * @param {number} currentSegmentId - The segment the car is currently on (null to search all)
      */
-    checkWallCollision(position) {
-        if (this.skeletonPoints.length < 2) {
-            return null;
-        }
-
-        // Find the closest point on the track skeleton
-        let closestDistance = Infinity;
-        let closestSegmentIndex = 0;
-        let closestT = 0;
-
-        // Check each segment of the track
-        for (let i = 0; i < this.skeletonPoints.length; i++) {
-            const p1 = this.skeletonPoints[i];
-            const p2 = this.skeletonPoints[(i + 1) % this.skeletonPoints.length];
-            
-            // Project point onto line segment
-            const lineVec = new THREE.Vector3().subVectors(p2, p1);
-            const pointVec = new THREE.Vector3().subVectors(position, p1);
-            
-            const lineLength = lineVec.length();
-            if (lineLength === 0) continue;
-            
-            const t = Math.max(0, Math.min(1, pointVec.dot(lineVec) / (lineLength * lineLength)));
-            const projection = p1.clone().add(lineVec.multiplyScalar(t));
-            
-            const distance = new THREE.Vector2(
-                position.x - projection.x,
-                position.z - projection.z
-            ).length();
-            
-            if (distance < closestDistance) {
-                closestDistance = distance;
-                closestSegmentIndex = i;
-                closestT = t;
-            }
-        }
-
-        // Calculate the closest point on the track centerline
-        const p1 = this.skeletonPoints[closestSegmentIndex];
-        const p2 = this.skeletonPoints[(closestSegmentIndex + 1) % this.skeletonPoints.length];
-        const lineVec = new THREE.Vector3().subVectors(p2, p1);
-        const closestPoint = p1.clone().add(lineVec.multiplyScalar(closestT));
-
-        // Calculate distance from track center
-        const halfWidth = this.trackWidth / 2;
-        const carRadius = 1.0; // Approximate car size
-        const maxDistance = halfWidth - carRadius; // More aggressive boundary check
-
-        if (closestDistance > maxDistance) {
-            // Outside track boundaries
-            // Calculate correction vector (push toward track center)
-            const toCenter = new THREE.Vector3()
-                .subVectors(closestPoint, position);
-            toCenter.y = 0; // Keep on same y level
-            toCenter.normalize();
-
-            return {
-                isColliding: true,
-                correctionVector: toCenter,
-                penetrationDepth: closestDistance - maxDistance,
-                closestPoint: closestPoint
-            };
+    checkWallCollision(position, currentSegmentId = null) {
+        const collision = this.layout.checkWall(position.x, position.z, 1.0, position.y ?? null, currentSegmentId);
+        if (!collision) {
+            return null; // Inside track
         }
-
-        return null; // Inside track
+        
+        const closest = collision.closestPoint;
+        return {
+            isColliding: true,
+            correctionVector: new THREE.Vector3(collision.correctionX, 0, collision.correctionZ),
+            penetrationDepth: collision.penetrationDepth,
+            closestPoint: new THREE.Vector3(closest.x, closest.y, closest.z)
+        };
     }
 
     /**
      * Get the track normal (perpendicular direction) at a given position
      * Useful for calculating bounce direction
+     * @param {Object} position - { x, y, z }, y optional (level of the track where it passes over itself)
      */
     getTrackNormalAt(position) {
         if (this.skeletonPoints.length < 2) {
             return new THREE.Vector3(0, 0, 1);
         }
 
-        // Find closest segment
-        let closestDistance = Infinity;
-        let closestSegmentIndex = 0;
-
-        for (let i = 0; i < this.skeletonPoints.length; i++) {
-            const p = this.skeletonPoints[i];
-            const dist = new THREE.Vector2(
-                position.x - p.x,
-                position.z - p.z
-            ).length();
-            
-            if (dist < closestDistance) {
-                closestDistance = dist;
-                closestSegmentIndex = i;
-            }
-        }
-
-        // Get tangent of the track at this point
-        const p1 = this.skeletonPoints[closestSegmentIndex];
-        const p2 = this.skeletonPoints[(closestSegmentIndex + 1) % this.skeletonPoints.length];
+        // Get tangent of the track at the closest centerline point
+        const closest = this.layout.closestPoint(position.x, position.z, position.y ?? null);
+        const p1 = this.skeletonPoints[closest.index];
+        const p2 = this.skeletonPoints[(closest.index + 1) % this.skeletonPoints.length];
         const tangent = new THREE.Vector3().subVectors(p2, p1).normalize();
         
         // Normal is perpendicular to tangent
@@ -787,6 +870,7 @@ export class Track {
     /**
      * Get track altitude and pitch at a given position
      * Uses segment-based approach to support overlapping tracks
+     * Reads the surface lookup table (see _buildSurfaceIndex): only the pieces under the position are checked
      * @param {THREE.Vector3} position - Position to query
      * @param {number} currentSegmentId - The segment the car is currently on (null to search all)
      * @returns {Object} { altitude: number, pitch: number, roll: number, segmentId: number, t: number }
@@ -810,10 +894,12 @@ export class Track {
         } else {
             // Search all segments (initial placement or car lost track)
             // First, do a quick bounding box check to reduce search space
+            // (the altitude keeps the level the car is on where the track passes over itself)
             for (let i = 0; i < this.segments.length; i++) {
                 const bounds = this.segments[i].bounds;
                 if (position.x >= bounds.minX && position.x <= bounds.maxX &&
-                    position.z >= bounds.minZ && position.z <= bounds.maxZ) {
+                    position.z >= bounds.minZ && position.z <= bounds.maxZ &&
+                    position.y >= bounds.minY && position.y <= bounds.maxY) {
                     segmentsToSearch.push(i);
                 }
             }
@@ -824,130 +910,173 @@ export class Track {
             }
         }
 
-        // Find the best matching segment and position
-        let bestSegmentId = currentSegmentId !== null ? currentSegmentId : 0;
-        let bestT = 0;
-        let bestDist = Infinity;
-        
-        for (const segmentId of segmentsToSearch) {
-            const segment = this.segments[segmentId];
-            const curve = segment.curve;
-            
-            // Sample points along this segment
-            const samples = 20;
-            const tRange = segment.tEnd - segment.tStart;
-            
-            for (let i = 0; i <= samples; i++) {
-                const t = segment.tStart + (tRange * i / samples);
-                const point = curve.getPoint(t);
-                
-                // Calculate 2D distance (ignore Y to support overlaps)
-                const dist = Math.sqrt(
-                    (position.x - point.x) ** 2 +
-                    (position.z - point.z) ** 2
-                );
-                
-                if (dist < bestDist) {
-                    bestDist = dist;
-                    bestT = t;
-                    bestSegmentId = segmentId;
-                }
-            }
+        // Closest piece of these segments in the grid cell under the position,
+        // or among all their pieces when the position is too far from the track for the grid
+        let best = this._closestPiece(position, this.surfaceGrid.query(position.x, position.z), segmentsToSearch);
+        if (!best || best.distance > this.layout.gridReach) {
+            const pieces = segmentsToSearch.flatMap(segmentId => this.segments[segmentId].pieces);
+            best = this._closestPiece(position, pieces, segmentsToSearch);
         }
         
-        // Refine the best position with a fine search
-        const segment = this.segments[bestSegmentId];
-        const curve = segment.curve;
-        const fineRange = 0.05;
-        const fineSamples = 10;
+        // Surface between the two samples of the piece
+        const samples = this.surfaceSamples;
+        const a = samples[best.piece];
+        const b = samples[(best.piece + 1) % samples.length];
+        const lerp = (from, to) => from + (to - from) * best.f;
         
-        const fineStart = Math.max(segment.tStart, bestT - fineRange);
-        const fineEnd = Math.min(segment.tEnd, bestT + fineRange);
+        // Place on the segment curve (see TrackLayout.getSegmentPosition), past its last point on the last piece
+        const count = this.skeletonPoints.length;
+        const perSegment = this.layout.pointsPerSegment;
+        const skeletonPosition = lerp(a.position, b.position < a.position ? b.position + count : b.position);
+        const offset = skeletonPosition - a.segmentId * perSegment;
         
-        for (let i = 0; i <= fineSamples; i++) {
-            const t = fineStart + (fineEnd - fineStart) * (i / fineSamples);
-            const point = curve.getPoint(t);
+        return {
+            altitude: lerp(a.y, b.y),
+            pitch: lerp(a.pitch, b.pitch),
+            roll: lerp(a.roll, b.roll),
+            segmentId: a.segmentId,
+            t: (offset + 1) / (this.layout.getSegmentSize(a.segmentId) + 1)
+        };
+    }
+
+    /**
+     * Closest piece of the surface lookup table to a position (2D, ignoring altitude)
+     * @param {Array} pieces - Index of the first sample of each piece to check
+     * @param {Array} segmentIds - Segments the piece must belong to
+     * @returns {Object|null} { piece, f, distance } - f locates the position between the two samples
+     */
+    _closestPiece(position, pieces, segmentIds) {
+        let best = null;
+        for (const piece of pieces) {
+            const a = this.surfaceSamples[piece];
+            if (!segmentIds.includes(a.segmentId)) continue;
+            const b = this.surfaceSamples[(piece + 1) % this.surfaceSamples.length];
             
-            const dist = Math.sqrt(
-                (position.x - point.x) ** 2 +
-                (position.z - point.z) ** 2
-            );
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const lengthSq = dx * dx + dz * dz;
+            const f = lengthSq > 0
+                ? THREE.MathUtils.clamp(((position.x - a.x) * dx + (position.z - a.z) * dz) / lengthSq, 0, 1)
+                : 0;
+            const distance = Math.hypot(position.x - (a.x + dx * f), position.z - (a.z + dz * f));
             
-            if (dist < bestDist) {
-                bestDist = dist;
-                bestT = t;
+            if (!best || distance < best.distance) {
+                best = { piece, f, distance };
             }
         }
+        return best;
+    }
+
+    /**
+     * Move a car state along the track spline, keeping its offset from the centerline
+     * Used to extrapolate remote cars when no recent snapshot is available
+     * @param {Object} snapshot - { x, z, rotY, vx, vz, segmentId, segmentT } (velocity in units per second)
+     * @param {number} seconds - Time to extrapolate
+     * @returns {Object} { x, z, rotY }
+     */
+    extrapolateAlongTrack(snapshot, seconds) {
+        const numPoints = this.skeletonPoints.length;
+        const perSegment = this.layout.pointsPerSegment;
+        // Around a loop, stopped at the ends of an open track
+        const wrap = this.layout.closed ? (u) => ((u % 1) + 1) % 1 : (u) => THREE.MathUtils.clamp(u, 0, 1);
+        
+        // Segment coordinates -> parameter on the whole track curve (skeleton point i at i / numPoints,
+        // at i / (numPoints - 1) on an open track)
+        const segmentSize = this.layout.getSegmentSize(snapshot.segmentId);
+        const index = snapshot.segmentId * perSegment + snapshot.segmentT * (segmentSize + 1) - 1;
+        const u0 = wrap(index / (this.layout.closed ? numPoints : numPoints - 1));
+        const t0 = this.trackCurve.getTangent(u0);
+        
+        // Only the velocity along the track is kept, so the car follows the corners
+        const distance = ((snapshot.vx || 0) * t0.x + (snapshot.vz || 0) * t0.z) * seconds;
+        const u1 = wrap(u0 + distance / this.trackCurve.getLength());
+        
+        const p0 = this.trackCurve.getPoint(u0);
+        const p1 = this.trackCurve.getPoint(u1);
+        const t1 = this.trackCurve.getTangent(u1);
+        
+        // Turn with the track
+        let headingChange = Math.atan2(t1.x, t1.z) - Math.atan2(t0.x, t0.z);
+        while (headingChange > Math.PI) headingChange -= Math.PI * 2;
+        while (headingChange < -Math.PI) headingChange += Math.PI * 2;
         
-        // Get the final surface information
-        const curvePoint = curve.getPoint(bestT);
-        const altitude = curvePoint.y;
-        
-        // Get tangent for pitch calculation
-        const tangent = curve.getTangent(bestT);
-        const horizontalLength = Math.sqrt(tangent.x * tangent.x + tangent.z * tangent.z);
-        const pitch = Math.atan2(tangent.y, horizontalLength);
-        
-        // Calculate roll from curvature
-        const tBefore = Math.max(segment.tStart, bestT - 0.01);
-        const tAfter = Math.min(segment.tEnd, bestT + 0.01);
-        
-        const pointBefore = curve.getPoint(tBefore);
-        const pointAfter = curve.getPoint(tAfter);
-        
-        const dirBefore = new THREE.Vector2(
-            curvePoint.x - pointBefore.x,
-            curvePoint.z - pointBefore.z
-        ).normalize();
-        
-        const dirAfter = new THREE.Vector2(
-            pointAfter.x - curvePoint.x,
-            pointAfter.z - curvePoint.z
-        ).normalize();
-        
-        const angleBefore = Math.atan2(dirBefore.y, dirBefore.x);
-        const angleAfter = Math.atan2(dirAfter.y, dirAfter.x);
-        let angleDiff = angleAfter - angleBefore;
-        
-        while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-        while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-        
-        const maxRoll = 0.15;
-        const curvatureScale = 15;
-        const roll = -angleDiff * curvatureScale;
-        
-        return { 
-            altitude, 
-            pitch, 
-            roll: THREE.MathUtils.clamp(roll, -maxRoll, maxRoll),
-            segmentId: bestSegmentId,
-            t: bestT
+        return {
+            x: snapshot.x + p1.x - p0.x,
+            z: snapshot.z + p1.z - p0.z,
+            rotY: snapshot.rotY + headingChange
         };
     }
 
     /**
-     * Cleanup - remove track from scene
+     * Get the driving analysis of the track (racing line, speeds, corners, difficulty)
+     * Computed on first use and shared by everything that needs it
+     * @returns {TrackAnalysis}
      */
-    destroy() {
-        if (this.trackMesh) {
-            this.scene.remove(this.trackMesh);
-            this.trackMesh.geometry.dispose();
-            this.trackMesh.material.dispose();
-        }
-        if (this.innerWall) {
-            this.scene.remove(this.innerWall);
-            this.innerWall.geometry.dispose();
-            this.innerWall.material.dispose();
+    getAnalysis() {
+        if (!this.analysis) {
+            this.analysis = new TrackAnalysis(this);
+            console.log(`Track analysis: ${this.analysis.corners.length} corners, difficulty ${this.analysis.difficulty}/10`);
         }
-        if (this.outerWall) {
-            this.scene.remove(this.outerWall);
-            this.outerWall.geometry.dispose();
-            this.outerWall.material.dispose();
+        return this.analysis;
+    }
+
+    /**
+     * Show or hide the racing line on the track, colored by recommended speed (red = slow, green = fast)
+     * @param {boolean} visible
+     */
+    setDrivingLineVisible(visible) {
+        if (visible && !this.drivingLine) {
+            this.drivingLine = this._createDrivingLine();
+            this.scene.add(this.drivingLine);
         }
-        if (this.finishLineMesh) {
-            this.scene.remove(this.finishLineMesh);
-            this.finishLineMesh.geometry.dispose();
-            this.finishLineMesh.material.dispose();
+        if (this.drivingLine) {
+            this.drivingLine.visible = visible;
         }
     }
+
+    /**
+     * Build the racing line overlay from the analysis
+     */
+    _createDrivingLine() {
+        const line = this.getAnalysis().line;
+        const positions = new Float32Array(line.length * 3);
+        const colors = new Float32Array(line.length * 3);
+        const color = new THREE.Color();
+        
+        line.forEach((point, i) => {
+            positions.set([point.x, point.y + 0.1, point.z], i * 3); // Just above the surface
+            const ratio = Math.min(1, point.speed / CAR_PHYSICS.maxSpeed);
+            color.setHSL(ratio / 3, 1, 0.5);
+            colors.set([color.r, color.g, color.b], i * 3);
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        
+        const material = new THREE.LineBasicMaterial({ vertexColors: true });
+        return this.layout.closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+    }
+
+    /**
+     * Cleanup - remove track from scene
+     */
+    destroy() {
+        this._disposeMeshes();
+    }
+
+    /**
+     * Remove the track meshes from the scene and free their GPU resources
+     */
+    _disposeMeshes() {
+        ['trackMesh', 'innerWall', 'outerWall', 'startWall', 'endWall', 'bridgeMesh', 'finishLineMesh', 'startLineMesh', 'drivingLine'].forEach((name) => {
+            const mesh = this[name];
+            if (!mesh) return;
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.map?.dispose();
+            mesh.material.dispose();
+            this[name] = null;
+        });
+    }
 }
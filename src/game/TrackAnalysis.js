@@ -0,0 +1,293 @@
+import { CAR_PHYSICS, MAX_CURVATURE, clamp, shortestAngle } from '../shared/CarPhysics.js';
+
+const SAMPLE_SPACING = 2; // Distance between two samples along the centerline
+const LINE_MARGIN = 1.0; // Extra distance kept from the walls by the racing line
+const LINE_ITERATIONS = 300; // Relaxation passes pulling the line straight
+const CURVATURE_SPAN = 3; // Samples on each side used to measure the curvature
+const CORNER_CURVATURE = 0.03; // Centerline curvature (radians per unit) above which the track is turning
+const CORNER_MIN_ANGLE = 0.5; // Total turn (radians, about 30°) for a bend to count as a corner
+const CORNER_MERGE_DISTANCE = 12; // Bends in the same direction closer than this are one corner
+
+/**
+ * TrackAnalysis - How to drive a track, computed from Track.trackCurve
+ * Samples the centerline at regular distances and derives:
+ * - the curvature at each sample (positive = turning left)
+ * - the racing line within the track width (outside - apex - outside)
+ * - the recommended speed along the line (corner speed, braking before the corners)
+ * - the corners, numbered from the finish line
+ * - a difficulty score from 0 (flat out) to 10
+ * Samples, line points and speeds share the same indices.
+ * On an open track nothing wraps around: the samples run from the first point to the last one.
+ */
+export class TrackAnalysis {
+    /**
+     * @param {Track} track - Track with trackCurve, trackWidth and its layout (widths per point)
+     */
+    constructor(track) {
+        this.trackWidth = track.trackWidth;
+        this.length = track.trackCurve.getLength();
+        this.spacing = 0;
+        this.closed = track.layout ? track.layout.closed : true;
+
+        this.samples = []; // Centerline { x, y, z, normalX, normalZ, width, distance, curvature }
+        this.line = []; // Racing line { x, y, z, offset, curvature, speed }
+        this.corners = []; // { number, start, apex, end, direction, angle, speed, distance }
+        this.difficulty = 0;
+
+        this._sampleCenterline(track.trackCurve, track.layout);
+        this._computeRacingLine();
+        this._detectCorners();
+        this._rateDifficulty();
+    }
+
+    /**
+     * Get a driving line between the centerline (usage 0) and the racing line (usage 1)
+     * @param {number} usage - Share of the racing line's lateral offsets
+     * @returns {Array} Points { x, y, z, curvature } with the samples' indices
+     */
+    getLine(usage = 1) {
+        const points = this.samples.map((sample, i) => {
+            const offset = this.line[i].offset * usage;
+            return {
+                x: sample.x + sample.normalX * offset,
+                y: sample.y,
+                z: sample.z + sample.normalZ * offset,
+                curvature: 0
+            };
+        });
+        points.forEach((point, i) => {
+            point.curvature = curvatureAt(points, i, this.closed);
+        });
+        return points;
+    }
+
+    /**
+     * Get the speed to drive at each point of a line
+     * Each point gets the top speed its curvature allows, then speeds are lowered backward
+     * so the car can brake in time for the slower points ahead.
+     * @param {Array} points - Line { x, z, curvature }, one per sample
+     * @param {Object} options - { braking: share of the braking power to count on, topSpeed }
+     * @returns {Array} Speeds, in CarPhysics speed units
+     */
+    getSpeedProfile(points, { braking = 1, topSpeed = CAR_PHYSICS.maxSpeed } = {}) {
+        const count = points.length;
+        const speeds = points.map((point) => {
+            const ratio = (1 - Math.abs(point.curvature) / MAX_CURVATURE) / 0.6;
+            return clamp(ratio * CAR_PHYSICS.maxSpeed, CAR_PHYSICS.maxSpeed * 0.2, topSpeed);
+        });
+
+        // Braking: v² <= v_next² + 2 * deceleration * distance (in speed units, see distanceScale)
+        const deceleration = CAR_PHYSICS.brakeForce * CAR_PHYSICS.baseAccel * braking;
+        const brakingPerSample = 2 * deceleration * this.spacing / CAR_PHYSICS.distanceScale;
+        for (let pass = 0; pass < (this.closed ? 2 : 1); pass++) { // Twice around, the loop wraps
+            for (let i = this.closed ? count - 1 : count - 2; i >= 0; i--) {
+                speeds[i] = Math.min(speeds[i], Math.sqrt(speeds[(i + 1) % count] ** 2 + brakingPerSample));
+            }
+        }
+        return speeds;
+    }
+
+    /**
+     * Find the sample closest to a position
+     * Searches around a previous result first (cars move forward), the whole track otherwise
+     * @param {number} x
+     * @param {number} z
+     * @param {number|null} hint - Sample index found on the previous call
+     * @returns {number} Sample index
+     */
+    findClosestSample(x, z, hint = null) {
+        const count = this.samples.length;
+        const distanceTo = (i) => Math.hypot(this.samples[i].x - x, this.samples[i].z - z);
+
+        let best = null;
+        let bestDistance = Infinity;
+        if (hint !== null) {
+            for (let offset = -5; offset <= 20; offset++) {
+                const i = this.closed ? (hint + offset + count) % count : clamp(hint + offset, 0, count - 1);
+                const distance = distanceTo(i);
+                if (distance < bestDistance) {
+                    best = i;
+                    bestDistance = distance;
+                }
+            }
+        }
+
+        if (best === null || bestDistance > this.trackWidth) {
+            for (let i = 0; i < count; i++) {
+                const distance = distanceTo(i);
+                if (distance < bestDistance) {
+                    best = i;
+                    bestDistance = distance;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Get the corner a sample belongs to
+     * @param {number} index - Sample index
+     * @returns {Object|null} One of this.corners
+     */
+    getCornerAt(index) {
+        const count = this.samples.length;
+        if (!this.closed) {
+            return this.corners.find((corner) => index >= corner.start && index <= corner.end) || null;
+        }
+        return this.corners.find((corner) => (index - corner.start + count) % count <= (corner.end - corner.start + count) % count) || null;
+    }
+
+    /**
+     * Sample the centerline from the finish line (t = 0) with its normals, width and curvature
+     * (from the first point to the last one of an open track)
+     */
+    _sampleCenterline(curve, layout) {
+        const count = Math.max(16, Math.round(this.length / SAMPLE_SPACING));
+        this.spacing = this.length / count;
+
+        // The last spaced point is the first one again on a loop, the end of an open track
+        this.samples = curve.getSpacedPoints(count).slice(0, this.closed ? count : count + 1).map((point, i) => {
+            const tangent = curve.getTangentAt(i / count);
+            const length = Math.hypot(tangent.x, tangent.z) || 1;
+            return {
+                x: point.x,
+                y: point.y,
+                z: point.z,
+                normalX: -tangent.z / length,
+                normalZ: tangent.x / length,
+                width: layout ? layout.closestPoint(point.x, point.z, point.y).width : this.trackWidth,
+                distance: i * this.spacing,
+                curvature: 0
+            };
+        });
+        this.samples.forEach((sample, i) => {
+            sample.curvature = curvatureAt(this.samples, i, this.closed);
+        });
+    }
+
+    /**
+     * Relax the lateral offsets toward the neighbours' midpoint, which straightens the line
+     * within the usable width (walls minus the car's radius and a margin)
+     */
+    _computeRacingLine() {
+        const count = this.samples.length;
+        const maxOffsets = this.samples.map((sample) => Math.max(0, sample.width / 2 - CAR_PHYSICS.wallRadius - LINE_MARGIN));
+        const offsets = new Array(count).fill(0);
+        const pointAt = (i) => {
+            const j = this.closed ? (i + count) % count : clamp(i, 0, count - 1);
+            const sample = this.samples[j];
+            return {
+                x: sample.x + sample.normalX * offsets[j],
+                z: sample.z + sample.normalZ * offsets[j]
+            };
+        };
+
+        for (let iteration = 0; iteration < LINE_ITERATIONS; iteration++) {
+            for (let i = 0; i < count; i++) {
+                const previous = pointAt(i - 1);
+                const next = pointAt(i + 1);
+                const sample = this.samples[i];
+                const midX = (previous.x + next.x) / 2 - sample.x;
+                const midZ = (previous.z + next.z) / 2 - sample.z;
+                offsets[i] = clamp(midX * sample.normalX + midZ * sample.normalZ, -maxOffsets[i], maxOffsets[i]);
+            }
+        }
+
+        this.line = this.samples.map((sample, i) => ({ ...pointAt(i), y: sample.y, offset: offsets[i], curvature: 0, speed: 0 }));
+        this.line.forEach((point, i) => {
+            point.curvature = curvatureAt(this.line, i, this.closed);
+        });
+        this.getSpeedProfile(this.line).forEach((speed, i) => {
+            this.line[i].speed = speed;
+        });
+    }
+
+    /**
+     * Find the corners: runs of samples turning the same way, merged when close,
+     * kept when they turn enough, numbered in racing order from the finish line
+     */
+    _detectCorners() {
+        const count = this.samples.length;
+        const turning = (i) => Math.abs(this.samples[i].curvature) > CORNER_CURVATURE;
+        const direction = (i) => Math.sign(this.samples[i].curvature);
+
+        // Start scanning on a straight so no corner is cut in two by the loop (from the start of an open track)
+        const first = this.closed ? this.samples.findIndex((sample, i) => !turning(i)) : 0;
+        if (first === -1) {
+            this.corners = []; // Turning everywhere: a circle has no corners
+            return;
+        }
+
+        const runs = [];
+        for (let step = 0; step < count; step++) {
+            const i = (first + step) % count;
+            if (!turning(i)) continue;
+
+            const last = runs[runs.length - 1];
+            const gap = last ? (i - last.end + count) % count : Infinity;
+            if (last && last.sign === direction(i) && gap * this.spacing <= CORNER_MERGE_DISTANCE) {
+                last.end = i;
+            } else {
+                runs.push({ start: i, end: i, sign: direction(i) });
+            }
+        }
+
+        const corners = runs.map((run) => {
+            let angle = 0;
+            let apex = run.start;
+            let speed = Infinity;
+            for (let step = 0; step <= (run.end - run.start + count) % count; step++) {
+                const i = (run.start + step) % count;
+                angle += this.samples[i].curvature * this.spacing;
+                if (Math.abs(this.samples[i].curvature) > Math.abs(this.samples[apex].curvature)) {
+                    apex = i;
+                }
+                speed = Math.min(speed, this.line[i].speed);
+            }
+            return {
+                number: 0,
+                start: run.start,
+                apex,
+                end: run.end,
+                direction: run.sign > 0 ? 'left' : 'right',
+                angle: Math.abs(angle),
+                speed,
+                distance: this.samples[apex].distance
+            };
+        }).filter((corner) => corner.angle >= CORNER_MIN_ANGLE);
+
+        corners.sort((a, b) => a.distance - b.distance);
+        corners.forEach((corner, i) => {
+            corner.number = i + 1;
+        });
+        this.corners = corners;
+    }
+
+    /**
+     * Difficulty from 0 to 10: speed lost to the corners, the slowest corner and the corner density
+     */
+    _rateDifficulty() {
+        const meanSpeed = this.line.reduce((sum, point) => sum + point.speed, 0) / this.line.length;
+        const slowest = Math.min(...this.line.map((point) => point.speed));
+        const speedLoss = 1 - meanSpeed / CAR_PHYSICS.maxSpeed;
+        const hardestCorner = 1 - slowest / CAR_PHYSICS.maxSpeed;
+        const density = Math.min(1, this.corners.length / (this.length / 100));
+
+        const score = 10 * (0.5 * Math.min(1, speedLoss * 2) + 0.3 * hardestCorner + 0.2 * density);
+        this.difficulty = Math.round(clamp(score, 0, 10) * 10) / 10;
+    }
+}
+
+/**
+ * Signed curvature of a polyline at a point (radians per unit of distance, positive = left)
+ * @param {boolean} closed - The polyline loops, otherwise the span is cut at its ends
+ */
+function curvatureAt(points, i, closed = true) {
+    const count = points.length;
+    const a = points[closed ? (i - CURVATURE_SPAN + count) % count : Math.max(0, i - CURVATURE_SPAN)];
+    const b = points[i];
+    const c = points[closed ? (i + CURVATURE_SPAN) % count : Math.min(count - 1, i + CURVATURE_SPAN)];
+    const turn = shortestAngle(Math.atan2(c.x - b.x, c.z - b.z) - Math.atan2(b.x - a.x, b.z - a.z));
+    const length = (Math.hypot(b.x - a.x, b.z - a.z) + Math.hypot(c.x - b.x, c.z - b.z)) / 2;
+    return turn / (length || 1);
+}
@@ -0,0 +1,520 @@
+import * as THREE from 'three';
+import { parseTrackDefinition, TRACK_LIMITS, TRACK_SURFACES } from '../shared/TrackDefinition.js';
+import { clamp } from '../shared/CarPhysics.js';
+
+const HANDLE_RADIUS = 1.2;
+const HANDLE_COLORS = {
+    point: 0xff9500,
+    checkpoint: 0xffff00,
+    start: 0xffffff,
+    selected: 0x00bfff
+};
+const ALTITUDE_STEP = 0.5; // PageUp / PageDown
+const WIDTH_STEP = 1; // + / -
+const VIEW_HEIGHT = { min: 20, max: 400 }; // Zoom limits of the overhead view
+
+/**
+ * TrackEditor - Design a track on the scene's Track with the mouse
+ * Each skeleton point is a draggable handle (white = start line and the finish of an open track,
+ * yellow = checkpoint, blue = selected).
+ * Edits apply to a track definition (see TrackDefinition), and the track is rebuilt from it
+ * with the regular pipeline (Track.rebuild), so what is drawn is what will be raced once saved.
+ *
+ * Mouse: drag a handle to move the point, drag the ground to pan, wheel to zoom
+ * Keys: ←/→ select, Insert add, Delete remove, PageUp/PageDown altitude, +/- width, C checkpoint
+ */
+export class TrackEditor {
+    /**
+     * @param {SceneManager} sceneManager - Holds the track to edit
+     * @param {CameraManager} camera
+     * @param {HTMLElement} domElement - Renderer canvas, to locate the mouse
+     */
+    constructor(sceneManager, camera, domElement) {
+        this.sceneManager = sceneManager;
+        this.camera = camera;
+        this.domElement = domElement;
+
+        this.isOpen = false;
+        this.definition = null; // Track being edited, kept when the editor is closed
+        this.selected = 0; // Index of the selected point
+        this.message = null; // Last refused edit, shown by the UI
+        this.onChange = null; // Called with getState() after each edit
+        this.dirty = false; // The track must be rebuilt on the next update
+
+        // Overhead view
+        this.view = { x: 0, z: 0, height: 150 };
+        this.drag = null; // { type: 'point', index, plane } or { type: 'pan', x, y, viewX, viewZ }
+
+        // Handles and checkpoint gates drawn over the track
+        this.handles = [];
+        this.handleGeometry = new THREE.SphereGeometry(HANDLE_RADIUS, 12, 8);
+        this.gateLines = null;
+        this.raycaster = new THREE.Raycaster();
+
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onWheel = this._onWheel.bind(this);
+        this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    /**
+     * Start editing, from the previous edit if any, from the scene's track otherwise
+     * @param {Function} onChange - Called with getState() after each edit
+     */
+    open(onChange) {
+        if (this.isOpen) return;
+
+        const track = this.sceneManager.getTrack();
+        if (!this.definition) {
+            this.definition = parseTrackDefinition(track.toDefinition()).definition;
+            this.selected = 0;
+        }
+        this.isOpen = true;
+        this.onChange = onChange;
+        this.message = null;
+        track.rebuild(this.definition);
+        this._frameTrack();
+        this._updateHandles();
+
+        window.addEventListener('pointerdown', this._onPointerDown);
+        window.addEventListener('pointermove', this._onPointerMove);
+        window.addEventListener('pointerup', this._onPointerUp);
+        window.addEventListener('wheel', this._onWheel, { passive: false });
+        window.addEventListener('keydown', this._onKeyDown);
+
+        this._changed();
+        console.log(`Track editor opened (${this.definition.points.length} points)`);
+    }
+
+    /**
+     * Stop editing (the edited track stays in memory until the next open)
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.drag = null;
+        this._clearHandles();
+
+        window.removeEventListener('pointerdown', this._onPointerDown);
+        window.removeEventListener('pointermove', this._onPointerMove);
+        window.removeEventListener('pointerup', this._onPointerUp);
+        window.removeEventListener('wheel', this._onWheel);
+        window.removeEventListener('keydown', this._onKeyDown);
+        console.log('Track editor closed');
+    }
+
+    /**
+     * Rebuild the track after edits and keep the camera above it (once per frame)
+     * @returns {boolean} true if the track was rebuilt
+     */
+    update() {
+        if (!this.isOpen) return false;
+
+        const rebuild = this.dirty;
+        if (rebuild) {
+            this.dirty = false;
+            this.sceneManager.getTrack().rebuild(this.definition);
+            this._updateHandles();
+        }
+        this.camera.lookDownAt(this.view.x, this.view.z, this.view.height);
+        return rebuild;
+    }
+
+    /**
+     * Describe the edit for the UI
+     * @returns {Object} { name, index, count, point, isStart, isCheckpoint, checkpoints, message }
+     */
+    getState() {
+        const { points, checkpoints, meta } = this.definition;
+        return {
+            name: meta.name || '',
+            index: this.selected,
+            count: points.length,
+            point: { ...points[this.selected] },
+            isStart: this.selected === 0,
+            isCheckpoint: checkpoints.includes(this.selected),
+            checkpoints: checkpoints.length,
+            message: this.message
+        };
+    }
+
+    /**
+     * Get the edited track, to save it
+     * @param {Object} meta - Metadata to store with it { name, author, description }
+     */
+    getDefinition(meta = {}) {
+        this.update(); // Include the last edits
+        return this.sceneManager.getTrack().toDefinition({ ...this.definition.meta, ...meta });
+    }
+
+    /**
+     * Replace the edited track (file opened by the player)
+     * @param {Object} definition - Normalized track definition (see parseTrackDefinition)
+     */
+    load(definition) {
+        this.definition = definition;
+        this.selected = 0;
+        this._edited();
+        this._frameTrack();
+    }
+
+    /**
+     * Name the edited track
+     */
+    setName(name) {
+        this.definition.meta = { ...this.definition.meta, name: name.slice(0, 200) };
+        this._changed();
+    }
+
+    /**
+     * Select a point (wraps around the loop)
+     */
+    selectPoint(index) {
+        const count = this.definition.points.length;
+        this.selected = ((index % count) + count) % count;
+        this.message = null;
+        this._updateHandles();
+        this._changed();
+    }
+
+    /**
+     * Insert a point after the selected one, on the current curve so the shape does not change
+     */
+    addPoint() {
+        const { points, checkpoints } = this.definition;
+        if (points.length >= TRACK_LIMITS.maxPoints) {
+            return this._refuse(`Un circuit a au plus ${TRACK_LIMITS.maxPoints} points`);
+        }
+
+        const open = this.definition.closed === false;
+        const index = this.selected;
+        if (open && index === points.length - 1) {
+            return this._refuse('Un circuit ouvert se termine sur son dernier point');
+        }
+
+        this.update(); // The curve must include the previous edits
+        const curve = this.sceneManager.getTrack().trackCurve; // Point i at i / (count + 1), i / (count - 1) when open, see Track._curveSpans
+        const middle = curve.getPoint((index + 0.5) / (open ? points.length - 1 : points.length + 1));
+        const next = points[(index + 1) % points.length];
+        points.splice(index + 1, 0, {
+            x: round(middle.x),
+            y: round(middle.y),
+            z: round(middle.z),
+            width: round((points[index].width + next.width) / 2),
+            surface: points[index].surface
+        });
+        this.definition.checkpoints = checkpoints.map((i) => (i > index ? i + 1 : i));
+
+        this.selected = index + 1;
+        this._edited();
+    }
+
+    /**
+     * Remove the selected point (removing the start point moves the start line to the next one)
+     */
+    removePoint() {
+        const { points, checkpoints } = this.definition;
+        if (points.length <= TRACK_LIMITS.minPoints) {
+            return this._refuse(`Un circuit a au moins ${TRACK_LIMITS.minPoints} points`);
+        }
+
+        const index = this.selected;
+        const last = points.length - 2; // Last point once this one is removed
+        const remaining = checkpoints
+            .filter((i) => i !== index)
+            .map((i) => (i > index ? i - 1 : i))
+            .filter((i) => i > 0) // A checkpoint on the new start point is replaced by the start line
+            .filter((i) => this.definition.closed !== false || i < last); // and on the new end of an open track by the finish
+        if (remaining.length === 0) {
+            return this._refuse('Le circuit doit garder au moins un checkpoint');
+        }
+
+        points.splice(index, 1);
+        this.definition.checkpoints = remaining;
+        this.selected = Math.min(index, points.length - 1);
+        this._edited();
+    }
+
+    /**
+     * Put a checkpoint on the selected point, or remove it
+     */
+    toggleCheckpoint() {
+        const { checkpoints } = this.definition;
+        const index = this.selected;
+        if (index === 0) {
+            return this._refuse('La ligne de départ ne peut pas être un checkpoint');
+        }
+        if (this.definition.closed === false && index === this.definition.points.length - 1) {
+            return this._refuse('La ligne d\'arrivée ne peut pas être un checkpoint');
+        }
+
+        if (checkpoints.includes(index)) {
+            if (checkpoints.length === 1) {
+                return this._refuse('Le circuit doit garder au moins un checkpoint');
+            }
+            this.definition.checkpoints = checkpoints.filter((i) => i !== index);
+        } else {
+            this.definition.checkpoints = [...checkpoints, index].sort((a, b) => a - b);
+        }
+        this._edited();
+    }
+
+    /**
+     * Move the start line to the selected point: it becomes the first point of the loop
+     * (an open track always starts on its first point)
+     */
+    setStartLine() {
+        const { points, checkpoints } = this.definition;
+        const index = this.selected;
+        if (index === 0) return;
+        if (this.definition.closed === false) {
+            return this._refuse('Un circuit ouvert part toujours de son premier point');
+        }
+
+        const count = points.length;
+        this.definition.points = [...points.slice(index), ...points.slice(0, index)];
+        let moved = checkpoints.map((i) => (i - index + count) % count).filter((i) => i > 0);
+        if (moved.length === 0) {
+            moved = [count - index]; // The old start line becomes the checkpoint
+        }
+        this.definition.checkpoints = moved.sort((a, b) => a - b);
+
+        this.selected = 0;
+        this._edited();
+    }
+
+    /**
+     * Change a property of the selected point
+     * @param {string} field - 'y' (altitude), 'width' or 'surface'
+     * @param {number|string} value
+     */
+    updatePoint(field, value) {
+        const point = this.definition.points[this.selected];
+        if (field === 'y') {
+            point.y = round(clamp(Number(value) || 0, -TRACK_LIMITS.world, TRACK_LIMITS.world));
+        } else if (field === 'width') {
+            point.width = round(clamp(Number(value) || 0, TRACK_LIMITS.minWidth, TRACK_LIMITS.maxWidth));
+        } else if (field === 'surface' && TRACK_SURFACES[value]) {
+            point.surface = value;
+        } else {
+            return;
+        }
+        this._edited();
+    }
+
+    /**
+     * Center the view on the whole track
+     */
+    _frameTrack() {
+        const points = this.definition.points;
+        const xs = points.map((p) => p.x);
+        const zs = points.map((p) => p.z);
+        const extent = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...zs) - Math.min(...zs));
+
+        this.view.x = (Math.max(...xs) + Math.min(...xs)) / 2;
+        this.view.z = (Math.max(...zs) + Math.min(...zs)) / 2;
+        this.view.height = clamp(extent * 0.9, VIEW_HEIGHT.min, VIEW_HEIGHT.max);
+    }
+
+    /**
+     * Create or move the handles and checkpoint gates to match the track
+     */
+    _updateHandles() {
+        const scene = this.sceneManager.getScene();
+        const { points, checkpoints } = this.definition;
+
+        while (this.handles.length > points.length) {
+            const handle = this.handles.pop();
+            scene.remove(handle);
+            handle.material.dispose();
+        }
+        while (this.handles.length < points.length) {
+            const handle = new THREE.Mesh(this.handleGeometry, new THREE.MeshBasicMaterial());
+            handle.userData.index = this.handles.length;
+            scene.add(handle);
+            this.handles.push(handle);
+        }
+
+        points.forEach((point, i) => {
+            const handle = this.handles[i];
+            handle.position.set(point.x, point.y + HANDLE_RADIUS / 2, point.z);
+            handle.scale.setScalar(i === this.selected ? 1.5 : 1);
+
+            let color = HANDLE_COLORS.point;
+            if (i === this.selected) color = HANDLE_COLORS.selected;
+            else if (i === 0 || (this.definition.closed === false && i === points.length - 1)) color = HANDLE_COLORS.start;
+            else if (checkpoints.includes(i)) color = HANDLE_COLORS.checkpoint;
+            handle.material.color.setHex(color);
+        });
+
+        // Checkpoint gates, as the server checks them
+        if (this.gateLines) {
+            scene.remove(this.gateLines);
+            this.gateLines.geometry.dispose();
+            this.gateLines.material.dispose();
+        }
+        const positions = [];
+        this.sceneManager.getTrack().layout.checkpoints.forEach((gate) => {
+            positions.push(gate.leftX, gate.y + 0.2, gate.leftZ, gate.rightX, gate.y + 0.2, gate.rightZ);
+        });
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        this.gateLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: HANDLE_COLORS.checkpoint }));
+        scene.add(this.gateLines);
+    }
+
+    _clearHandles() {
+        const scene = this.sceneManager.getScene();
+        this.handles.forEach((handle) => {
+            scene.remove(handle);
+            handle.material.dispose();
+        });
+        this.handles = [];
+
+        if (this.gateLines) {
+            scene.remove(this.gateLines);
+            this.gateLines.geometry.dispose();
+            this.gateLines.material.dispose();
+            this.gateLines = null;
+        }
+    }
+
+    /**
+     * The definition changed: rebuild the track on the next update and tell the UI
+     */
+    _edited() {
+        this.message = null;
+        this.dirty = true;
+        this._changed();
+    }
+
+    _changed() {
+        if (this.onChange) {
+            this.onChange(this.getState());
+        }
+    }
+
+    _refuse(message) {
+        this.message = message;
+        this._changed();
+    }
+
+    /**
+     * Cast a ray from the camera through the mouse position
+     */
+    _setRay(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera.getCamera());
+    }
+
+    /**
+     * Mouse over the 3D view (full screen canvases), not over the UI panels
+     */
+    _isOnView(event) {
+        return event.target.tagName === 'CANVAS';
+    }
+
+    _onPointerDown(event) {
+        if (event.button !== 0 || !this._isOnView(event)) return;
+
+        this._setRay(event);
+        const hit = this.raycaster.intersectObjects(this.handles, false)[0];
+        if (hit) {
+            const index = hit.object.userData.index;
+            this.selectPoint(index);
+            this.drag = {
+                type: 'point',
+                index,
+                plane: new THREE.Plane(new THREE.Vector3(0, 1, 0), -this.definition.points[index].y)
+            };
+        } else {
+            this.drag = { type: 'pan', x: event.clientX, y: event.clientY, viewX: this.view.x, viewZ: this.view.z };
+        }
+    }
+
+    _onPointerMove(event) {
+        if (!this.drag) return;
+
+        if (this.drag.type === 'point') {
+            this._setRay(event);
+            const target = this.raycaster.ray.intersectPlane(this.drag.plane, new THREE.Vector3());
+            if (!target) return;
+
+            const point = this.definition.points[this.drag.index];
+            point.x = round(clamp(target.x, -TRACK_LIMITS.world, TRACK_LIMITS.world));
+            point.z = round(clamp(target.z, -TRACK_LIMITS.world, TRACK_LIMITS.world));
+            this.dirty = true; // The UI is told when the drag ends
+        } else {
+            // Move the ground with the mouse: size of a pixel at the ground's distance
+            const camera = this.camera.getCamera();
+            const unitsPerPixel = 2 * this.view.height * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) / this.domElement.clientHeight;
+            this.view.x = this.drag.viewX - (event.clientX - this.drag.x) * unitsPerPixel;
+            this.view.z = this.drag.viewZ - (event.clientY - this.drag.y) * unitsPerPixel;
+        }
+    }
+
+    _onPointerUp() {
+        if (this.drag?.type === 'point') {
+            this._edited();
+        }
+        this.drag = null;
+    }
+
+    _onWheel(event) {
+        if (!this._isOnView(event)) return;
+        event.preventDefault();
+        const factor = event.deltaY > 0 ? 1.1 : 1 / 1.1;
+        this.view.height = clamp(this.view.height * factor, VIEW_HEIGHT.min, VIEW_HEIGHT.max);
+    }
+
+    _onKeyDown(event) {
+        // Typing in the editor panel
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+        const point = this.definition.points[this.selected];
+        switch (event.key) {
+            case 'ArrowLeft':
+                this.selectPoint(this.selected - 1);
+                break;
+            case 'ArrowRight':
+                this.selectPoint(this.selected + 1);
+                break;
+            case 'Insert':
+                this.addPoint();
+                break;
+            case 'Delete':
+            case 'Backspace':
+                this.removePoint();
+                break;
+            case 'PageUp':
+                this.updatePoint('y', point.y + ALTITUDE_STEP);
+                break;
+            case 'PageDown':
+                this.updatePoint('y', point.y - ALTITUDE_STEP);
+                break;
+            case '+':
+                this.updatePoint('width', point.width + WIDTH_STEP);
+                break;
+            case '-':
+                this.updatePoint('width', point.width - WIDTH_STEP);
+                break;
+            case 'c':
+            case 'C':
+                this.toggleCheckpoint();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
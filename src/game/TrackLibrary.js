@@ -0,0 +1,93 @@
+import { parseTrackDefinition } from '../shared/TrackDefinition.js';
+
+// Track files versioned in the repository, served next to the game (same folder as the server's TrackStore)
+const TRACKS_URL = 'tracks/';
+
+/**
+ * Get the list of track files
+ * @returns {Promise<Array>} [{ id, name, description }] from tracks/index.json
+ */
+export async function fetchTrackList() {
+    const response = await fetch(`${TRACKS_URL}index.json`);
+    if (!response.ok) {
+        throw new Error(`Cannot load the track list (${response.status})`);
+    }
+    const list = await response.json();
+    return Array.isArray(list) ? list.filter(track => track && typeof track.id === 'string') : [];
+}
+
+/**
+ * Load and check a track file
+ * @param {string} id - File name without extension
+ * @returns {Promise<Object>} Normalized track definition
+ */
+export async function fetchTrackDefinition(id) {
+    const response = await fetch(`${TRACKS_URL}${encodeURIComponent(id)}.json`);
+    if (!response.ok) {
+        throw new Error(`Cannot load track "${id}" (${response.status})`);
+    }
+    const { definition, error } = parseTrackDefinition(await response.json());
+    if (error) {
+        throw new Error(`Track "${id}": ${error}`);
+    }
+    return definition;
+}
+
+/**
+ * Read and check a track file chosen by the player
+ * @param {File} file - From a file input
+ * @returns {Promise<Object>} Normalized track definition
+ */
+export async function readTrackFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (e) {
+        throw new Error(`${file.name} is not a JSON file`);
+    }
+    const { definition, error } = parseTrackDefinition(data);
+    if (error) {
+        throw new Error(`${file.name}: ${error}`);
+    }
+    return definition;
+}
+
+/**
+ * Download a track definition as a JSON file, laid out like the files of tracks/ (one point per line)
+ * The file is named after the track so it can be dropped in tracks/ as is
+ * @param {Object} definition - Track definition (see TrackLayout.toDefinition)
+ * @returns {string} File name without extension
+ */
+export function saveTrackFile(definition) {
+    const { checkpoints, points, ...header } = definition;
+    const lines = points.map((point) => `    ${JSON.stringify(point)}`).join(',\n');
+    const text = `${JSON.stringify(header, null, 2).slice(0, -2)},
+  "checkpoints": [${checkpoints.join(', ')}],
+  "points": [
+${lines}
+  ]
+}
+`;
+    
+    const fileName = trackFileName(definition.meta.name);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    link.download = `${fileName}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0); // Once the download has started
+    return fileName;
+}
+
+/**
+ * File name for a track name: lowercase letters, digits and dashes (see the server's TRACK_NAME_PATTERN)
+ */
+function trackFileName(name = '') {
+    const slug = name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Accents
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+    return slug || 'circuit';
+}
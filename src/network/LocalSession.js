@@ -0,0 +1,398 @@
+import { RaceController } from '../shared/RaceController.js';
+import { RacePhase } from '../shared/RacePhase.js';
+import { TrackLayout } from '../shared/TrackLayout.js';
+import { normalizeGeneratorOptions } from '../shared/TrackGenerator.js';
+import { SeededRandom } from '../shared/SeededRandom.js';
+import { CAR_PHYSICS, createCarState, stepCar, resolveCarCollision } from '../shared/CarPhysics.js';
+import { AIDriver, AI_DIFFICULTY } from '../game/AIDriver.js';
+import { fetchTrackDefinition } from '../game/TrackLibrary.js';
+
+const AI_STEP = 1 / 60; // Fixed simulation step of the AI cars (seconds)
+const MAX_CATCH_UP = 0.25; // Longest time simulated at once after a stall (hidden tab)
+const MAX_OPPONENTS = 7;
+const OPPONENT_COLORS = [0x3498db, 0x2ecc71, 0xf1c40f, 0x9b59b6, 0xe67e22, 0x1abc9c, 0xecf0f1];
+
+/**
+ * LocalSession - Offline stand-in for NetworkClient
+ * Plays the server's host role in the browser: runs the race (countdown, laps, results),
+ * simulates the car from its inputs and answers with the same messages as the server,
+ * so Game works the same way with or without a connection.
+ * AI opponents are simulated here too and show up in the snapshots like remote players.
+ */
+export class LocalSession {
+    /**
+     * @param {GameState} gameState
+     * @param {Object} options - { lapCount, opponents, difficulty, getTrack }
+     *   getTrack returns the rendered Track the AI drivers plan their line on
+     */
+    constructor(gameState, options = {}) {
+        this.gameState = gameState;
+        this.messageHandlers = new Map();
+        this.updateInterval = null;
+        this.roomCode = null;
+        this.localId = 1;
+        
+        // Same clock as the race: no latency, no offset
+        this.rtt = 0;
+        this.clockOffset = 0;
+
+        // Input frames waiting to be simulated
+        this.inputQueue = [];
+        this.inputSeq = 0; // Last simulated frame (acknowledged in the snapshots)
+        this.tick = 0;
+
+        this.race = new RaceController({
+            lapCount: options.lapCount,
+            onPhaseChange: (state) => this._emit({ type: 'race_phase', serverTime: Date.now(), ...state })
+        });
+        this.race.trackSeed = SeededRandom.randomSeed();
+        this.layout = new TrackLayout(this.race.trackSeed);
+        this.race.checkpointCount = this.layout.checkpoints.length;
+
+        const spawn = this.layout.getGridPosition(0);
+        this.car = createCarState(spawn.x, spawn.y, spawn.z, spawn.rotY);
+
+        // AI opponents: id -> { id, name, color, driver, car }
+        this.getTrack = options.getTrack || (() => null);
+        this.opponents = new Map();
+        this.difficulty = 'medium';
+        this.aiTime = 0; // Simulated time not yet stepped by the AI cars
+        this.lastUpdateAt = Date.now();
+        this.setOpponents(options.opponents || 0, options.difficulty);
+    }
+
+    /**
+     * Start the session (same contract as NetworkClient.connect)
+     */
+    async connect() {
+        this.gameState.setLocalId(this.localId);
+        this.gameState.setHost(true);
+        this.gameState.setCanPlay(true);
+        this.gameState.setRoomCode(this.roomCode);
+        console.log('Offline session started');
+
+        this._emit({
+            type: 'welcome',
+            id: this.localId,
+            roomCode: this.roomCode,
+            isHost: true,
+            canPlay: true,
+            offline: true,
+            serverTime: Date.now(),
+            race: this.race.getState()
+        });
+        this.opponents.forEach((opponent) => this._emitOpponentInfo(opponent));
+        this._emitSnapshot();
+    }
+
+    /**
+     * Register a message handler for a specific message type
+     */
+    on(messageType, handler) {
+        this.messageHandlers.set(messageType, handler);
+    }
+
+    /**
+     * Queue an input frame for the next simulation step
+     */
+    queueInput(frame) {
+        this.inputQueue.push(frame);
+    }
+
+    /**
+     * Start periodic input processing (20Hz, like the server)
+     */
+    startInputUpdates() {
+        this.lastUpdateAt = Date.now();
+        this.updateInterval = setInterval(() => {
+            this._update();
+        }, 50);
+    }
+
+    /**
+     * Change the AI opponents (lobby only, the racers are fixed once the countdown starts)
+     * @param {number} count - Number of opponents
+     * @param {string} difficulty - Key of AI_DIFFICULTY
+     */
+    setOpponents(count, difficulty = this.difficulty) {
+        if (this.race.phase !== RacePhase.LOBBY) return;
+
+        count = Math.max(0, Math.min(MAX_OPPONENTS, Math.floor(count) || 0));
+        this.difficulty = AI_DIFFICULTY[difficulty] ? difficulty : 'medium';
+
+        this.opponents.forEach((opponent, id) => {
+            if (id - this.localId > count) {
+                this.opponents.delete(id);
+                this._emit({ type: 'disconnect', id });
+            }
+        });
+
+        for (let i = 1; i <= count; i++) {
+            const id = this.localId + i;
+            const existing = this.opponents.get(id);
+            if (existing) {
+                existing.driver = new AIDriver(this.difficulty);
+                continue;
+            }
+
+            const spawn = this.layout.getGridPosition(i);
+            const opponent = {
+                id,
+                name: `IA ${i}`,
+                color: OPPONENT_COLORS[(i - 1) % OPPONENT_COLORS.length],
+                driver: new AIDriver(this.difficulty),
+                car: createCarState(spawn.x, spawn.y, spawn.z, spawn.rotY)
+            };
+            this.opponents.set(id, opponent);
+            this._emitOpponentInfo(opponent);
+        }
+    }
+
+    /**
+     * Local clock is the race clock
+     */
+    getServerTime() {
+        return Date.now();
+    }
+
+    getLatency() {
+        return 0;
+    }
+
+    /**
+     * Nothing goes over the network (same shape as NetworkClient.getStats)
+     */
+    getStats() {
+        return {
+            rtt: 0,
+            jitter: 0,
+            sendRate: 0,
+            receiveRate: 0,
+            bytesSentRate: 0,
+            bytesReceivedRate: 0,
+            droppedSent: 0,
+            droppedReceived: 0
+        };
+    }
+
+    /**
+     * Handle a message that would have been sent to the server
+     */
+    send(message) {
+        if (message.type === 'start_game') {
+            this.startGame(message.track, message.generator);
+        } else if (message.type === 'return_to_lobby') {
+            this.returnToLobby();
+        }
+    }
+
+    /**
+     * Send message to server (alias for consistency)
+     */
+    sendMessage(message) {
+        this.send(message);
+    }
+
+    /**
+     * No one else to notify offline
+     */
+    notifyFall() {}
+
+    notifyLivesChange() {}
+
+    /**
+     * Contacts with the AI cars are resolved by the session itself (see _resolveCollisions)
+     */
+    reportCollision() {}
+
+    /**
+     * Start a new race on a new track
+     * @param {string|null} trackName - Track file to race on (see TrackLibrary), null or 'random' for a generated one
+     * @param {Object|null} generator - Options of the generated track { style, length, ... } (see TrackGenerator)
+     */
+    async startGame(trackName = null, generator = null) {
+        let definition = null;
+        if (trackName && trackName !== 'random') {
+            try {
+                definition = await fetchTrackDefinition(trackName);
+            } catch (err) {
+                console.warn(`${err.message}, using a random track`);
+            }
+        }
+
+        const trackGenerator = definition ? null : normalizeGeneratorOptions(generator || {});
+        this.layout = definition
+            ? TrackLayout.fromDefinition(definition)
+            : new TrackLayout(SeededRandom.randomSeed(), null, trackGenerator);
+        this.race.checkpointCount = this.layout.checkpoints.length;
+        this.race.startCountdown([this.localId, ...this.opponents.keys()], this.layout.seed, definition, trackGenerator);
+
+        // Back on the grid, opponents behind us
+        const spawn = this.layout.getGridPosition(0);
+        this.car = createCarState(spawn.x, spawn.y, spawn.z, spawn.rotY);
+        this.opponents.forEach((opponent) => {
+            const slot = this.layout.getGridPosition(this.race.racers.get(opponent.id).grid);
+            opponent.car = createCarState(slot.x, slot.y, slot.z, slot.rotY);
+        });
+        this.inputQueue = [];
+        this.aiTime = 0;
+        this._emitSnapshot();
+    }
+
+    /**
+     * Stop the current race and go back to the lobby
+     */
+    returnToLobby() {
+        this.race.returnToLobby();
+    }
+
+    /**
+     * End the session
+     */
+    disconnect() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+        }
+        this.race.dispose();
+    }
+
+    /**
+     * One session tick: our inputs, the AI cars, contacts, then the snapshot
+     */
+    _update() {
+        const now = Date.now();
+        const elapsed = Math.min((now - this.lastUpdateAt) / 1000, MAX_CATCH_UP);
+        this.lastUpdateAt = now;
+
+        this._simulateInputs();
+        this._driveOpponents(elapsed);
+        this._resolveCollisions();
+        this._emitSnapshot();
+    }
+
+    /**
+     * Simulate queued input frames and validate gates
+     */
+    _simulateInputs() {
+        if (this.inputQueue.length === 0) return;
+
+        const canMove = this.race.phase === RacePhase.RACING && this.race.isRacer(this.localId);
+        const frames = this.inputQueue;
+        this.inputQueue = [];
+
+        frames.forEach((frame) => {
+            this.inputSeq = frame.seq;
+            if (!canMove) return;
+
+            const previous = this.car;
+            this.car = stepCar(previous, frame, frame.dt, this.layout);
+
+            const gate = this.race.recordMove(this.localId, this.layout, previous, this.car);
+            if (gate && gate.lap) {
+                this._emit({ type: 'lap_complete', sender: this.localId, ...gate.lap });
+            } else if (gate) {
+                this._emit({ type: 'checkpoint', checkpointId: gate.checkpointId });
+            }
+        });
+    }
+
+    /**
+     * Step the AI cars by fixed steps for the elapsed time
+     * They wait until the race's track is rendered, as their racing line is planned on it
+     */
+    _driveOpponents(elapsed) {
+        const track = this.getTrack();
+        if (this.race.phase !== RacePhase.RACING || !track || track.seed !== this.layout.seed) {
+            this.aiTime = 0;
+            return;
+        }
+
+        this.aiTime += elapsed;
+        while (this.aiTime >= AI_STEP) {
+            this.aiTime -= AI_STEP;
+            this.opponents.forEach((opponent) => {
+                if (!this.race.isRacer(opponent.id)) return;
+
+                const previous = opponent.car;
+                const input = opponent.driver.getInput(previous, track, AI_STEP);
+                opponent.car = stepCar(previous, input, AI_STEP, this.layout);
+
+                const gate = this.race.recordMove(opponent.id, this.layout, previous, opponent.car);
+                if (gate && gate.lap) {
+                    this._emit({ type: 'lap_complete', sender: opponent.id, ...gate.lap });
+                }
+            });
+        }
+    }
+
+    /**
+     * Push apart the cars in contact (ours included), as the server does for reported collisions
+     */
+    _resolveCollisions() {
+        if (this.race.phase !== RacePhase.RACING) return;
+
+        const holders = [this, ...this.opponents.values()]; // Objects holding a `car` state
+        for (let i = 0; i < holders.length; i++) {
+            for (let j = i + 1; j < holders.length; j++) {
+                const a = holders[i];
+                const b = holders[j];
+                const distance = Math.hypot(b.car.x - a.car.x, b.car.z - a.car.z);
+                if (distance >= CAR_PHYSICS.collisionRadius * 2) continue;
+
+                const result = resolveCarCollision(a.car, b.car);
+                a.car = result.a;
+                b.car = result.b;
+            }
+        }
+    }
+
+    /**
+     * Send a world snapshot (our car and the AI cars), as the server does on each tick
+     */
+    _emitSnapshot() {
+        this._emit({
+            type: 'snapshot',
+            tick: ++this.tick,
+            time: Date.now(),
+            states: [
+                this._carState(this.localId, this.car, this.inputSeq),
+                ...[...this.opponents.values()].map((opponent) => this._carState(opponent.id, opponent.car, 0))
+            ]
+        });
+    }
+
+    /**
+     * State of a car in a snapshot (same fields as the server's)
+     */
+    _carState(id, car, seq) {
+        const racer = this.race.racers.get(id);
+        const { segmentId, segmentT } = this.layout.getSegmentPosition(car.x, car.z, car.y, car.segmentId);
+        return {
+            sender: id,
+            seq,
+            ...car,
+            vx: -Math.sin(car.rotY) * car.speed * CAR_PHYSICS.distanceScale,
+            vz: -Math.cos(car.rotY) * car.speed * CAR_PHYSICS.distanceScale,
+            segmentId,
+            segmentT,
+            lap: racer ? racer.laps : 0
+        };
+    }
+
+    /**
+     * Announce an AI opponent's name and color, like a player_info relayed by the server
+     */
+    _emitOpponentInfo(opponent) {
+        this._emit({ type: 'player_info', sender: opponent.id, name: opponent.name, color: opponent.color });
+    }
+
+    /**
+     * Deliver a message to its handler
+     */
+    _emit(msg) {
+        const handler = this.messageHandlers.get(msg.type);
+        if (handler) {
+            handler(msg);
+        }
+    }
+}
@@ -1,18 +1,89 @@
+import { encodeMessage, decodeMessage } from '../shared/Protocol.js';
+
+// Messages the simulated packet loss may drop: high-frequency traffic the game recovers from
+// (next snapshot, next ping, reconciliation of lost inputs). Control messages are only delayed
+const UNRELIABLE_TYPES = new Set(['input', 'snapshot', 'ping', 'pong']);
+
 /**
  * NetworkClient - Manages WebSocket connection and multiplayer communication
  */
 export class NetworkClient {
-    constructor(gameState) {
+    /**
+     * @param {GameState} gameState
+     * @param {Object} options
+     * @param {Object} options.simulation - Dev only, simulated bad connection (see setNetworkSimulation)
+     */
+    constructor(gameState, options = {}) {
         this.socket = null;
         this.gameState = gameState;
         this.messageHandlers = new Map();
         this.updateInterval = null;
+        this.roomCode = null;
+        
+        // Input frames waiting to be sent (the server simulates the cars from them)
+        this.inputQueue = [];
+        this.lastInputSentAt = 0;
+        
+        // Clock sync (ping/pong): round trip time and local clock minus server clock
+        this.rtt = null; // ms, smoothed
+        this.clockOffset = null; // ms, from the recent ping with the lowest round trip
+        this.clockSamples = []; // Last { rtt, offset } measurements
+        this.pingId = 0;
+        this.pingInterval = null;
+        this.clockSyncOptions = {
+            interval: 1000, // ms between two pings
+            samples: 8 // Measurements kept to pick the offset from
+        };
+        
+        // Reconnection: the session token from welcome lets the server give us our slot back
+        this.sessionToken = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.closing = false; // true once disconnect() was called (no reconnection)
+        this.reconnectOptions = {
+            baseDelay: 500, // First retry delay (ms), doubled after each failure
+            maxDelay: 10000, // Longest delay between two attempts (ms)
+            jitter: 0.2 // Random +/- share of the delay, so clients do not all retry at once
+        };
+        
+        // Traffic counters for the diagnostics panel (see getStats)
+        this.stats = {
+            sent: 0,
+            received: 0,
+            bytesSent: 0,
+            bytesReceived: 0,
+            droppedSent: 0,
+            droppedReceived: 0
+        };
+        this.jitter = 0; // ms, smoothed variation between two consecutive round trips
+        this.lastPingRtt = null;
+        this.rateSample = { time: Date.now(), ...this.stats }; // Counters at the start of the rate window
+        this.rates = { sendRate: 0, receiveRate: 0, bytesSentRate: 0, bytesReceivedRate: 0 };
+        
+        // Simulated latency, jitter and packet loss, applied in both directions
+        this.simulation = { latency: 0, jitter: 0, loss: 0 };
+        this.lastDelivery = { outgoing: 0, incoming: 0 }; // Delivery time of the last delayed message
+        this.setNetworkSimulation(options.simulation);
     }
 
     /**
      * Connect to WebSocket server
+     * @param {Object} options
+     * @param {string} options.room - Room code to join ('new' creates a room),
+     *                                defaults to the ?room= parameter of the page URL
      */
-    async connect() {
+    async connect(options = {}) {
+        // Room to join (the server uses its default room if none is given)
+        this.roomCode = options.room ?? new URLSearchParams(window.location.search).get('room');
+        this.closing = false;
+        return this._open();
+    }
+
+    /**
+     * Open the WebSocket, resuming our session if we already have one
+     * Once a connection was established, losing it schedules a reconnection
+     */
+    _open() {
         return new Promise((resolve, reject) => {
             try {
                 const proto = window.location.protocol === 'https:' ? 'wss' : 'ws';
@@ -24,26 +95,47 @@ export class NetworkClient {
                     wsUrl = `${proto}://${window.location.hostname}`;
                 }
                 
-                this.socket = new WebSocket(wsUrl);
+                const params = new URLSearchParams();
+                if (this.roomCode) params.set('room', this.roomCode);
+                if (this.sessionToken) params.set('token', this.sessionToken);
+                if (params.toString()) {
+                    wsUrl += `/?${params}`;
+                }
+                
+                const socket = new WebSocket(wsUrl);
+                socket.binaryType = 'arraybuffer'; // States arrive as binary messages (see shared/Protocol)
+                this.socket = socket;
+                let opened = false;
                 
-                this.socket.addEventListener('open', () => {
-                    console.log('WS connected to', wsUrl);
+                socket.addEventListener('open', () => {
+                    console.log('WS connected to', wsUrl.split('&token=')[0]);
+                    opened = true;
+                    this.reconnectAttempts = 0;
                     resolve();
                 });
                 
-                this.socket.addEventListener('message', (ev) => {
-                    this._handleMessage(ev);
+                socket.addEventListener('message', (ev) => {
+                    this._receive(socket, ev.data);
                 });
                 
-                this.socket.addEventListener('error', (err) => {
+                socket.addEventListener('error', (err) => {
                     console.error('WebSocket error:', err);
                     reject(err);
                 });
                 
-                this.socket.addEventListener('close', () => {
+                socket.addEventListener('close', (event) => {
                     console.log('WebSocket closed');
-                    if (this.updateInterval) {
-                        clearInterval(this.updateInterval);
+                    if (this.socket !== socket || this.closing) return;
+                    
+                    // Refused or kicked by the server (invalid room code, invalid messages): retrying would not help
+                    if (event.code === 1008) {
+                        console.warn('Disconnected by the server:', event.reason);
+                        return;
+                    }
+                    
+                    // Only retry a session that worked once, a first failed connection is the caller's call
+                    if (opened || this.reconnectAttempts > 0) {
+                        this._scheduleReconnect();
                     }
                 });
             } catch (e) {
@@ -53,6 +145,30 @@ export class NetworkClient {
         });
     }
 
+    /**
+     * Retry the connection with exponential backoff
+     * Emits a local connection_status message so the game can tell the player
+     */
+    _scheduleReconnect() {
+        const { baseDelay, maxDelay, jitter } = this.reconnectOptions;
+        const delay = Math.min(baseDelay * 2 ** this.reconnectAttempts, maxDelay)
+            * (1 + (Math.random() * 2 - 1) * jitter);
+        this.reconnectAttempts++;
+        
+        // Inputs typed while offline would be replayed late: drop them
+        this.inputQueue = [];
+        
+        console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+        this._emit({ type: 'connection_status', status: 'reconnecting', attempt: this.reconnectAttempts, delay });
+        
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this._open().catch(() => {
+                // The close event that follows the error schedules the next attempt
+            });
+        }, delay);
+    }
+
     /**
      * Register a message handler for a specific message type
      */
@@ -60,73 +176,173 @@ export class NetworkClient {
         this.messageHandlers.set(messageType, handler);
     }
 
+    /**
+     * Decode a message from the socket and hand it over, through the network simulation
+     */
+    _receive(socket, data) {
+        let msg;
+        try {
+            msg = decodeMessage(data);
+        } catch (e) {
+            this.stats.droppedReceived++;
+            console.warn('WS message parse error', e);
+            return;
+        }
+        
+        this._simulate('incoming', msg.type, () => {
+            // Held back by the simulated latency while we reconnected: stale
+            if (this.socket !== socket) {
+                this.stats.droppedReceived++;
+                return;
+            }
+            this.stats.received++;
+            this.stats.bytesReceived += byteSize(data);
+            this._handleMessage(msg);
+        });
+    }
+
     /**
      * Handle incoming WebSocket messages
      */
-    _handleMessage(ev) {
+    _handleMessage(msg) {
         try {
-            const msg = JSON.parse(ev.data);
+            if (msg.type === 'pong') {
+                this._handlePong(msg);
+            }
+            
+            if (msg.type === 'error') {
+                console.warn('Server error:', msg.message);
+            }
             
             // Special handling for welcome message
             if (msg.type === 'welcome') {
                 this.gameState.setLocalId(msg.id);
                 this.gameState.setHost(msg.isHost);
                 this.gameState.setCanPlay(msg.canPlay);
-                this.gameState.setGameActive(msg.gameActive);
-                console.log('Assigned id', msg.id, '| Host:', msg.isHost, '| Can play:', msg.canPlay);
+                this.roomCode = msg.roomCode;
+                this.sessionToken = msg.sessionToken ?? null;
+                this.gameState.setRoomCode(msg.roomCode);
+                // Rough clock (latency included) until the first pong comes back
+                this.clockOffset ??= Date.now() - msg.serverTime;
+                this._startClockSync();
+                console.log(msg.resumed ? 'Resumed id' : 'Assigned id', msg.id, '| Room:', msg.roomCode, '| Host:', msg.isHost, '| Can play:', msg.canPlay);
+                
+                // Keep the room in the page URL so it can be shared (e.g. after ?room=new)
+                const url = new URL(window.location.href);
+                if (url.searchParams.has('room') && url.searchParams.get('room') !== msg.roomCode) {
+                    url.searchParams.set('room', msg.roomCode);
+                    window.history.replaceState(null, '', url);
+                }
             }
             
-            // Call registered handler if exists
-            const handler = this.messageHandlers.get(msg.type);
-            if (handler) {
-                handler(msg);
+            this._emit(msg);
+            
+            if (msg.type === 'welcome') {
+                this._emit({ type: 'connection_status', status: 'connected', resumed: !!msg.resumed });
             }
         } catch (e) {
-            console.warn('WS message parse error', e);
+            console.warn('WS message handling error', e);
         }
     }
 
     /**
-     * Send state update to server
+     * Call the registered handler of a message, if any
      */
-    sendState(car) {
-        if (this.socket?.readyState === WebSocket.OPEN && car.mesh) {
-            const pos = car.mesh.position;
-            const rotY = car.mesh.rotation.y;
-            
-            // Calculate velocity
-            const forwardVec = new THREE.Vector3(0, 0, -1)
-                .applyQuaternion(car.mesh.quaternion);
-            const vx = forwardVec.x * car.speed * 0.1;
-            const vz = forwardVec.z * car.speed * 0.1;
-            
-            // Get segment data for overlapping track support
-            const segmentData = car.getSegmentData();
-            
-            const obj = {
-                type: 'state',
-                x: pos.x,
-                y: pos.y,
-                z: pos.z,
-                rotY,
-                vx,
-                vz,
-                lives: car.lives,
-                lap: car.currentLap,
-                segmentId: segmentData.segmentId,
-                segmentT: segmentData.segmentT
-            };
-            
-            this.socket.send(JSON.stringify(obj));
+    _emit(msg) {
+        const handler = this.messageHandlers.get(msg.type);
+        if (handler) {
+            handler(msg);
         }
     }
 
     /**
-     * Start periodic state updates (20Hz)
+     * Ping the server now and then every clockSyncOptions.interval
      */
-    startStateUpdates(car) {
+    _startClockSync() {
+        clearInterval(this.pingInterval);
+        this.ping();
+        this.pingInterval = setInterval(() => this.ping(), this.clockSyncOptions.interval);
+    }
+
+    /**
+     * Send a ping, the server answers with a pong holding its clock
+     */
+    ping() {
+        this.send({ type: 'ping', id: ++this.pingId, clientTime: Date.now() });
+    }
+
+    /**
+     * Update the round trip time and the clock offset from a pong
+     * The server is assumed to read its clock halfway through the round trip. The fastest recent
+     * exchange leaves the least room for asymmetric delays, so it sets the offset
+     */
+    _handlePong(msg) {
+        const rtt = Date.now() - msg.clientTime;
+        if (rtt < 0) return;
+        
+        this.clockSamples.push({ rtt, offset: msg.clientTime + rtt / 2 - msg.serverTime });
+        if (this.clockSamples.length > this.clockSyncOptions.samples) {
+            this.clockSamples.shift();
+        }
+        const best = this.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.clockOffset = best.offset;
+        this.rtt = this.rtt === null ? rtt : this.rtt + (rtt - this.rtt) * 0.2;
+        
+        // Mean deviation of the round trip, smoothed like RTP's interarrival jitter (RFC 3550)
+        if (this.lastPingRtt !== null) {
+            this.jitter += (Math.abs(rtt - this.lastPingRtt) - this.jitter) / 16;
+        }
+        this.lastPingRtt = rtt;
+    }
+
+    /**
+     * Current time on the server clock (ms)
+     */
+    getServerTime() {
+        return Date.now() - (this.clockOffset ?? 0);
+    }
+
+    /**
+     * One-way latency estimate (ms), half the round trip
+     */
+    getLatency() {
+        return (this.rtt ?? 0) / 2;
+    }
+
+    /**
+     * Queue an input frame for the next batch sent to the server
+     * @param {Object} frame - { seq, dt, throttle, steer, boost, drift } (see Car.updatePhysics)
+     */
+    queueInput(frame) {
+        // Frames played while disconnected would reach the server late, all at once: drop them
+        if (this.socket?.readyState !== WebSocket.OPEN) return;
+        this.inputQueue.push(frame);
+    }
+
+    /**
+     * Send queued input frames to server
+     * An empty batch is still sent once per second so the server knows the player is there
+     */
+    sendInputs() {
+        if (this.socket?.readyState !== WebSocket.OPEN) return;
+        
+        const now = Date.now();
+        if (this.inputQueue.length === 0 && now - this.lastInputSentAt < 1000) return;
+        
+        this._transmit({
+            type: 'input',
+            frames: this.inputQueue
+        });
+        this.inputQueue = [];
+        this.lastInputSentAt = now;
+    }
+
+    /**
+     * Start periodic input updates (20Hz)
+     */
+    startInputUpdates() {
         this.updateInterval = setInterval(() => {
-            this.sendState(car);
+            this.sendInputs();
         }, 50); // 20Hz
     }
 
@@ -134,9 +350,7 @@ export class NetworkClient {
      * Send message to server
      */
     send(message) {
-        if (this.socket?.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify(message));
-        }
+        this._transmit(message);
     }
 
     /**
@@ -164,29 +378,138 @@ export class NetworkClient {
     }
 
     /**
-     * Send collision push to another player
+     * Report a collision with another player
+     * The server checks that the cars are really close and resolves it for both
      */
-    sendCollisionPush(targetId, forceX, forceY, forceZ) {
+    reportCollision(targetId) {
         this.send({
-            type: 'collision_push',
-            target: targetId,
-            forceX,
-            forceY,
-            forceZ
+            type: 'collision',
+            target: targetId
         });
     }
 
     /**
      * Request game start (host only)
+     * @param {string|null} track - Track file to race on (see TrackLibrary), null for the server's default
+     * @param {Object|null} generator - Options of the generated track { style, length, ... } (see TrackGenerator)
+     */
+    startGame(track = null, generator = null) {
+        const message = { type: 'start_game' };
+        if (track) message.track = track;
+        if (generator) message.generator = generator;
+        this.send(message);
+    }
+
+    /**
+     * Stop the current race and go back to the lobby (host only)
+     */
+    returnToLobby() {
+        this.send({ type: 'return_to_lobby' });
+    }
+
+    /**
+     * Network diagnostics: round trip, jitter, message and byte rates (per second), dropped messages
+     * Rates are measured over windows of at least one second
+     * @returns {Object} { rtt, jitter, sendRate, receiveRate, bytesSentRate, bytesReceivedRate, droppedSent, droppedReceived }
      */
-    startGame() {
-        this.send({ type: 'start_game' });
+    getStats() {
+        const now = Date.now();
+        const elapsed = now - this.rateSample.time;
+        if (elapsed >= 1000) {
+            const perSecond = (key) => (this.stats[key] - this.rateSample[key]) * 1000 / elapsed;
+            this.rates = {
+                sendRate: perSecond('sent'),
+                receiveRate: perSecond('received'),
+                bytesSentRate: perSecond('bytesSent'),
+                bytesReceivedRate: perSecond('bytesReceived')
+            };
+            this.rateSample = { time: now, ...this.stats };
+        }
+        
+        return {
+            rtt: this.rtt,
+            jitter: this.jitter,
+            ...this.rates,
+            droppedSent: this.stats.droppedSent,
+            droppedReceived: this.stats.droppedReceived
+        };
+    }
+
+    /**
+     * Simulate a bad connection on localhost (dev only)
+     * Each message is held back by latency plus a random share of jitter, in both directions, without
+     * reordering (the socket is TCP). Lost messages are only taken among UNRELIABLE_TYPES
+     * @param {Object} options
+     * @param {number} options.latency - One-way delay (ms)
+     * @param {number} options.jitter - Extra random delay, up to this much (ms)
+     * @param {number} options.loss - Share of unreliable messages dropped (0 to 1)
+     */
+    setNetworkSimulation(options = {}) {
+        this.simulation = {
+            latency: Math.max(0, Number(options.latency) || 0),
+            jitter: Math.max(0, Number(options.jitter) || 0),
+            loss: Math.min(1, Math.max(0, Number(options.loss) || 0))
+        };
+        
+        const { latency, jitter, loss } = this.simulation;
+        if (latency > 0 || jitter > 0 || loss > 0) {
+            console.warn(`Network simulation: ${latency}ms +${jitter}ms, ${Math.round(loss * 100)}% loss`);
+        }
+    }
+
+    /**
+     * Encode and send a message, through the network simulation
+     */
+    _transmit(message) {
+        const socket = this.socket;
+        if (socket?.readyState !== WebSocket.OPEN) {
+            this.stats.droppedSent++;
+            return;
+        }
+        
+        const data = encodeMessage(message);
+        this._simulate('outgoing', message.type, () => {
+            if (socket.readyState !== WebSocket.OPEN) {
+                this.stats.droppedSent++;
+                return;
+            }
+            socket.send(data);
+            this.stats.sent++;
+            this.stats.bytesSent += byteSize(data);
+        });
+    }
+
+    /**
+     * Deliver a message now, later or never, depending on the network simulation
+     * @param {string} direction - 'outgoing' or 'incoming'
+     * @param {string} type - Message type (only unreliable ones can be lost)
+     * @param {Function} deliver
+     */
+    _simulate(direction, type, deliver) {
+        const { latency, jitter, loss } = this.simulation;
+        if (loss > 0 && UNRELIABLE_TYPES.has(type) && Math.random() < loss) {
+            this.stats[direction === 'outgoing' ? 'droppedSent' : 'droppedReceived']++;
+            return;
+        }
+        
+        // Never overtake a message still held back (the simulation may just have been turned off)
+        const now = Date.now();
+        const deliverAt = Math.max(this.lastDelivery[direction], now + latency + Math.random() * jitter);
+        if (deliverAt <= now) {
+            deliver();
+            return;
+        }
+        this.lastDelivery[direction] = deliverAt;
+        setTimeout(deliver, deliverAt - now);
     }
 
     /**
      * Close connection
      */
     disconnect() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.pingInterval);
         if (this.updateInterval) {
             clearInterval(this.updateInterval);
         }
@@ -195,3 +518,8 @@ export class NetworkClient {
         }
     }
 }
+
+// Size of a message on the wire (JSON text is counted as one byte per character)
+function byteSize(data) {
+    return typeof data === 'string' ? data.length : data.byteLength;
+}
@@ -0,0 +1,98 @@
+import { shortestAngle } from '../shared/CarPhysics.js';
+
+/**
+ * SnapshotBuffer - Timestamped states of a remote car, rendered slightly in the past
+ * Rendering `delay` ms behind the newest data lets us interpolate between two real snapshots
+ * instead of chasing the last one, so variable latency does not show as rubber-banding.
+ * When the buffer runs dry the caller extrapolates from the newest snapshot (see Car.interpolate).
+ */
+export const INTERPOLATION_DEFAULTS = Object.freeze({
+    delay: 100, // Render delay behind the newest snapshot (ms)
+    maxSnapshots: 30, // Snapshots kept (about 1.5s at 20Hz)
+    maxExtrapolation: 250 // Longest extrapolation past the newest snapshot (ms)
+});
+
+export class SnapshotBuffer {
+    constructor(options = {}) {
+        this.delay = options.delay ?? INTERPOLATION_DEFAULTS.delay;
+        this.maxSnapshots = options.maxSnapshots ?? INTERPOLATION_DEFAULTS.maxSnapshots;
+        this.maxExtrapolation = options.maxExtrapolation ?? INTERPOLATION_DEFAULTS.maxExtrapolation;
+        this.snapshots = []; // Sorted by time (server clock, ms)
+    }
+
+    /**
+     * Add a snapshot { time, x, y, z, rotY, vx, vz, segmentId, segmentT }
+     * Late (out of order) snapshots are ignored, one sent in the same millisecond replaces the previous
+     */
+    push(snapshot) {
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && snapshot.time < last.time) return false;
+        if (last && snapshot.time === last.time) {
+            this.snapshots[this.snapshots.length - 1] = snapshot;
+            return true;
+        }
+
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > this.maxSnapshots) {
+            this.snapshots.shift();
+        }
+        return true;
+    }
+
+    /**
+     * Get the state to render
+     * @param {number} now - Current time on the server clock (ms)
+     * @returns {Object|null} { x, y, z, rotY, extrapolate, from }
+     *   extrapolate: ms to extrapolate past `from` (0 when interpolating)
+     */
+    sample(now) {
+        if (this.snapshots.length === 0) return null;
+
+        const renderTime = now - this.delay;
+        const first = this.snapshots[0];
+        const last = this.snapshots[this.snapshots.length - 1];
+
+        // Not enough history yet: hold the oldest snapshot
+        if (renderTime <= first.time) {
+            return { ...first, extrapolate: 0, from: first };
+        }
+
+        // Past the newest snapshot: extrapolate (bounded)
+        if (renderTime >= last.time) {
+            return {
+                ...last,
+                extrapolate: Math.min(renderTime - last.time, this.maxExtrapolation),
+                from: last
+            };
+        }
+
+        // Interpolate between the two snapshots around the render time
+        let i = this.snapshots.length - 2;
+        while (i > 0 && this.snapshots[i].time > renderTime) i--;
+        const a = this.snapshots[i];
+        const b = this.snapshots[i + 1];
+        const t = (renderTime - a.time) / (b.time - a.time);
+
+        // Drop snapshots we will never need again
+        if (i > 0) {
+            this.snapshots.splice(0, i);
+        }
+
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            z: a.z + (b.z - a.z) * t,
+            rotY: a.rotY + shortestAngle(b.rotY - a.rotY) * t,
+            segmentId: t < 0.5 ? a.segmentId : b.segmentId,
+            extrapolate: 0,
+            from: b
+        };
+    }
+
+    /**
+     * Forget all snapshots (respawn, new race)
+     */
+    clear() {
+        this.snapshots = [];
+    }
+}
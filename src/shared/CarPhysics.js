@@ -0,0 +1,318 @@
+/**
+ * CarPhysics - Vehicle simulation shared by the client (prediction) and the server (authority)
+ * Works on plain objects (no THREE.js, no DOM, no keyboard) so both sides run the exact same code.
+ * Deterministic: no randomness and no clock, the same state, inputs and dt always give the same result,
+ * so it also runs headless (server, bots, tests).
+ */
+
+/**
+ * Vehicle tuning
+ */
+export const CAR_PHYSICS = Object.freeze({
+    maxSpeed: 250,
+    baseAccel: 20,
+    turnSpeed: Math.PI * 0.5,
+    turnSpeedPenalty: 0.998, // Speed multiplier when turning (99.8% - much less harsh)
+    driftSpeedPenalty: 0.985, // Drifting causes more speed loss than regular turning
+    brakeForce: 8, // Braking/reverse strength (stronger than acceleration)
+    throttleForce: 5,
+    naturalDeceleration: 0.5, // Loses ~39% speed per second when coasting
+
+    // Boost configuration
+    boostMultiplier: 2.0,
+    boostMaxMultiplier: 1.5,
+    boostMaxEnergy: 1.0,
+    energyDrainRate: 0.8,
+    energyRegenRate: 0.35,
+    energyRegenDelay: 1.0,
+
+    // Skid/drift configuration
+    skidStrength: 0.12,
+    skidYawMultiplier: 1.8,
+    skidMinSpeed: 2.0,
+
+    // Track interaction
+    wallRadius: 1.0, // Approximate car size for wall checks
+    wallSpeedLoss: 0.7, // Speed kept after hitting a wall
+    wallTurnStrength: 0.2, // How much the car is turned away from the wall
+    heightOffset: 0.3, // Car height above the track surface
+
+    // Car-to-car collisions
+    mass: 1.0,
+    collisionRadius: 1.2,
+    collisionRestitution: 0.6, // Bounciness of car-to-car impacts (0 = cars stick, 1 = elastic)
+    collisionBumpTime: 0.1, // Sideways impulse is turned into a displacement over this time (seconds)
+
+    // Distance per frame = speed * dt * distanceScale
+    distanceScale: 0.1,
+
+    // Longest step accepted for one input frame (seconds), longer frames are clamped
+    maxStepDt: 0.1
+});
+
+/**
+ * Curvature (radians per unit of distance) the steering still follows at rest:
+ * stepCar turns by turnSpeed * r * (1 - 0.6 r) rad/s at r = speed / maxSpeed,
+ * while covering r * maxSpeed * distanceScale units per second
+ */
+export const MAX_CURVATURE = CAR_PHYSICS.turnSpeed / (CAR_PHYSICS.maxSpeed * CAR_PHYSICS.distanceScale);
+
+/**
+ * Create a car state at rest
+ */
+export function createCarState(x = 0, y = 0.2, z = 0, rotY = 0) {
+    return {
+        x,
+        y,
+        z,
+        rotY,
+        speed: 0,
+        mass: CAR_PHYSICS.mass,
+        boostEnergy: CAR_PHYSICS.boostMaxEnergy,
+        energyRegenTimer: 0,
+        segmentId: null, // Track segment the car is on (see TrackLayout.getSegmentPosition), null until placed on the track
+        // Outputs of the last step (for effects and camera)
+        angularVelocity: 0,
+        boosting: false,
+        skidding: false,
+        wallImpact: 0 // Speed at wall impact during the last step, 0 if none
+    };
+}
+
+/**
+ * Neutral input (no key pressed)
+ */
+export function createInput() {
+    return { throttle: 0, steer: 0, boost: false, drift: false };
+}
+
+/**
+ * Advance a car by one step
+ * @param {Object} state - Car state from createCarState (not modified)
+ * @param {Object} input - { throttle: -1..1 (1 = accelerate, -1 = brake/reverse), steer: -1..1 (1 = left), boost, drift }
+ * @param {number} dt - Step duration in seconds (clamped to maxStepDt)
+ * @param {TrackLayout} layout - Track geometry for walls and altitude (optional)
+ * @returns {Object} New car state
+ */
+export function stepCar(state, input, dt, layout = null) {
+    const c = CAR_PHYSICS;
+    const s = { ...state, wallImpact: 0 };
+    dt = clamp(Number(dt) || 0, 0, c.maxStepDt);
+
+    // Input processing (negative speed moves the car forward)
+    const throttle = clamp(input.throttle || 0, -1, 1);
+    const forward = throttle > 0 ? -c.throttleForce * throttle : -c.brakeForce * throttle;
+    const turn = clamp(input.steer || 0, -1, 1);
+
+    // Boost logic
+    const boosting = !!input.boost;
+    if (boosting && s.boostEnergy > 0) {
+        s.boostEnergy = Math.max(0, s.boostEnergy - c.energyDrainRate * dt);
+        s.energyRegenTimer = 0.0;
+    } else {
+        s.energyRegenTimer += dt;
+        if (s.energyRegenTimer >= c.energyRegenDelay) {
+            s.boostEnergy = Math.min(c.boostMaxEnergy, s.boostEnergy + c.energyRegenRate * dt);
+        }
+    }
+
+    // Effective stats based on boost
+    const boostAvailable = boosting && s.boostEnergy > 0;
+    const effectiveAccel = c.baseAccel * (boostAvailable ? c.boostMultiplier : 1);
+    const effectiveMaxSpeed = c.maxSpeed * (boostAvailable ? c.boostMaxMultiplier : 1);
+
+    // Acceleration
+    if (forward !== 0) {
+        s.speed += forward * effectiveAccel * dt;
+    } else {
+        s.speed *= Math.max(0, 1 - c.naturalDeceleration * dt);
+    }
+    s.speed = clamp(s.speed, -effectiveMaxSpeed, effectiveMaxSpeed);
+
+    // Ground under the car (see TRACK_SURFACES): loose ground slows down and slippery ground turns less
+    const surface = layout ? layout.getSurfaceAt(s.x, s.z, s.y, s.segmentId) : null;
+    if (surface && surface.drag > 0) {
+        s.speed *= Math.max(0, 1 - surface.drag * dt);
+    }
+
+    // Turning
+    const skidding = !!input.drift;
+    const turnFactor = skidding ? 1.25 : 1.0;
+
+    // Speed-dependent turning: faster = wider turn radius (reduces to 40% at max speed)
+    const speedRatio = Math.abs(s.speed) / c.maxSpeed;
+    const speedTurnMultiplier = 1.0 - (speedRatio * 0.6);
+
+    let deltaYaw = turn * c.turnSpeed * dt * speedRatio * turnFactor * speedTurnMultiplier;
+    if (surface) {
+        deltaYaw *= surface.grip;
+    }
+
+    // Apply speed penalty when turning
+    if (Math.abs(turn) > 0.01 && Math.abs(s.speed) > 5) {
+        s.speed *= skidding ? c.driftSpeedPenalty : c.turnSpeedPenalty;
+    }
+
+    // Forward direction from yaw (local -Z axis)
+    const forwardX = -Math.sin(s.rotY);
+    const forwardZ = -Math.cos(s.rotY);
+
+    // Skid mechanics
+    const isSkidding = skidding && Math.abs(turn) > 0.01 && Math.abs(s.speed) > c.skidMinSpeed;
+    if (isSkidding) {
+        deltaYaw *= c.skidYawMultiplier;
+
+        // Lateral slide (forward direction rotated by 90° toward the turn)
+        const side = Math.sign(turn);
+        const slide = c.skidStrength * (Math.abs(s.speed) / c.maxSpeed) * Math.abs(turn) * dt * 6.0;
+        s.x += forwardZ * side * slide;
+        s.z += -forwardX * side * slide;
+    }
+
+    s.rotY += deltaYaw;
+
+    // Angular velocity for camera effects (normalized to -1 to 1)
+    s.angularVelocity = Math.abs(turn) > 0.01 && dt > 0
+        ? clamp(deltaYaw / (c.turnSpeed * dt), -1, 1)
+        : 0;
+
+    // Move forward
+    const distance = s.speed * dt * c.distanceScale;
+    s.x += forwardX * distance;
+    s.z += forwardZ * distance;
+
+    if (layout) {
+        _collideWithWalls(s, layout);
+
+        // Follow track altitude, on the section the car is on where the track passes over itself
+        const closest = layout.closestPoint(s.x, s.z, s.y, s.segmentId);
+        s.y = closest.y + c.heightOffset;
+        s.segmentId = Math.floor(closest.index / layout.pointsPerSegment);
+    }
+
+    s.boosting = boostAvailable;
+    s.skidding = skidding;
+    return s;
+}
+
+/**
+ * Replay a sequence of input frames
+ * @param {Object} state - Starting car state (not modified)
+ * @param {Array} frames - Input frames, each with its own dt
+ * @param {TrackLayout} layout - Track geometry (optional)
+ * @returns {Object} Car state after the last frame
+ */
+export function simulateInputs(state, frames, layout = null) {
+    return frames.reduce((current, frame) => stepCar(current, frame, frame.dt, layout), state);
+}
+
+/**
+ * Resolve a collision between two cars
+ * Momentum is exchanged along the line between them (masses, velocities, restitution) and
+ * overlapping cars are pushed apart. Both cars are treated the same way, whoever hit the other.
+ * @param {Object} a - Car state (not modified)
+ * @param {Object} b - Car state (not modified)
+ * @returns {Object} { a, b, normalX, normalZ, impulse } - new states, unit normal from a to b, impulse magnitude
+ */
+export function resolveCarCollision(a, b) {
+    const c = CAR_PHYSICS;
+
+    let normalX = b.x - a.x;
+    let normalZ = b.z - a.z;
+    const distance = Math.hypot(normalX, normalZ);
+    if (distance > 0) {
+        normalX /= distance;
+        normalZ /= distance;
+    } else {
+        // Same position: push along a's heading
+        normalX = -Math.sin(a.rotY);
+        normalZ = -Math.cos(a.rotY);
+    }
+
+    const inverseMassA = 1 / (a.mass || c.mass);
+    const inverseMassB = 1 / (b.mass || c.mass);
+    const newA = { ...a };
+    const newB = { ...b };
+
+    // Momentum exchange, only when the cars are moving toward each other
+    const velocityA = velocity(a);
+    const velocityB = velocity(b);
+    const approachSpeed = (velocityA.x - velocityB.x) * normalX + (velocityA.z - velocityB.z) * normalZ;
+    let impulse = 0;
+    if (approachSpeed > 0) {
+        impulse = (1 + c.collisionRestitution) * approachSpeed / (inverseMassA + inverseMassB);
+        _applyImpulse(newA, -normalX * impulse * inverseMassA, -normalZ * impulse * inverseMassA);
+        _applyImpulse(newB, normalX * impulse * inverseMassB, normalZ * impulse * inverseMassB);
+    }
+
+    // Separate overlapping cars, the lighter one moves more
+    const overlap = c.collisionRadius * 2 - distance;
+    if (overlap > 0) {
+        const share = overlap / (inverseMassA + inverseMassB);
+        newA.x -= normalX * share * inverseMassA;
+        newA.z -= normalZ * share * inverseMassA;
+        newB.x += normalX * share * inverseMassB;
+        newB.z += normalZ * share * inverseMassB;
+    }
+
+    return { a: newA, b: newB, normalX, normalZ, impulse };
+}
+
+/**
+ * Bound a value to [min, max]
+ */
+export function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Wrap an angle difference to [-π, π]: the shortest rotation between two headings
+ */
+export function shortestAngle(angle) {
+    while (angle > Math.PI) angle -= Math.PI * 2;
+    while (angle < -Math.PI) angle += Math.PI * 2;
+    return angle;
+}
+
+/**
+ * Velocity of a car in speed units (the car moves along its heading)
+ */
+function velocity(s) {
+    return { x: -Math.sin(s.rotY) * s.speed, z: -Math.cos(s.rotY) * s.speed };
+}
+
+/**
+ * Apply a velocity change to a car
+ * Cars only move along their heading: the part along it changes the speed,
+ * the sideways part becomes a short bump
+ */
+function _applyImpulse(s, deltaX, deltaZ) {
+    const c = CAR_PHYSICS;
+    const forwardX = -Math.sin(s.rotY);
+    const forwardZ = -Math.cos(s.rotY);
+    const along = deltaX * forwardX + deltaZ * forwardZ;
+    s.speed += along;
+    s.x += (deltaX - along * forwardX) * c.distanceScale * c.collisionBumpTime;
+    s.z += (deltaZ - along * forwardZ) * c.distanceScale * c.collisionBumpTime;
+}
+
+/**
+ * Keep the car inside the track: push it back, slow it down and turn it away from the wall
+ */
+function _collideWithWalls(s, layout) {
+    const c = CAR_PHYSICS;
+    const collision = layout.checkWall(s.x, s.z, c.wallRadius, s.y, s.segmentId);
+    if (!collision) return;
+
+    // More aggressive push to prevent clipping
+    const pushStrength = Math.min(collision.penetrationDepth * 1.5, 1.0);
+    s.x += collision.correctionX * pushStrength;
+    s.z += collision.correctionZ * pushStrength;
+
+    s.wallImpact = Math.abs(s.speed);
+    s.speed *= c.wallSpeedLoss;
+
+    // Turn the car toward the correction direction (shortest rotation)
+    const targetRotation = Math.atan2(collision.correctionX, collision.correctionZ);
+    s.rotY += shortestAngle(targetRotation - s.rotY) * c.wallTurnStrength;
+}
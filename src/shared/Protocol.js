@@ -0,0 +1,214 @@
+import { CAR_PHYSICS, clamp } from './CarPhysics.js';
+
+/**
+ * Protocol - Wire format shared by the client and the server
+ * The high-frequency traffic (input batches up, world snapshots down) is sent as small binary messages
+ * with quantized values, everything else (welcome, race phases, laps...) stays JSON.
+ *
+ * Binary messages start with [version: u8, kind: u8], all numbers are little-endian.
+ * A car in a snapshot takes 32 bytes instead of about 270 bytes of JSON, an input frame 9 bytes instead of about 90.
+ */
+export const PROTOCOL_VERSION = 3; // 3: car sender widened to u32 (player ids are not recycled)
+
+const Kind = Object.freeze({
+    INPUT: 2,
+    SNAPSHOT: 3 // Replaces the per-car STATE (1) of version 1
+});
+
+const HEADER_SIZE = 2;
+const SNAPSHOT_HEADER_SIZE = 16;
+const CAR_SIZE = 32;
+const MAX_SNAPSHOT_CARS = 65535;
+const INPUT_HEADER_SIZE = 3;
+const INPUT_FRAME_SIZE = 9;
+const MAX_INPUT_FRAMES = 255;
+
+// Quantization steps
+const POSITION_SCALE = 1000; // x, z in mm (i32)
+const ALTITUDE_SCALE = 100; // y in cm (i16, +/- 327 units)
+const ANGLE_SCALE = 65536 / (Math.PI * 2); // rotY over a full turn (u16)
+const SPEED_SCALE = 50; // i16, +/- 655 (boosted max speed is 375)
+const ENERGY_SCALE = 65535 / CAR_PHYSICS.boostMaxEnergy; // u16
+const TIMER_SCALE = 1000; // energyRegenTimer in ms (u16, only compared to energyRegenDelay)
+const SEGMENT_T_SCALE = 65535; // u16
+const DT_SCALE = 10000; // Input dt in 0.1ms (u16)
+const AXIS_SCALE = 127; // throttle and steer (i8)
+
+/**
+ * Serialize a message for the socket: binary for snapshots and inputs, JSON for the rest
+ * @returns {ArrayBuffer|string}
+ */
+export function encodeMessage(message) {
+    if (message.type === 'snapshot') return encodeSnapshot(message);
+    if (message.type === 'input') return encodeInputs(message.frames);
+    return JSON.stringify(message);
+}
+
+/**
+ * Parse a message received from the socket
+ * @param {ArrayBuffer|ArrayBufferView|string} data - Binary message or JSON text
+ * @throws {Error} on an unknown version or message kind
+ */
+export function decodeMessage(data) {
+    if (typeof data === 'string') return JSON.parse(data);
+
+    const view = ArrayBuffer.isView(data)
+        ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+        : new DataView(data);
+    if (view.byteLength < HEADER_SIZE) {
+        throw new Error('Truncated binary message');
+    }
+
+    const version = view.getUint8(0);
+    if (version !== PROTOCOL_VERSION) {
+        throw new Error(`Unsupported protocol version ${version} (expected ${PROTOCOL_VERSION})`);
+    }
+
+    const kind = view.getUint8(1);
+    if (kind === Kind.SNAPSHOT) return decodeSnapshot(view);
+    if (kind === Kind.INPUT) return decodeInputs(view);
+    throw new Error(`Unknown binary message kind ${kind}`);
+}
+
+/**
+ * Round an input frame the way the wire does
+ * The client predicts with the quantized frame so it simulates exactly what the server receives
+ * @param {Object} frame - { seq, dt, throttle, steer, boost, drift }
+ */
+export function quantizeFrame(frame) {
+    return {
+        seq: frame.seq,
+        dt: Math.round(clamp(frame.dt, 0, 65535 / DT_SCALE) * DT_SCALE) / DT_SCALE,
+        throttle: Math.round(clamp(frame.throttle || 0, -1, 1) * AXIS_SCALE) / AXIS_SCALE,
+        steer: Math.round(clamp(frame.steer || 0, -1, 1) * AXIS_SCALE) / AXIS_SCALE,
+        boost: !!frame.boost,
+        drift: !!frame.drift
+    };
+}
+
+/**
+ * World snapshot: [count u16, tick u32, time f64] then count cars (see writeCar)
+ */
+function encodeSnapshot(snapshot) {
+    const states = snapshot.states.slice(0, MAX_SNAPSHOT_CARS);
+    const buffer = new ArrayBuffer(SNAPSHOT_HEADER_SIZE + states.length * CAR_SIZE);
+    const view = new DataView(buffer);
+
+    view.setUint8(0, PROTOCOL_VERSION);
+    view.setUint8(1, Kind.SNAPSHOT);
+    view.setUint16(2, states.length, true);
+    view.setUint32(4, snapshot.tick, true);
+    view.setFloat64(8, snapshot.time, true);
+    states.forEach((state, i) => writeCar(view, SNAPSHOT_HEADER_SIZE + i * CAR_SIZE, state));
+    return buffer;
+}
+
+function decodeSnapshot(view) {
+    const count = view.byteLength >= SNAPSHOT_HEADER_SIZE ? view.getUint16(2, true) : 0;
+    if (view.byteLength < SNAPSHOT_HEADER_SIZE + count * CAR_SIZE) {
+        throw new Error('Truncated snapshot message');
+    }
+
+    const states = [];
+    for (let i = 0; i < count; i++) {
+        states.push(readCar(view, SNAPSHOT_HEADER_SIZE + i * CAR_SIZE));
+    }
+    return {
+        type: 'snapshot',
+        tick: view.getUint32(4, true),
+        time: view.getFloat64(8, true),
+        states
+    };
+}
+
+/**
+ * State of a car: [sender u32, seq u32, x i32, z i32, y i16, rotY u16, speed i16,
+ * boostEnergy u16, energyRegenTimer u16, segmentId u16, segmentT u16, lives u8, lap u8]
+ * vx and vz are not sent, the receiver derives them from rotY and speed
+ */
+function writeCar(view, offset, state) {
+    const rotY = ((state.rotY % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+
+    view.setUint32(offset, state.sender, true);
+    view.setUint32(offset + 4, state.seq, true);
+    view.setInt32(offset + 8, Math.round(state.x * POSITION_SCALE), true);
+    view.setInt32(offset + 12, Math.round(state.z * POSITION_SCALE), true);
+    view.setInt16(offset + 16, clamp(Math.round(state.y * ALTITUDE_SCALE), -32768, 32767), true);
+    view.setUint16(offset + 18, Math.round(rotY * ANGLE_SCALE) & 0xffff, true);
+    view.setInt16(offset + 20, clamp(Math.round(state.speed * SPEED_SCALE), -32768, 32767), true);
+    view.setUint16(offset + 22, clamp(Math.round(state.boostEnergy * ENERGY_SCALE), 0, 65535), true);
+    view.setUint16(offset + 24, clamp(Math.round(state.energyRegenTimer * TIMER_SCALE), 0, 65535), true);
+    view.setUint16(offset + 26, state.segmentId, true);
+    view.setUint16(offset + 28, Math.round(clamp(state.segmentT, 0, 1) * SEGMENT_T_SCALE), true);
+    view.setUint8(offset + 30, clamp(state.lives, 0, 255));
+    view.setUint8(offset + 31, clamp(state.lap, 0, 255));
+}
+
+function readCar(view, offset) {
+    const rotY = view.getUint16(offset + 18, true) / ANGLE_SCALE;
+    const speed = view.getInt16(offset + 20, true) / SPEED_SCALE;
+    return {
+        sender: view.getUint32(offset, true),
+        seq: view.getUint32(offset + 4, true),
+        x: view.getInt32(offset + 8, true) / POSITION_SCALE,
+        y: view.getInt16(offset + 16, true) / ALTITUDE_SCALE,
+        z: view.getInt32(offset + 12, true) / POSITION_SCALE,
+        rotY,
+        speed,
+        boostEnergy: view.getUint16(offset + 22, true) / ENERGY_SCALE,
+        energyRegenTimer: view.getUint16(offset + 24, true) / TIMER_SCALE,
+        vx: -Math.sin(rotY) * speed * CAR_PHYSICS.distanceScale,
+        vz: -Math.cos(rotY) * speed * CAR_PHYSICS.distanceScale,
+        segmentId: view.getUint16(offset + 26, true),
+        segmentT: view.getUint16(offset + 28, true) / SEGMENT_T_SCALE,
+        lives: view.getUint8(offset + 30),
+        lap: view.getUint8(offset + 31)
+    };
+}
+
+/**
+ * Batch of input frames: [count u8] then per frame [seq u32, dt u16, throttle i8, steer i8, flags u8]
+ * flags: bit 0 = boost, bit 1 = drift
+ */
+function encodeInputs(frames) {
+    const count = Math.min(frames.length, MAX_INPUT_FRAMES);
+    const buffer = new ArrayBuffer(INPUT_HEADER_SIZE + count * INPUT_FRAME_SIZE);
+    const view = new DataView(buffer);
+
+    view.setUint8(0, PROTOCOL_VERSION);
+    view.setUint8(1, Kind.INPUT);
+    view.setUint8(2, count);
+    // Keep the newest frames if there are too many
+    frames.slice(frames.length - count).forEach((frame, i) => {
+        const offset = INPUT_HEADER_SIZE + i * INPUT_FRAME_SIZE;
+        const q = quantizeFrame(frame);
+        view.setUint32(offset, q.seq, true);
+        view.setUint16(offset + 4, Math.round(q.dt * DT_SCALE), true);
+        view.setInt8(offset + 6, Math.round(q.throttle * AXIS_SCALE));
+        view.setInt8(offset + 7, Math.round(q.steer * AXIS_SCALE));
+        view.setUint8(offset + 8, (q.boost ? 1 : 0) | (q.drift ? 2 : 0));
+    });
+    return buffer;
+}
+
+function decodeInputs(view) {
+    const count = view.byteLength >= INPUT_HEADER_SIZE ? view.getUint8(2) : 0;
+    if (view.byteLength < INPUT_HEADER_SIZE + count * INPUT_FRAME_SIZE) {
+        throw new Error('Truncated input message');
+    }
+
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+        const offset = INPUT_HEADER_SIZE + i * INPUT_FRAME_SIZE;
+        const flags = view.getUint8(offset + 8);
+        frames.push({
+            seq: view.getUint32(offset, true),
+            dt: view.getUint16(offset + 4, true) / DT_SCALE,
+            throttle: view.getInt8(offset + 6) / AXIS_SCALE,
+            steer: view.getInt8(offset + 7) / AXIS_SCALE,
+            boost: (flags & 1) !== 0,
+            drift: (flags & 2) !== 0
+        });
+    }
+    return { type: 'input', frames };
+}
@@ -0,0 +1,285 @@
+import { RacePhase } from './RacePhase.js';
+import { TRACK_STYLES } from './TrackGenerator.js';
+
+/**
+ * RaceController - Race lifecycle state machine (lobby → countdown → racing → results → lobby)
+ * Holds the racers' lap progress (checkpoints in order, laps, lap times) and decides when the race ends.
+ * Has no networking: the owner broadcasts the state through onPhaseChange.
+ */
+export class RaceController {
+    constructor(options = {}) {
+        // Configuration
+        this.defaultLapCount = options.lapCount ?? 3;
+        this.lapCount = this.defaultLapCount; // Laps of the current race (a single one on an open track)
+        this.checkpointCount = options.checkpointCount ?? 4; // Checkpoints to pass (in order) before each lap
+        this.countdownDuration = options.countdownDuration ?? 3000; // ms
+        this.resultsDuration = options.resultsDuration ?? 10000; // ms before going back to the lobby
+        this.finishTimeout = options.finishTimeout ?? 30000; // ms left to the others once someone finished
+        this.now = options.now || (() => Date.now());
+        this.onPhaseChange = options.onPhaseChange || null;
+        
+        // Current phase
+        this.phase = RacePhase.LOBBY;
+        this.phaseStartedAt = this.now();
+        this.phaseEndsAt = null; // null = no time limit
+        this.timer = null;
+        
+        // Race data
+        this.trackSeed = null;
+        this.trackDefinition = null; // Track definition raced on, null for a generated track
+        this.trackGenerator = null; // Generator options of a generated track (see TrackGenerator)
+        this.raceStartedAt = null;
+        this.racers = new Map(); // id -> { id, grid, laps, nextCheckpoint, lapStartedAt, lapTimes, bestLapTime, finished, finishTime }
+        this.finishOrder = [];
+    }
+
+    /**
+     * Start the countdown for a new race (restarts the race if one is running)
+     * @param {Array} racerIds - Players taking part, in grid order
+     * @param {number} trackSeed - Seed of the track to race on
+     * @param {Object} trackDefinition - Definition of the track when it is not generated from the seed
+     * @param {Object} trackGenerator - Generator options of a generated track (null = default layout)
+     */
+    startCountdown(racerIds, trackSeed, trackDefinition = null, trackGenerator = null) {
+        this.trackSeed = trackSeed;
+        this.trackDefinition = trackDefinition;
+        this.trackGenerator = trackDefinition ? null : trackGenerator;
+        // An open track is raced once, from its start to its finish
+        const open = trackDefinition ? trackDefinition.closed === false : TRACK_STYLES[this.trackGenerator?.style]?.open === true;
+        this.lapCount = open ? 1 : this.defaultLapCount;
+        this.raceStartedAt = null;
+        this.finishOrder = [];
+        this.racers.clear();
+        racerIds.forEach((id, index) => {
+            this.racers.set(id, {
+                id,
+                grid: index,
+                laps: 0,
+                nextCheckpoint: 0,
+                lapStartedAt: null,
+                lapTimes: [],
+                bestLapTime: null,
+                finished: false,
+                finishTime: null
+            });
+        });
+        
+        this._setPhase(RacePhase.COUNTDOWN, this.countdownDuration, () => this._startRace());
+    }
+
+    /**
+     * Go back to the lobby, dropping the current race
+     */
+    returnToLobby() {
+        this.racers.clear();
+        this.finishOrder = [];
+        this.raceStartedAt = null;
+        this._setPhase(RacePhase.LOBBY, null);
+    }
+
+    /**
+     * Record a checkpoint crossing
+     * Checkpoints only count in order: the expected one is racer.nextCheckpoint
+     * @returns {boolean} true if the checkpoint was accepted
+     */
+    recordCheckpoint(id, checkpointId) {
+        const racer = this.racers.get(id);
+        if (this.phase !== RacePhase.RACING || !racer || racer.finished) return false;
+        if (checkpointId !== racer.nextCheckpoint) return false;
+        
+        racer.nextCheckpoint++;
+        return true;
+    }
+
+    /**
+     * Check if a racer has passed every checkpoint of the current lap
+     */
+    canCompleteLap(id) {
+        const racer = this.racers.get(id);
+        return !!racer && !racer.finished && racer.nextCheckpoint >= this.checkpointCount;
+    }
+
+    /**
+     * Record a finish line crossing, counted only once every checkpoint was passed
+     * @param {number} time - When the line was crossed (defaults to now), e.g. in the racer's simulated time
+     *                        so lap times do not depend on when its inputs reached the owner
+     * @returns {Object|null} { lap, lapTime, bestLapTime, finished } if the lap was accepted
+     */
+    recordLap(id, time = this.now()) {
+        const racer = this.racers.get(id);
+        if (this.phase !== RacePhase.RACING || !this.canCompleteLap(id)) return null;
+        
+        const lapTime = time - racer.lapStartedAt;
+        racer.laps++;
+        racer.nextCheckpoint = 0;
+        racer.lapStartedAt = time;
+        racer.lapTimes.push(lapTime);
+        if (racer.bestLapTime === null || lapTime < racer.bestLapTime) {
+            racer.bestLapTime = lapTime;
+        }
+        
+        if (racer.laps >= this.lapCount) {
+            racer.finished = true;
+            racer.finishTime = time - this.raceStartedAt;
+            this.finishOrder.push(id);
+        }
+        
+        const result = { lap: racer.laps, lapTime, bestLapTime: racer.bestLapTime, finished: racer.finished };
+        
+        if (racer.finished) {
+            if (this._allFinished()) {
+                this._endRace();
+            } else if (this.finishOrder.length === 1) {
+                // First finisher: the others get a limited time to finish
+                this._setPhase(RacePhase.RACING, this.finishTimeout, () => this._endRace());
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Check a racer's move against the track gates
+     * Only the expected gate counts: the next checkpoint, then the finish line once they are all passed
+     * @param {TrackLayout} layout - Track holding the gates
+     * @param {Object} from - { x, z } position before the move
+     * @param {Object} to - { x, z } position after the move
+     * @param {number} time - When the move ended (see recordLap)
+     * @returns {Object|null} { checkpointId } or { lap } (see recordLap) when a gate was validated
+     */
+    recordMove(id, layout, from, to, time = this.now()) {
+        const racer = this.racers.get(id);
+        if (!racer || racer.finished) return null;
+        
+        if (!this.canCompleteLap(id)) {
+            const checkpoint = layout.checkpoints[racer.nextCheckpoint];
+            if (layout.crossesGate(checkpoint, from, to) && this.recordCheckpoint(id, checkpoint.id)) {
+                return { checkpointId: checkpoint.id };
+            }
+            return null;
+        }
+        
+        if (layout.crossesGate(layout.finishLine, from, to)) {
+            const lap = this.recordLap(id, time);
+            return lap ? { lap } : null;
+        }
+        return null;
+    }
+
+    /**
+     * Remove a racer (disconnection)
+     */
+    removeRacer(id) {
+        if (!this.racers.delete(id)) return;
+        this.finishOrder = this.finishOrder.filter(racerId => racerId !== id);
+        
+        if (this.phase === RacePhase.COUNTDOWN || this.phase === RacePhase.RACING) {
+            if (this.racers.size === 0) {
+                this.returnToLobby();
+            } else if (this.phase === RacePhase.RACING && this._allFinished()) {
+                this._endRace();
+            }
+        }
+    }
+
+    /**
+     * Check if a player takes part in the current race
+     */
+    isRacer(id) {
+        return this.racers.has(id);
+    }
+
+    /**
+     * Standings: finishers by finish time, then the others by laps and checkpoints
+     * @returns {Array} [{ id, position, laps, lapTimes, bestLapTime, finished, finishTime }]
+     */
+    getStandings() {
+        // Finish times are stamped when the line was crossed, a racer with more latency
+        // may be recorded later but still rank ahead
+        const finished = this.finishOrder
+            .map(id => this.racers.get(id))
+            .sort((a, b) => a.finishTime - b.finishTime);
+        const running = [...this.racers.values()]
+            .filter(racer => !racer.finished)
+            .sort((a, b) => b.laps - a.laps || b.nextCheckpoint - a.nextCheckpoint);
+        
+        return [...finished, ...running].map((racer, index) => ({
+            id: racer.id,
+            position: index + 1,
+            laps: racer.laps,
+            lapTimes: racer.lapTimes,
+            bestLapTime: racer.bestLapTime,
+            finished: racer.finished,
+            finishTime: racer.finishTime
+        }));
+    }
+
+    /**
+     * Serializable snapshot of the race state
+     */
+    getState() {
+        return {
+            phase: this.phase,
+            startedAt: this.phaseStartedAt,
+            endsAt: this.phaseEndsAt,
+            lapCount: this.lapCount,
+            trackSeed: this.trackSeed,
+            trackDefinition: this.trackDefinition,
+            trackGenerator: this.trackGenerator,
+            raceStartedAt: this.raceStartedAt,
+            racers: [...this.racers.values()].map(racer => ({ id: racer.id, grid: racer.grid })),
+            standings: this.getStandings()
+        };
+    }
+
+    /**
+     * Stop pending timers (owner is shutting down)
+     */
+    dispose() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    _startRace() {
+        this.raceStartedAt = this.now();
+        this.racers.forEach((racer) => {
+            racer.lapStartedAt = this.raceStartedAt;
+        });
+        this._setPhase(RacePhase.RACING, null);
+    }
+
+    _endRace() {
+        this._setPhase(RacePhase.RESULTS, this.resultsDuration, () => this.returnToLobby());
+    }
+
+    _allFinished() {
+        return this.racers.size > 0 && [...this.racers.values()].every(racer => racer.finished);
+    }
+
+    /**
+     * Enter a phase, optionally for a limited duration
+     * @param {string} phase - One of RacePhase
+     * @param {number|null} duration - ms before onTimeout is called (null = no limit)
+     * @param {Function} onTimeout - Transition to run when the duration elapses
+     */
+    _setPhase(phase, duration, onTimeout) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        
+        const previousPhase = this.phase;
+        const now = this.now();
+        this.phase = phase;
+        if (phase !== previousPhase) {
+            this.phaseStartedAt = now;
+        }
+        this.phaseEndsAt = duration !== null ? now + duration : null;
+        
+        if (duration !== null && onTimeout) {
+            this.timer = setTimeout(onTimeout, duration);
+        }
+        
+        console.log(`Race phase: ${previousPhase} -> ${phase}`);
+        if (this.onPhaseChange) {
+            this.onPhaseChange(this.getState());
+        }
+    }
+}
@@ -0,0 +1,10 @@
+/**
+ * RacePhase - Phases of a race, shared by the server and the client
+ * lobby → countdown → racing → results → lobby
+ */
+export const RacePhase = Object.freeze({
+    LOBBY: 'lobby',         // Waiting for the host to start
+    COUNTDOWN: 'countdown', // Cars on the grid, inputs locked
+    RACING: 'racing',       // Race in progress
+    RESULTS: 'results'      // Race over, final standings shown
+});
@@ -0,0 +1,43 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, on every client and on the server,
+ * so anything generated from it (e.g. the track layout) is identical for all players
+ */
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0; // Force unsigned 32-bit integer
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next number in the sequence, in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a number in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Pick a new random seed (not deterministic, used to choose a seed)
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
@@ -0,0 +1,56 @@
+const NO_ITEMS = Object.freeze([]);
+const CELL_OFFSET = 32768; // Cell coordinates are kept within ±CELL_OFFSET to pack them in one number
+
+/**
+ * SpatialGrid - Uniform grid over the XZ plane for nearby lookups
+ * Each item is registered in every cell its box overlaps, so a lookup only reads the cell under the
+ * position: every item whose box contains the position is found in constant time, whatever the track size.
+ */
+export class SpatialGrid {
+    /**
+     * @param {number} cellSize - Side of a cell (world units)
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Packed cell coordinates -> items
+    }
+
+    /**
+     * Register an item in the cells overlapping a box
+     */
+    insert(item, minX, minZ, maxX, maxZ) {
+        const [firstX, firstZ] = this._cellOf(minX, minZ);
+        const [lastX, lastZ] = this._cellOf(maxX, maxZ);
+        for (let cellX = firstX; cellX <= lastX; cellX++) {
+            for (let cellZ = firstZ; cellZ <= lastZ; cellZ++) {
+                const key = cellKey(cellX, cellZ);
+                const items = this.cells.get(key);
+                if (items) {
+                    items.push(item);
+                } else {
+                    this.cells.set(key, [item]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Items registered in the cell under a position (shared array, not to be modified)
+     */
+    query(x, z) {
+        const [cellX, cellZ] = this._cellOf(x, z);
+        return this.cells.get(cellKey(cellX, cellZ)) || NO_ITEMS;
+    }
+
+    _cellOf(x, z) {
+        const limit = CELL_OFFSET - 1;
+        return [
+            Math.max(-limit, Math.min(limit, Math.floor(x / this.cellSize))),
+            Math.max(-limit, Math.min(limit, Math.floor(z / this.cellSize)))
+        ];
+    }
+}
+
+function cellKey(cellX, cellZ) {
+    return (cellX + CELL_OFFSET) * CELL_OFFSET * 2 + (cellZ + CELL_OFFSET);
+}
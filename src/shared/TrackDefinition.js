@@ -0,0 +1,159 @@
+/**
+ * TrackDefinition - JSON file format of a track (no THREE.js, no DOM)
+ * A definition describes a track completely, so it can be saved, shared, versioned and loaded
+ * by the client (Track.fromDefinition) and the server (TrackLayout.fromDefinition):
+ *
+ * {
+ *   "format": "race-track",
+ *   "version": 1,
+ *   "meta": { "name": "...", "author": "...", "description": "...", "createdAt": "ISO date" },
+ *   "width": 12,                         // Default track width
+ *   "closed": true,                      // Optional: false for an open track, raced once from start to finish
+ *   "points": [                          // Centerline, the finish line of a loop is on the first point
+ *     { "x": 70, "y": 0, "z": 0, "width": 14, "surface": "asphalt" }   // width and surface are optional
+ *   ],
+ *   "checkpoints": [13, 26, 38, 51]      // Points holding the checkpoint gates, in racing order
+ * }
+ *
+ * An open track runs from its first point to its last one: the finish line is on the last point
+ * and the starting grid stands on the first GRID_LENGTH units (see TrackLayout.startIndex).
+ */
+
+export const TRACK_FORMAT = 'race-track';
+export const TRACK_FORMAT_VERSION = 1;
+
+/**
+ * Ground types of the track: grip scales the steering, drag slows the car down (per second)
+ */
+export const TRACK_SURFACES = Object.freeze({
+    asphalt: Object.freeze({ grip: 1.0, drag: 0 }),
+    dirt: Object.freeze({ grip: 0.85, drag: 0.35 }),
+    ice: Object.freeze({ grip: 0.55, drag: 0 })
+});
+
+const MIN_POINTS = 8;
+const MAX_POINTS = 1024;
+const MIN_WIDTH = 6;
+const MAX_WIDTH = 40;
+const WORLD_LIMIT = 1000;
+
+// Bounds checked by parseTrackDefinition, also kept by the track editor
+export const TRACK_LIMITS = Object.freeze({
+    minPoints: MIN_POINTS,
+    maxPoints: MAX_POINTS,
+    minWidth: MIN_WIDTH,
+    maxWidth: MAX_WIDTH,
+    world: WORLD_LIMIT
+});
+
+const META_FIELDS = ['name', 'author', 'description', 'createdAt'];
+const META_MAX_LENGTH = 200;
+
+/**
+ * Check a definition read from a file or received from elsewhere
+ * @param {Object} data - Parsed JSON
+ * @returns {{ definition: Object }|{ error: string }} A normalized copy (defaults filled in, unknown fields dropped)
+ */
+export function parseTrackDefinition(data) {
+    if (!isObject(data) || data.format !== TRACK_FORMAT) {
+        return { error: `Not a track definition (format must be "${TRACK_FORMAT}")` };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return { error: 'Missing track format version' };
+    }
+    if (data.version > TRACK_FORMAT_VERSION) {
+        return { error: `Track format version ${data.version} is newer than this game (${TRACK_FORMAT_VERSION})` };
+    }
+
+    const width = data.width ?? 12;
+    if (!isNumberIn(width, MIN_WIDTH, MAX_WIDTH)) {
+        return { error: `width must be between ${MIN_WIDTH} and ${MAX_WIDTH}` };
+    }
+
+    const closed = data.closed ?? true;
+    if (typeof closed !== 'boolean') {
+        return { error: 'closed must be true or false' };
+    }
+
+    if (!Array.isArray(data.points) || data.points.length < MIN_POINTS || data.points.length > MAX_POINTS) {
+        return { error: `points must hold ${MIN_POINTS} to ${MAX_POINTS} points` };
+    }
+    const points = [];
+    for (const [index, point] of data.points.entries()) {
+        if (!isObject(point) || !['x', 'y', 'z'].every((axis) => isNumberIn(point[axis], -WORLD_LIMIT, WORLD_LIMIT))) {
+            return { error: `points[${index}] must have x, y and z within ±${WORLD_LIMIT}` };
+        }
+        const pointWidth = point.width ?? width;
+        if (!isNumberIn(pointWidth, MIN_WIDTH, MAX_WIDTH)) {
+            return { error: `points[${index}].width must be between ${MIN_WIDTH} and ${MAX_WIDTH}` };
+        }
+        const surface = point.surface ?? 'asphalt';
+        if (!TRACK_SURFACES[surface]) {
+            return { error: `points[${index}].surface must be one of ${Object.keys(TRACK_SURFACES).join(', ')}` };
+        }
+        points.push({ x: point.x, y: point.y, z: point.z, width: pointWidth, surface });
+    }
+
+    const checkpoints = data.checkpoints ?? [];
+    if (!Array.isArray(checkpoints) || checkpoints.length === 0) {
+        return { error: 'checkpoints must list at least one point index' };
+    }
+    for (const [index, pointIndex] of checkpoints.entries()) {
+        if (!Number.isInteger(pointIndex) || pointIndex <= 0 || pointIndex >= points.length) {
+            return { error: `checkpoints[${index}] must be a point index after the finish line` };
+        }
+        if (!closed && pointIndex >= points.length - 1) {
+            return { error: `checkpoints[${index}] must be a point index before the finish line` };
+        }
+        if (index > 0 && pointIndex <= checkpoints[index - 1]) {
+            return { error: 'checkpoints must be in racing order' };
+        }
+    }
+
+    const meta = {};
+    if (isObject(data.meta)) {
+        META_FIELDS.forEach((field) => {
+            if (typeof data.meta[field] === 'string') {
+                meta[field] = data.meta[field].slice(0, META_MAX_LENGTH);
+            }
+        });
+    }
+
+    return {
+        definition: {
+            format: TRACK_FORMAT,
+            version: TRACK_FORMAT_VERSION,
+            meta,
+            width,
+            closed,
+            points,
+            checkpoints: [...checkpoints]
+        }
+    };
+}
+
+/**
+ * Identify a definition by a 32-bit hash of its geometry (FNV-1a)
+ * Used as the track seed of races run on a definition, so clients can tell tracks apart
+ * (open tracks only add their flag, so the hashes of loops do not change)
+ * @param {Object} definition - Normalized definition (see parseTrackDefinition)
+ * @returns {number}
+ */
+export function hashTrackDefinition(definition) {
+    const geometry = [definition.width, definition.points, definition.checkpoints];
+    const text = JSON.stringify(definition.closed === false ? [...geometry, false] : geometry);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNumberIn(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
@@ -0,0 +1,583 @@
+import { CAR_PHYSICS, clamp, shortestAngle } from './CarPhysics.js';
+
+/**
+ * TrackGenerator - Procedural track layouts from a seed and a few parameters (no THREE.js, no DOM)
+ * Every random choice comes from the layout's seeded random, so all clients and the server
+ * build the same track from the same seed and options. A layout is built in steps:
+ * 1. outline of the style (circle, stadium, open arc of an ellipse, lemniscate), sampled densely
+ * 2. radial noise (complexity) and hairpin pockets, around the centers of the outline
+ * 3. straight sections, replacing parts of the outline by chords
+ * 4. scaled to the requested length and resampled at regular spacing
+ * 5. start line on the straightest stretch, altitude profile (level around the start),
+ *    checkpoints where no other part of the track passes by
+ * A layout too cramped for the track width is built again with less noise, hairpins and straights.
+ * Open styles (the sprint) are a road from a start to a finish instead of a loop: the same steps run
+ * without wrapping around, the first GRID_LENGTH units are kept straight and level for the starting grid.
+ */
+
+// Skeleton point spacing (the original 64-point circle of radius 70)
+const POINT_SPACING = 2 * Math.PI * 70 / 64;
+const MIN_POINTS = 24;
+const MAX_POINTS = 256;
+const OUTLINE_SAMPLES = 720; // Dense outline, before resampling
+const SMOOTHING_SPACING = 2; // Sample spacing of the outline while its corners are rounded
+const START_LEVEL_POINTS = 8; // Points kept level on each side of the start line
+// Tightest turn of the centerline: the car's turning circle, a little less as the track width lets it cut the turn
+const MIN_TURN_RADIUS = CAR_PHYSICS.maxSpeed * CAR_PHYSICS.distanceScale / CAR_PHYSICS.turnSpeed * 0.8;
+const SIDE_MARGIN = 2; // Extra distance kept between two parts of the track, beyond the track width
+const MAX_ATTEMPTS = 6; // Builds with less and less deformation before falling back to the bare outline
+
+// Height between the two levels where a figure-eight crosses itself
+export const CROSSING_CLEARANCE = 6;
+
+// Road before the start line of an open track, where the starting grid stands (see TrackLayout.startIndex)
+export const GRID_LENGTH = 40;
+const SPRINT_GAP = Math.PI * 2 / 3; // Part of the ellipse left out between the start and the finish of a sprint
+const START_TAPER = 0.15; // Share of an open track, from its start, where the deformations fade in
+
+/**
+ * Layout styles, with the defaults of their parameters
+ * open: the track is a road from a start to a finish, raced once, instead of a loop
+ */
+export const TRACK_STYLES = Object.freeze({
+    classic: Object.freeze({
+        label: 'Classique',
+        defaults: Object.freeze({ length: 440, complexity: 0.5, elevation: 8, hairpins: 0, straights: 0 })
+    }),
+    oval: Object.freeze({
+        label: 'Ovale',
+        defaults: Object.freeze({ length: 520, complexity: 0.2, elevation: 2, hairpins: 0, straights: 0.6 })
+    }),
+    technical: Object.freeze({
+        label: 'Technique',
+        defaults: Object.freeze({ length: 600, complexity: 0.8, elevation: 6, hairpins: 0.6, straights: 0.2 })
+    }),
+    sprint: Object.freeze({
+        label: 'Sprint',
+        open: true,
+        defaults: Object.freeze({ length: 1200, complexity: 0.6, elevation: 10, hairpins: 0.4, straights: 0.4 })
+    }),
+    'figure-eight': Object.freeze({
+        label: 'Huit',
+        defaults: Object.freeze({ length: 640, complexity: 0.3, elevation: 3, hairpins: 0, straights: 0.3 })
+    })
+});
+
+export const DEFAULT_TRACK_STYLE = 'classic';
+
+/**
+ * Parameters of the generator, their ranges and the step of their lobby slider
+ * - length: length of the centerline (units)
+ * - complexity: how much the outline winds (0 = the bare shape)
+ * - elevation: highest altitude above or below the start line
+ * - hairpins: how often the track turns back on itself (0 = never)
+ * - straights: share of the track on straight lines
+ */
+export const GENERATOR_PARAMETERS = Object.freeze({
+    length: Object.freeze({ min: 300, max: 1500, step: 50, label: 'Longueur' }),
+    complexity: Object.freeze({ min: 0, max: 1, step: 0.05, label: 'Complexité' }),
+    elevation: Object.freeze({ min: 0, max: 20, step: 1, label: 'Dénivelé' }),
+    hairpins: Object.freeze({ min: 0, max: 1, step: 0.05, label: 'Épingles' }),
+    straights: Object.freeze({ min: 0, max: 1, step: 0.05, label: 'Lignes droites' })
+});
+
+// How each style bends its outline: noise harmonics, amplitude and the most hairpins it can hold
+const STYLE_SHAPES = {
+    classic: { harmonics: [2, 7], noise: 0.3, maxHairpins: 2 },
+    oval: { harmonics: [2, 4], noise: 0.15, maxHairpins: 2 },
+    technical: { harmonics: [2, 8], noise: 0.45, maxHairpins: 4 },
+    sprint: { harmonics: [3, 10], noise: 0.35, maxHairpins: 5 },
+    'figure-eight': { harmonics: [2, 6], noise: 0.25, maxHairpins: 2 }
+};
+
+/**
+ * Fill in and bound generator options (unknown style → classic, missing parameters → style defaults)
+ * @param {Object} options - { style, length, complexity, elevation, hairpins, straights }
+ * @returns {Object} Complete options
+ */
+export function normalizeGeneratorOptions(options = {}) {
+    const style = TRACK_STYLES[options.style] ? options.style : DEFAULT_TRACK_STYLE;
+    const normalized = { style };
+    Object.entries(GENERATOR_PARAMETERS).forEach(([name, range]) => {
+        const value = options[name];
+        normalized[name] = typeof value === 'number' && Number.isFinite(value)
+            ? clamp(value, range.min, range.max)
+            : TRACK_STYLES[style].defaults[name];
+    });
+    return normalized;
+}
+
+/**
+ * Generate the centerline of a track
+ * @param {SeededRandom} random - Random sequence of the layout (drives every choice)
+ * @param {Object} options - Normalized options (see normalizeGeneratorOptions)
+ * @param {Object} track - { trackWidth, checkpointCount }
+ * @returns {Object} { points: [{ x, y, z }], checkpoints: [point indices], closed: false for an open track }
+ */
+export function generateTrack(random, options, { trackWidth, checkpointCount }) {
+    const plan = planDeformations(random, options);
+    const walk = Array.from({ length: MAX_POINTS }, () => random.range(-1, 1)); // Altitude steps
+    const open = isOpen(options);
+
+    for (let attempt = 0; attempt <= MAX_ATTEMPTS; attempt++) {
+        const scale = attempt === MAX_ATTEMPTS ? 0 : Math.pow(0.75, attempt);
+        const points = buildCenterline(options, plan, scale, walk, trackWidth);
+        if (scale === 0 || (hasClearance(points, trackWidth, open) && isDrivable(points, open))) {
+            return { points, checkpoints: placeCheckpoints(points, checkpointCount, trackWidth, open), closed: !open };
+        }
+    }
+}
+
+/**
+ * Draw every random choice of the deformations once, so the attempts only scale them
+ * Noise and hairpin depths are fractions of the narrowest part of the outline
+ */
+function planDeformations(random, options) {
+    const shape = STYLE_SHAPES[options.style];
+
+    const [minHarmonic, maxHarmonic] = shape.harmonics;
+    const harmonics = [];
+    for (let k = minHarmonic; k <= maxHarmonic; k++) {
+        harmonics.push({
+            k,
+            amplitude: random.range(-1, 1) * shape.noise * options.complexity / Math.sqrt(maxHarmonic - minHarmonic + 1),
+            phase: random.range(0, Math.PI * 2)
+        });
+    }
+
+    // Hairpins and straights alternate around the loop, or along an open track past its start
+    const offset = random.next();
+    const place = (share) => isOpen(options) ? START_TAPER + (0.95 - START_TAPER) * share : wrap(offset + share);
+    const hairpinCount = Math.round(options.hairpins * shape.maxHairpins);
+    const hairpins = Array.from({ length: hairpinCount }, (_, i) => ({
+        u: place((i + 0.5 + random.range(-0.15, 0.15)) / hairpinCount),
+        depth: random.range(0.45, 0.6)
+    }));
+
+    // The oval has its straights built in (see outlinePoint)
+    const straightCount = options.style === 'oval' || options.straights === 0 ? 0 : 1 + Math.floor(options.straights * 2.99);
+    const straights = Array.from({ length: straightCount }, (_, i) => ({
+        u: place((i + random.range(-0.1, 0.1)) / straightCount),
+        halfSpan: (0.04 + 0.1 * options.straights) * (3 / (straightCount + 2))
+    }));
+
+    return { harmonics, hairpins, straights };
+}
+
+/**
+ * Build the centerline with the deformations scaled by `scale` (1 = as planned, 0 = bare outline)
+ */
+function buildCenterline(options, plan, scale, walk, trackWidth) {
+    const open = isOpen(options);
+
+    // The deformations lengthen the outline: it is shrunk once for the track to keep its length
+    let shaped = shapeOutline(options, bareOutline(options, options.length), plan, scale, trackWidth);
+    shaped = shapeOutline(options, bareOutline(options, options.length ** 2 / pathLength(shaped, open)), plan, scale, trackWidth);
+
+    // Round the corners of the notches and chords: resampled along its own length first, then smoothed
+    // (neighbors weighted 1/4, enough passes for the rounding to reach the tightest turn radius,
+    // the ends of an open track stay in place)
+    const length = pathLength(shaped, open);
+    const count = Math.round(length / SMOOTHING_SPACING);
+    const passes = Math.ceil(2 * (MIN_TURN_RADIUS / SMOOTHING_SPACING) ** 2);
+    let smoothed = resample(shaped, length, count, open);
+    for (let pass = 0; pass < passes; pass++) {
+        smoothed = smoothed.map((point, i) => {
+            if (open && (i === 0 || i === count - 1)) return point;
+            const before = smoothed[mod(i - 1, count)];
+            const after = smoothed[mod(i + 1, count)];
+            return {
+                u: point.u,
+                x: before.x * 0.25 + point.x * 0.5 + after.x * 0.25,
+                z: before.z * 0.25 + point.z * 0.5 + after.z * 0.25
+            };
+        });
+    }
+
+    const points = resample(smoothed, options.length, clamp(Math.round(options.length / POINT_SPACING), MIN_POINTS, MAX_POINTS), open);
+    if (!open) {
+        rotateToStart(points, options);
+    }
+    addAltitude(points, options, walk);
+    return points.map(({ x, y, z }) => ({ x, y, z }));
+}
+
+/**
+ * Bare outline of the style, sampled at regular spacing
+ * @param {number} length - Length of the outline
+ * @returns {Array} Samples { u, x, z, nx, nz, room }: u = fraction of the length, (nx, nz) = normal
+ *          on the outer side, room = distance to the outline's center
+ */
+function bareOutline(options, length) {
+    const open = isOpen(options);
+    const denseCount = OUTLINE_SAMPLES * 4 + (open ? 1 : 0); // An open outline ends on u = 1
+    const dense = Array.from({ length: denseCount }, (_, i) => ({
+        u: i / (OUTLINE_SAMPLES * 4),
+        ...outlinePoint(options, i / (OUTLINE_SAMPLES * 4))
+    }));
+    const samples = resample(dense, length, OUTLINE_SAMPLES, open);
+    return samples.map((point, i) => {
+        const before = pointAt(samples, i - 1, open);
+        const after = pointAt(samples, i + 1, open);
+        const side = Math.sign((after.z - before.z) * (point.x - point.cx) - (after.x - before.x) * (point.z - point.cz)) || 1;
+        const normal = Math.hypot(after.x - before.x, after.z - before.z);
+        return {
+            u: i / (open ? OUTLINE_SAMPLES - 1 : OUTLINE_SAMPLES),
+            x: point.x,
+            z: point.z,
+            nx: side * (after.z - before.z) / normal,
+            nz: -side * (after.x - before.x) / normal,
+            room: Math.hypot(point.x - point.cx, point.z - point.cz)
+        };
+    });
+}
+
+/**
+ * Apply the deformations to a bare outline: noise pushes it outward (or inward), hairpins dig
+ * a notch inward, straights replace parts of it by chords
+ */
+function shapeOutline(options, outline, plan, scale, trackWidth) {
+    const open = isOpen(options);
+    const last = OUTLINE_SAMPLES - 1;
+    const indexOf = (u) => Math.round(u * (open ? last : OUTLINE_SAMPLES)); // Outline sample at a position
+    const length = pathLength(outline, open);
+    const room = Math.min(...outline.map(point => point.room)); // Narrowest part of the outline
+    const notchWidth = Math.max(MIN_TURN_RADIUS * 3, trackWidth * 2.5); // Parallel sides, far enough apart to turn back between them
+    const nearHairpin = (u) => Math.max(0, ...plan.hairpins.map(h => bump(outlineDistance(options, u, h.u) * length / (notchWidth * 2))));
+    // Noise alone never bends the outline tighter than the car can turn (with some margin)
+    const bending = plan.harmonics.reduce((total, { k, amplitude }) => total + Math.abs(amplitude) * room * (Math.PI * 2 * k / length) ** 2, 0);
+    const noise = room * Math.min(1, 0.8 / (MIN_TURN_RADIUS * bending || 1));
+
+    const shaped = outline.map((point) => {
+        // The figure-eight crossing and the start of an open track keep their shape,
+        // hairpins are dug where the outline is smooth
+        const taper = shapeTaper(options, point.u) * (1 - nearHairpin(point.u)) * scale;
+        let offset = 0;
+        plan.harmonics.forEach(({ k, amplitude, phase }) => {
+            offset += amplitude * noise * Math.sin(Math.PI * 2 * k * point.u + phase);
+        });
+        offset = Math.max(offset * taper, -point.room / 2);
+        return { u: point.u, x: point.x + point.nx * offset, z: point.z + point.nz * offset };
+    });
+
+    plan.hairpins.forEach(({ u, depth }) => {
+        // Dug across the bent outline (its direction at the hairpin)
+        const center = indexOf(u);
+        const before = pointAt(shaped, center - 4, open);
+        const after = pointAt(shaped, center + 4, open);
+        const side = pointAt(outline, center, open);
+        const across = distance2D(before, after);
+        let nx = (after.z - before.z) / across;
+        let nz = -(after.x - before.x) / across;
+        if (nx * side.nx + nz * side.nz < 0) {
+            nx = -nx;
+            nz = -nz;
+        }
+        shaped.forEach((point) => {
+            const distance = outlineDistance(options, point.u, u) * length;
+            const notch = smoothstep((notchWidth / 2 - distance) / (notchWidth / 2) + 0.5) * depth * room * scale * shapeTaper(options, point.u);
+            point.x -= nx * notch;
+            point.z -= nz * notch;
+        });
+    });
+
+    // Straights: blend parts of the outline toward the chord between their ends (hairpins are kept)
+    plan.straights.forEach(({ u: center, halfSpan }) => {
+        let first = indexOf(center - halfSpan);
+        let end = indexOf(center + halfSpan);
+        if (open) {
+            first = Math.max(0, first);
+            end = Math.min(last, end);
+        }
+        const startPoint = pointAt(shaped, first, open);
+        const endPoint = pointAt(shaped, end, open);
+        const straightened = [];
+        for (let i = first + 1; i < end; i++) {
+            const t = (i - first) / (end - first);
+            const point = pointAt(shaped, i, open);
+            const weight = smoothstep(Math.min(t, 1 - t) / 0.2) * scale * (1 - nearHairpin(point.u)) * shapeTaper(options, point.u);
+            straightened.push({
+                point,
+                x: point.x + (startPoint.x + (endPoint.x - startPoint.x) * t - point.x) * weight,
+                z: point.z + (startPoint.z + (endPoint.z - startPoint.z) * t - point.z) * weight
+            });
+        }
+        straightened.forEach(({ point, x, z }) => {
+            point.x = x;
+            point.z = z;
+        });
+    });
+
+    return shaped;
+}
+
+/**
+ * Point of the bare outline of a style, with the center the deformations are applied around
+ * @param {number} u - Position along the outline, from 0 to 1 (from the start to the finish of an open track)
+ * @returns {Object} { x, z, cx, cz } (unit scale, the length is set by bareOutline)
+ */
+function outlinePoint(options, u) {
+    const angle = u * Math.PI * 2;
+    switch (options.style) {
+        case 'oval': {
+            // Stadium: two straights joined by half circles of radius 1
+            const straight = Math.PI * (0.2 + 0.5 * options.straights) / (0.8 - 0.5 * options.straights);
+            const perimeter = 2 * straight + 2 * Math.PI;
+            let s = u * perimeter;
+            if (s < straight) return { x: -straight / 2 + s, z: -1, cx: 0, cz: 0 };
+            s -= straight;
+            if (s < Math.PI) return { x: straight / 2 + Math.sin(s), z: -Math.cos(s), cx: 0, cz: 0 };
+            s -= Math.PI;
+            if (s < straight) return { x: straight / 2 - s, z: 1, cx: 0, cz: 0 };
+            s -= straight;
+            return { x: -straight / 2 - Math.sin(s), z: Math.cos(s), cx: 0, cz: 0 };
+        }
+        case 'sprint': {
+            // Long ellipse across the map, stretched with the length (its ends keep about the same radius),
+            // run from the middle of its flat top (straight for the starting grid) around to a gap before it
+            const stretch = clamp(options.length / 375, 1.5, 3.2);
+            const arc = Math.PI / 2 + u * (Math.PI * 2 - SPRINT_GAP);
+            return { x: stretch * Math.cos(arc), z: Math.sin(arc), cx: 0, cz: 0 };
+        }
+        case 'figure-eight': {
+            // Lemniscate of Bernoulli, crossing itself at u = 0.25 and u = 0.75
+            const d = 1 + Math.sin(angle) ** 2;
+            const x = 1.8 * Math.cos(angle) / d;
+            return { x, z: 1.8 * Math.sin(angle) * Math.cos(angle) / d, cx: Math.sign(x) * 1.1, cz: 0 };
+        }
+        default:
+            return { x: Math.cos(angle), z: Math.sin(angle), cx: 0, cz: 0 };
+    }
+}
+
+/**
+ * Deformation allowed at a position of the outline: 0 at the figure-eight crossing
+ * and on the starting grid of an open track, 1 elsewhere
+ */
+function shapeTaper(options, u) {
+    if (isOpen(options)) return smoothstep(u / START_TAPER);
+    return crossingTaper(options, u);
+}
+
+/**
+ * Deformation allowed around the figure-eight crossing: 0 on it, 1 elsewhere
+ */
+function crossingTaper(options, u) {
+    if (options.style !== 'figure-eight') return 1;
+    const distance = Math.min(circularDistance(u, 0.25), circularDistance(u, 0.75));
+    return smoothstep(distance / 0.1);
+}
+
+/**
+ * Scale a polyline to a length and resample it at regular spacing
+ * @param {boolean} open - The polyline does not close on itself: its last point is kept as the last sample
+ * @returns {Array} Points { u, x, z, ... } (u interpolated along the polyline, other fields of the previous vertex)
+ */
+function resample(polyline, length, pointCount, open = false) {
+    const count = polyline.length;
+    const spans = open ? count - 1 : count;
+    const distances = [0];
+    for (let i = 1; i <= spans; i++) {
+        distances.push(distances[i - 1] + distance2D(polyline[i - 1], polyline[i % count]));
+    }
+    const scale = length / distances[spans];
+
+    const points = [];
+    let j = 0;
+    for (let i = 0; i < pointCount; i++) {
+        const target = (i / (open ? pointCount - 1 : pointCount)) * distances[spans];
+        while (j < spans - 1 && distances[j + 1] < target) j++;
+        const t = (target - distances[j]) / ((distances[j + 1] - distances[j]) || 1);
+        const a = polyline[j];
+        const b = polyline[(j + 1) % count];
+        points.push({
+            ...a,
+            u: a.u + (((b.u - a.u + 1) % 1) * t),
+            x: (a.x + (b.x - a.x) * t) * scale,
+            z: (a.z + (b.z - a.z) * t) * scale
+        });
+    }
+    return points;
+}
+
+/**
+ * Length of a polyline, closing back on its first point unless open
+ */
+function pathLength(polyline, open = false) {
+    return polyline.reduce((total, point, i) => {
+        if (open && i === polyline.length - 1) return total;
+        return total + distance2D(point, polyline[(i + 1) % polyline.length]);
+    }, 0);
+}
+
+/**
+ * Start the loop on its straightest stretch (the grid lies behind the start line),
+ * away from the figure-eight crossing
+ */
+function rotateToStart(points, options) {
+    const count = points.length;
+    const turn = points.map((_, i) => Math.abs(turnAngle(points, i)));
+
+    let best = 0;
+    let bestScore = Infinity;
+    for (let i = 0; i < count; i++) {
+        if (crossingTaper(options, points[i].u) < 1) continue;
+        let score = 0;
+        for (let j = -5; j <= 2; j++) {
+            score += turn[mod(i + j, count)];
+        }
+        if (score < bestScore) {
+            best = i;
+            bestScore = score;
+        }
+    }
+    points.push(...points.splice(0, best));
+}
+
+/**
+ * Altitude: smoothed random walk closing on itself, level around the start line,
+ * plus the bridge of the figure-eight (one crossing branch above the other)
+ * An open track does not close: it is level on its starting grid and ends wherever the walk goes
+ */
+function addAltitude(points, options, walk) {
+    const count = points.length;
+    const crossing = options.style === 'figure-eight';
+    const open = isOpen(options);
+    const gridPoints = Math.ceil(GRID_LENGTH / POINT_SPACING);
+
+    const raw = [0];
+    for (let i = 1; i < count; i++) {
+        raw.push(clamp(raw[i - 1] + walk[i] * options.elevation * 0.3, -options.elevation, options.elevation));
+    }
+    const drift = open ? 0 : raw[count - 1] + (raw[count - 1] - raw[count - 2]); // Where the walk would close the loop
+    const altitudes = raw.map((y, i) => {
+        const fromStart = open ? Math.max(0, i - gridPoints) : Math.min(i, count - i);
+        const level = Math.min(1, fromStart / START_LEVEL_POINTS);
+        const taper = crossing ? crossingTaper(options, points[i].u) : 1;
+        return clamp(y - drift * i / count, -options.elevation, options.elevation) * level * taper;
+    });
+
+    // Two smoothing passes (neighbors weighted 1/4)
+    let smoothed = altitudes;
+    for (let pass = 0; pass < 2; pass++) {
+        smoothed = smoothed.map((y, i) => pointAt(smoothed, i - 1, open) * 0.25 + y * 0.5 + pointAt(smoothed, i + 1, open) * 0.25);
+    }
+
+    // Bridge: highest at the second crossing, lowest at the first, both a margin beyond the clearance
+    const bridge = CROSSING_CLEARANCE / 2 + 1;
+    points.forEach((point, i) => {
+        point.y = smoothed[i] + (crossing ? -bridge * Math.cos(Math.PI * 2 * (point.u - 0.25)) : 0);
+    });
+}
+
+/**
+ * Check that no two distant parts of the track overlap (2D distance, or far enough above each other)
+ */
+function hasClearance(points, trackWidth, open = false) {
+    const count = points.length;
+    const minDistance = trackWidth + SIDE_MARGIN;
+    const neighbors = Math.ceil((trackWidth * 2) / POINT_SPACING) + 1; // Points too close along the track to compare
+    for (let i = 0; i < count; i++) {
+        const farthest = open ? count - 1 : i + count - neighbors; // The ends of an open track are not neighbors
+        for (let j = i + neighbors; j <= farthest; j++) {
+            const a = points[i];
+            const b = points[j % count];
+            if (Math.hypot(a.x - b.x, a.z - b.z) < minDistance && Math.abs(a.y - b.y) < CROSSING_CLEARANCE) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Check that no turn is tighter than the track allows
+ */
+function isDrivable(points, open = false) {
+    const maxTurn = POINT_SPACING / MIN_TURN_RADIUS;
+    return points.every((_, i) => Math.abs(turnAngle(points, i, open)) <= maxTurn);
+}
+
+/**
+ * Evenly spaced checkpoints, moved along the track where a gate would reach another part of it
+ * (gates are checked in 2D), between the start and the finish line of an open track
+ */
+function placeCheckpoints(points, checkpointCount, trackWidth, open = false) {
+    const count = points.length;
+    const neighbors = Math.ceil((trackWidth * 2) / POINT_SPACING) + 1;
+    const isClear = (index) => points.every((point, j) => {
+        const gap = open ? Math.abs(j - index) : Math.min(mod(j - index, count), mod(index - j, count));
+        return gap < neighbors || Math.hypot(point.x - points[index].x, point.z - points[index].z) > trackWidth * 1.5;
+    });
+    const first = open ? Math.ceil(GRID_LENGTH / POINT_SPACING) : 0; // Start line
+    const span = open ? count - 1 - first : count; // Up to the finish line
+
+    const indices = [];
+    for (let i = 0; i < checkpointCount; i++) {
+        const even = first + Math.floor((i + 1) * span / (checkpointCount + 1));
+        const shifts = Array.from({ length: Math.floor(span / (checkpointCount + 1) / 2) }, (_, k) => (k % 2 ? -1 : 1) * Math.ceil(k / 2));
+        const shift = shifts.find((s) => isClear(even + s)) ?? 0;
+        indices.push(even + shift);
+    }
+    return indices;
+}
+
+/**
+ * Signed turn of a polyline at a point (radians), none at the ends of an open one
+ */
+function turnAngle(points, i, open = false) {
+    const count = points.length;
+    if (open && (i === 0 || i === count - 1)) return 0;
+    const a = points[mod(i - 1, count)];
+    const b = points[i];
+    const c = points[mod(i + 1, count)];
+    return shortestAngle(Math.atan2(c.x - b.x, c.z - b.z) - Math.atan2(b.x - a.x, b.z - a.z));
+}
+
+/**
+ * Check if a style builds an open track (see TRACK_STYLES)
+ */
+function isOpen(options) {
+    return TRACK_STYLES[options.style].open === true;
+}
+
+/**
+ * Item of a list at an index, wrapping around a loop or held at the ends of an open track
+ */
+function pointAt(list, i, open) {
+    return list[open ? clamp(i, 0, list.length - 1) : mod(i, list.length)];
+}
+
+/**
+ * Distance between two positions of the outline (fractions of its length), around the loop unless open
+ */
+function outlineDistance(options, a, b) {
+    return isOpen(options) ? Math.abs(a - b) : circularDistance(a, b);
+}
+
+function distance2D(a, b) {
+    return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+// Raised cosine: 1 at 0, 0 from |x| = 1
+function bump(x) {
+    return Math.abs(x) < 1 ? (1 + Math.cos(Math.PI * x)) / 2 : 0;
+}
+
+function smoothstep(x) {
+    const t = clamp(x, 0, 1);
+    return t * t * (3 - 2 * t);
+}
+
+function circularDistance(a, b) {
+    const d = Math.abs(a - b) % 1;
+    return Math.min(d, 1 - d);
+}
+
+function wrap(u) {
+    return ((u % 1) + 1) % 1;
+}
+
+function mod(i, n) {
+    return ((i % n) + n) % n;
+}
@@ -0,0 +1,467 @@
+import { SeededRandom } from './SeededRandom.js';
+import { TRACK_FORMAT, TRACK_FORMAT_VERSION, TRACK_SURFACES, hashTrackDefinition } from './TrackDefinition.js';
+import { CROSSING_CLEARANCE, GRID_LENGTH, generateTrack, normalizeGeneratorOptions } from './TrackGenerator.js';
+import { SpatialGrid } from './SpatialGrid.js';
+
+// Where the track passes over itself: sections within this distance of their edge cover a position,
+// and sections closer in altitude than this to the nearest one are on the same level
+export const OVERLAP_MARGIN = 2;
+export const LEVEL_TOLERANCE = CROSSING_CLEARANCE / 2;
+
+/**
+ * TrackLayout - Pure geometry of a track (no THREE.js, no DOM)
+ * Generates the skeleton from a seed and generator options, or loads it from a track definition (see TrackDefinition),
+ * and answers the geometric queries needed by the simulation (closest centerline point, walls, start grid).
+ * Runs identically in the browser (wrapped by Track for rendering) and on the server.
+ */
+export class TrackLayout {
+    /**
+     * @param {number} seed - Seed of the generated track
+     * @param {Object} definition - Normalized track definition to load instead (see TrackLayout.fromDefinition)
+     * @param {Object} generator - Options of the generated track { style, length, ... } (see TrackGenerator)
+     */
+    constructor(seed = SeededRandom.randomSeed(), definition = null, generator = null) {
+        // A definition is identified by the hash of its geometry, used as its seed
+        this.seed = definition ? hashTrackDefinition(definition) : seed >>> 0;
+        this.random = new SeededRandom(this.seed);
+        this.meta = definition ? { ...definition.meta } : {};
+        this.generator = definition ? null : normalizeGeneratorOptions(generator || {});
+        
+        this.trackWidth = definition ? definition.width : 12; // Default width of the racing track
+        this.points = []; // Centerline points { x, y, z, width, surface }
+        this.closed = definition ? definition.closed !== false : true; // false: open track, from the first point to the last one
+        this.startIndex = 0; // Start line: the finish line of a loop, past the starting grid of an open track
+        this.pointsPerSegment = 4; // Skeleton points per track segment (see Track._createSegments)
+        
+        // Gates for lap validation: checkpoints in order, then the finish line
+        this.checkpointIndices = definition ? [...definition.checkpoints] : null; // null = evenly spaced
+        this.numCheckpoints = definition ? definition.checkpoints.length : 4; // Number of validation checkpoints (excluding finish line)
+        this.checkpoints = [];
+        this.finishLine = null;
+        
+        // Lookup grid for the per-frame queries, built once the points are known (see _buildIndex)
+        this.grid = null; // Polyline segments by area
+        this.gridReach = 0; // Every polyline segment closer than this to a position is in the grid cell under it
+        
+        if (definition) {
+            this.points = definition.points.map(point => ({ ...point }));
+        } else {
+            this._generateSkeleton();
+        }
+        this.startIndex = this._findStartIndex();
+        this._createGates();
+        this._buildIndex();
+    }
+
+    /**
+     * Build a layout from a track definition
+     * @param {Object} definition - Definition checked by parseTrackDefinition
+     */
+    static fromDefinition(definition) {
+        return new TrackLayout(0, definition);
+    }
+
+    /**
+     * Describe this track as a definition (JSON file format, see TrackDefinition)
+     * @param {Object} meta - Metadata to store with it { name, author, description }
+     */
+    toDefinition(meta = {}) {
+        const round = (value) => Math.round(value * 100) / 100;
+        return {
+            format: TRACK_FORMAT,
+            version: TRACK_FORMAT_VERSION,
+            meta: { ...this.meta, createdAt: new Date().toISOString(), ...meta },
+            width: this.trackWidth,
+            closed: this.closed,
+            points: this.points.map(point => ({
+                x: round(point.x),
+                y: round(point.y),
+                z: round(point.z),
+                width: point.width,
+                surface: point.surface
+            })),
+            checkpoints: this._checkpointIndices()
+        };
+    }
+
+    /**
+     * Number of track segments (the last one may hold fewer points)
+     */
+    getSegmentCount() {
+        return Math.ceil(this.points.length / this.pointsPerSegment);
+    }
+
+    /**
+     * Number of skeleton points of a segment
+     */
+    getSegmentSize(segmentId) {
+        return Math.min(this.pointsPerSegment, this.points.length - segmentId * this.pointsPerSegment);
+    }
+
+    /**
+     * Number of polyline segments of the centerline: an open track has no segment back to its first point
+     */
+    getSpanCount() {
+        return this.closed ? this.points.length : this.points.length - 1;
+    }
+
+    /**
+     * Track width at a position along the skeleton (point index, fractional between two points)
+     */
+    getWidthAt(position) {
+        const count = this.points.length;
+        if (!this.closed) {
+            position = Math.max(0, Math.min(count - 1, position));
+        }
+        const index = Math.floor(position);
+        const t = position - index;
+        const a = this.points[((index % count) + count) % count];
+        const b = this.points[(((index + 1) % count) + count) % count];
+        return a.width + (b.width - a.width) * t;
+    }
+
+    /**
+     * Generate the skeleton path for the track from the seed and the generator options (see TrackGenerator)
+     */
+    _generateSkeleton() {
+        this.random.reset(); // Always start from the seed so regeneration is reproducible
+        
+        const { points, checkpoints, closed } = generateTrack(this.random, this.generator, {
+            trackWidth: this.trackWidth,
+            checkpointCount: this.numCheckpoints
+        });
+        this.points = points.map(point => ({ ...point, width: this.trackWidth, surface: 'asphalt' }));
+        this.checkpointIndices = checkpoints;
+        this.closed = closed;
+    }
+
+    /**
+     * Start line of an open track: the first point GRID_LENGTH units down the road,
+     * so the starting grid stands behind it, but before the first checkpoint
+     */
+    _findStartIndex() {
+        if (this.closed || this.points.length < 2) {
+            return 0;
+        }
+        const last = Math.min(this.points.length - 2, ...this._checkpointIndices().map(i => i - 1));
+        let distance = 0;
+        let index = 0;
+        while (index < last && distance < GRID_LENGTH) {
+            const a = this.points[index];
+            const b = this.points[index + 1];
+            distance += Math.hypot(b.x - a.x, b.z - a.z);
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * Create the checkpoint gates and the finish line across the track
+     * Checkpoints are evenly spaced around the track, the finish line is on the first point
+     * (on the last one of an open track)
+     */
+    _createGates() {
+        this.checkpoints = [];
+        this.finishLine = null;
+        
+        if (this.points.length < 2) {
+            return;
+        }
+        
+        this._checkpointIndices().forEach((index, i) => {
+            this.checkpoints.push(this._createGate(i, index));
+        });
+        this.finishLine = this._createGate('finish', this.closed ? 0 : this.points.length - 1);
+    }
+
+    /**
+     * Points holding the checkpoint gates: from the definition, or evenly spaced after the finish line
+     * (between the start and the finish of an open track)
+     */
+    _checkpointIndices() {
+        if (this.checkpointIndices) {
+            return [...this.checkpointIndices];
+        }
+        const first = this.closed ? 0 : this.startIndex;
+        const span = this.closed ? this.points.length : this.points.length - 1 - first;
+        return Array.from({ length: this.numCheckpoints }, (_, i) =>
+            first + Math.floor((i + 1) * span / (this.numCheckpoints + 1))
+        );
+    }
+
+    /**
+     * Gate across the track at a skeleton point, facing the racing direction
+     * @returns {Object} { id, x, y, z, leftX, leftZ, rightX, rightZ, dirX, dirZ }
+     */
+    _createGate(id, index) {
+        const point = this.points[index];
+        // The last point of an open track faces the way the track arrives at it
+        const atEnd = !this.closed && index === this.points.length - 1;
+        const from = atEnd ? this.points[index - 1] : point;
+        const to = atEnd ? point : this.points[(index + 1) % this.points.length];
+        
+        const length = Math.hypot(to.x - from.x, to.z - from.z) || 1;
+        const dirX = (to.x - from.x) / length;
+        const dirZ = (to.z - from.z) / length;
+        const halfWidth = point.width / 2;
+        
+        return {
+            id,
+            x: point.x,
+            y: point.y,
+            z: point.z,
+            leftX: point.x - dirZ * halfWidth,
+            leftZ: point.z + dirX * halfWidth,
+            rightX: point.x + dirZ * halfWidth,
+            rightZ: point.z - dirX * halfWidth,
+            dirX,
+            dirZ
+        };
+    }
+
+    /**
+     * Check if a move crosses a gate in the racing direction
+     * The crossing is checked in 2D, on the level of the gate when the altitude is known
+     * (not under or over it where the track passes over itself)
+     * @param {Object} gate - One of this.checkpoints or this.finishLine
+     * @param {Object} from - { x, z } position before the move
+     * @param {Object} to - { x, y, z } position after the move (y optional)
+     */
+    crossesGate(gate, from, to) {
+        if (!gate) return false;
+        if (typeof to.y === 'number' && Math.abs(to.y - gate.y) >= LEVEL_TOLERANCE) return false;
+        
+        const forward = (to.x - from.x) * gate.dirX + (to.z - from.z) * gate.dirZ;
+        if (forward <= 0) return false;
+        
+        return segmentsCross2D(
+            from.x, from.z, to.x, to.z,
+            gate.leftX, gate.leftZ, gate.rightX, gate.rightZ
+        );
+    }
+
+    /**
+     * Build the lookup grid of the centerline: each polyline segment is registered wherever it is
+     * within gridReach, so closestPoint only reads the cell under the position instead of the whole track
+     */
+    _buildIndex() {
+        const count = this.points.length;
+        const spans = this.getSpanCount();
+        this.gridReach = Math.max(this.trackWidth, ...this.points.map(p => p.width)) + OVERLAP_MARGIN;
+        this.grid = new SpatialGrid(this.gridReach);
+        
+        const reach = this.gridReach;
+        for (let i = 0; i < spans; i++) {
+            const p1 = this.points[i];
+            const p2 = this.points[(i + 1) % count];
+            this.grid.insert(i,
+                Math.min(p1.x, p2.x) - reach, Math.min(p1.z, p2.z) - reach,
+                Math.max(p1.x, p2.x) + reach, Math.max(p1.z, p2.z) + reach
+            );
+        }
+    }
+
+    /**
+     * Find the closest point of the centerline (2D distance)
+     * Only the polyline segments registered in the grid cell under the position are checked,
+     * the whole track only when the position is further than gridReach from it.
+     * Where the track passes over itself, several sections lie at the same 2D position:
+     * - given the segment the position was on, only that segment and its neighbors are considered,
+     *   unless the position is more than a track width away from them (moved to another part of the track)
+     * - given the altitude, only the sections of the level nearest to it are considered (see LEVEL_TOLERANCE)
+     * @param {number} y - Altitude of the position, null to ignore the levels
+     * @param {number} segmentId - Segment the position was on (see getSegmentPosition), null to search the whole track
+     * @returns {Object} { index, t, x, y, z, distance, width, surface } - index/t locate the point on the polyline
+     */
+    closestPoint(x, z, y = null, segmentId = null) {
+        const count = this.points.length;
+        const nearby = this.grid ? this.grid.query(x, z) : [];
+        
+        if (segmentId !== null && segmentId >= 0 && segmentId < this.getSegmentCount()) {
+            const first = (segmentId - 1) * this.pointsPerSegment;
+            const span = this.pointsPerSegment * 3;
+            const around = this.closed
+                ? nearby.filter(i => (((i - first) % count) + count) % count < span)
+                : nearby.filter(i => i >= first && i < first + span);
+            const closest = this._closestAmong(x, z, y, around);
+            if (closest.distance <= closest.width) {
+                return closest;
+            }
+        }
+        
+        const closest = this._closestAmong(x, z, y, nearby);
+        if (closest.distance <= this.gridReach) {
+            return closest;
+        }
+        return this._closestAmong(x, z, y, Array.from({ length: this.getSpanCount() }, (_, i) => i)); // Far from the track
+    }
+
+    /**
+     * Closest point among some polyline segments (see closestPoint)
+     * @param {Array} indices - Index of the first point of each polyline segment to check
+     */
+    _closestAmong(x, z, y, indices) {
+        const count = this.points.length;
+        let best = { index: 0, t: 0, x: 0, y: 0, z: 0, distance: Infinity, width: this.trackWidth, surface: 'asphalt' };
+        const covering = []; // Candidates on the track at this 2D position, one level or more
+        
+        for (const i of indices) {
+            const p1 = this.points[i];
+            const p2 = this.points[(i + 1) % count];
+            
+            // Project point onto line segment
+            const dx = p2.x - p1.x;
+            const dz = p2.z - p1.z;
+            const lengthSq = dx * dx + dz * dz;
+            if (lengthSq === 0) continue;
+            
+            const t = Math.max(0, Math.min(1, ((x - p1.x) * dx + (z - p1.z) * dz) / lengthSq));
+            const px = p1.x + dx * t;
+            const pz = p1.z + dz * t;
+            const distance = Math.hypot(x - px, z - pz);
+            const width = p1.width + (p2.width - p1.width) * t;
+            const covers = y !== null && distance <= width / 2 + OVERLAP_MARGIN;
+            
+            if (distance < best.distance || covers) {
+                const candidate = {
+                    index: i,
+                    t,
+                    x: px,
+                    y: p1.y + (p2.y - p1.y) * t,
+                    z: pz,
+                    distance,
+                    width,
+                    surface: p1.surface
+                };
+                if (distance < best.distance) best = candidate;
+                if (covers) covering.push(candidate);
+            }
+        }
+        
+        if (covering.length < 2) {
+            return best;
+        }
+        
+        // Closest candidate on the level of the position
+        const level = Math.min(...covering.map(candidate => Math.abs(candidate.y - y)));
+        return covering
+            .filter(candidate => Math.abs(candidate.y - y) <= level + LEVEL_TOLERANCE)
+            .reduce((closest, candidate) => candidate.distance < closest.distance ? candidate : closest);
+    }
+
+    /**
+     * Locate a position on the track segments used by the client
+     * Segment curves start one point before their first skeleton point, so skeleton point k
+     * of a segment sits at t = (k + 1) / (segment size + 1) on that segment's curve
+     * @param {number} y - Altitude of the position, to pick the right level where the track overlaps (optional)
+     * @param {number} currentSegmentId - Segment the position was on, to stay on it where the track overlaps (optional)
+     * @returns {Object} { segmentId, segmentT }
+     */
+    getSegmentPosition(x, z, y = null, currentSegmentId = null) {
+        const closest = this.closestPoint(x, z, y, currentSegmentId);
+        const perSegment = this.pointsPerSegment;
+        const segmentId = Math.floor(closest.index / perSegment);
+        return {
+            segmentId,
+            segmentT: ((closest.index % perSegment) + closest.t + 1) / (this.getSegmentSize(segmentId) + 1)
+        };
+    }
+
+    /**
+     * Get the ground type under a position (see TRACK_SURFACES)
+     * @param {number} y - Altitude of the position, to pick the right level where the track overlaps (optional)
+     * @param {number} segmentId - Segment the position was on (optional)
+     * @returns {Object} { grip, drag }
+     */
+    getSurfaceAt(x, z, y = null, segmentId = null) {
+        return TRACK_SURFACES[this.closestPoint(x, z, y, segmentId).surface] || TRACK_SURFACES.asphalt;
+    }
+
+    /**
+     * Check if a position is outside the track boundaries
+     * Only the walls of the section the car is on count where the track passes over itself (see closestPoint)
+     * @param {number} carRadius - Approximate car size
+     * @param {number} y - Altitude of the car (optional)
+     * @param {number} segmentId - Segment the car was on (optional)
+     * @returns {Object|null} { correctionX, correctionZ, penetrationDepth, closestPoint } or null if inside
+     */
+    checkWall(x, z, carRadius = 1.0, y = null, segmentId = null) {
+        if (this.points.length < 2) {
+            return null;
+        }
+        
+        const closest = this.closestPoint(x, z, y, segmentId);
+        const maxDistance = closest.width / 2 - carRadius;
+        
+        if (closest.distance <= maxDistance) {
+            return null; // Inside track
+        }
+        
+        // Correction vector (push toward track center)
+        const length = closest.distance || 1;
+        return {
+            correctionX: (closest.x - x) / length,
+            correctionZ: (closest.z - z) / length,
+            penetrationDepth: closest.distance - maxDistance,
+            closestPoint: closest
+        };
+    }
+
+    /**
+     * Get a spawn position offset from the start
+     * Useful for multiple players at the starting line
+     * @returns {Object} { x, y, z, rotY }
+     */
+    getStartPositionOffset(lateralOffset = 0, longitudinalOffset = 0) {
+        if (this.points.length < 2) {
+            return { x: 0, y: 0.2, z: 0, rotY: 0 };
+        }
+        
+        const start = this.points[this.startIndex];
+        const next = this.points[this.startIndex + 1];
+        
+        // Forward and lateral directions
+        const length = Math.hypot(next.x - start.x, next.y - start.y, next.z - start.z) || 1;
+        const forwardX = (next.x - start.x) / length;
+        const forwardZ = (next.z - start.z) / length;
+        const lateralLength = Math.hypot(forwardX, forwardZ) || 1;
+        const lateralX = -forwardZ / lateralLength;
+        const lateralZ = forwardX / lateralLength;
+        
+        return {
+            x: start.x + lateralX * lateralOffset + forwardX * longitudinalOffset,
+            y: start.y + 0.2, // On the level of the start line
+            z: start.z + lateralZ * lateralOffset + forwardZ * longitudinalOffset,
+            rotY: Math.atan2(forwardX, forwardZ)
+        };
+    }
+
+    /**
+     * Get spawn position on the starting grid
+     * Two cars per row, rows staggered behind the start line
+     * @param {number} slot - Grid slot (0 = pole position)
+     */
+    getGridPosition(slot) {
+        const row = Math.floor(slot / 2);
+        const lateralOffset = slot % 2 === 0 ? -2.5 : 2.5;
+        const longitudinalOffset = -3 - row * 6;
+        
+        return this.getStartPositionOffset(lateralOffset, longitudinalOffset);
+    }
+}
+
+/**
+ * Check if two 2D line segments intersect
+ */
+function segmentsCross2D(x1, z1, x2, z2, x3, z3, x4, z4) {
+    const denom = (x1 - x2) * (z3 - z4) - (z1 - z2) * (x3 - x4);
+    
+    if (Math.abs(denom) < 0.0001) {
+        return false; // Parallel or coincident
+    }
+    
+    const t = ((x1 - x3) * (z3 - z4) - (z1 - z3) * (x3 - x4)) / denom;
+    const u = -((x1 - x2) * (z1 - z3) - (z1 - z2) * (x1 - x3)) / denom;
+    
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+}
@@ -1,3 +1,12 @@
+import { RacePhase } from '../shared/RacePhase.js';
+
+// Names of the ground types in the track editor (see TRACK_SURFACES)
+const SURFACE_LABELS = {
+    asphalt: 'Asphalte',
+    dirt: 'Terre',
+    ice: 'Glace'
+};
+
 /**
  * UIManager - Manages all UI elements (HUD, notifications, messages)
  */
@@ -11,6 +20,14 @@ export class UIManager {
         this.minimapCtx = null;
         this.trackBounds = null;
         this.trackSkeletonPoints = null;
+        this.trackClosed = true; // false: open track, drawn without closing it, the finish at its end
+        this.trackAnalysis = null; // Racing line and corners drawn on the minimap
+        this.countdownInterval = null;
+        this.networkPanel = null;
+        this.opponentSettings = null; // { count, difficulty, difficulties, onChange } for offline races
+        this.trackChoice = null; // { tracks, selected, onChange } tracks offered to the host
+        this.generatorSettings = null; // { options, styles, parameters, onChange } generated tracks offered to the host
+        this.trackEditorPanel = null; // Created when the editor is first opened
         this._createHUD();
     }
 
@@ -31,6 +48,10 @@ export class UIManager {
                     </div>
                 </div>
             </div>
+            <div class="row">
+                <div>Salle</div>
+                <div id="hud-room" style="font-weight: bold; letter-spacing: 2px;">-</div>
+            </div>
             <div class="row">
                 <div>Tour</div>
                 <div id="hud-lap" style="color: #00ff00; font-weight: bold; font-size: 18px;">0</div>
@@ -47,6 +68,7 @@ export class UIManager {
         this.hudElements.boostFill = document.getElementById('hud-boost-fill');
         this.hudElements.particles = document.getElementById('hud-particles');
         this.hudElements.lap = document.getElementById('hud-lap');
+        this.hudElements.room = document.getElementById('hud-room');
 
         // Create now playing notification
         this._createNowPlaying();
@@ -89,6 +111,9 @@ export class UIManager {
 
         // Create minimap
         this._createMinimap();
+
+        // Create network diagnostics (hidden until toggled)
+        this._createNetworkPanel();
     }
 
     /**
@@ -106,6 +131,30 @@ export class UIManager {
         this.hudElements.speedometerValue = document.getElementById('speedometer-value');
     }
 
+    /**
+     * Create network diagnostics panel
+     */
+    _createNetworkPanel() {
+        this.networkPanel = document.createElement('div');
+        this.networkPanel.className = 'network-panel';
+        this.networkPanel.style.display = 'none';
+        this.networkPanel.innerHTML = `
+            <div class="network-panel-title">📡 RÉSEAU</div>
+            <div class="row"><div>Ping</div><div id="net-rtt">-</div></div>
+            <div class="row"><div>Gigue</div><div id="net-jitter">-</div></div>
+            <div class="row"><div>Envoi</div><div id="net-send">-</div></div>
+            <div class="row"><div>Réception</div><div id="net-receive">-</div></div>
+            <div class="row"><div>Perdus</div><div id="net-dropped">-</div></div>
+        `;
+        document.body.appendChild(this.networkPanel);
+
+        this.hudElements.netRtt = document.getElementById('net-rtt');
+        this.hudElements.netJitter = document.getElementById('net-jitter');
+        this.hudElements.netSend = document.getElementById('net-send');
+        this.hudElements.netReceive = document.getElementById('net-receive');
+        this.hudElements.netDropped = document.getElementById('net-dropped');
+    }
+
     /**
      * Update lives display
      */
@@ -150,10 +199,21 @@ export class UIManager {
 
     /**
      * Update current lap display
+     * @param {number} currentLap - Laps completed
+     * @param {number} lapCount - Laps needed to finish the race
      */
-    updateLap(currentLap) {
+    updateLap(currentLap, lapCount) {
         if (this.hudElements.lap) {
-            this.hudElements.lap.textContent = currentLap;
+            this.hudElements.lap.textContent = lapCount ? `${currentLap} / ${lapCount}` : currentLap;
+        }
+    }
+
+    /**
+     * Update room code display
+     */
+    updateRoomCode(code) {
+        if (this.hudElements.room) {
+            this.hudElements.room.textContent = code || '-';
         }
     }
 
@@ -167,34 +227,45 @@ export class UIManager {
         // Sort players by lap count (descending)
         const sortedPlayers = [...players].sort((a, b) => b.laps - a.laps);
 
-        let html = '';
-        sortedPlayers.forEach((player, index) => {
+        // Player names come from other clients: set as text, never as HTML
+        const rows = sortedPlayers.map((player, index) => {
             const position = index + 1;
             const medal = position === 1 ? '🥇' : position === 2 ? '🥈' : position === 3 ? '🥉' : `${position}.`;
-            const highlight = player.isLocal ? 'leaderboard-highlight' : '';
-            const name = player.name || `Joueur ${player.id.substring(0, 4)}`;
-            
-            html += `
-                <div class="leaderboard-entry ${highlight}">
-                    <span class="leaderboard-position">${medal}</span>
-                    <span class="leaderboard-name">${name}${player.isLocal ? ' (Vous)' : ''}</span>
-                    <span class="leaderboard-laps">${player.laps} ${player.laps > 1 ? 'tours' : 'tour'}</span>
-                </div>
-            `;
+            const name = player.name || `Joueur ${player.id}`;
+            const row = document.createElement('div');
+            row.className = player.isLocal ? 'leaderboard-entry leaderboard-highlight' : 'leaderboard-entry';
+            [
+                ['leaderboard-position', medal],
+                ['leaderboard-name', `${name}${player.isLocal ? ' (Vous)' : ''}`],
+                ['leaderboard-laps', `${player.laps} ${player.laps > 1 ? 'tours' : 'tour'}`]
+            ].forEach(([cellClass, text]) => {
+                const cell = document.createElement('span');
+                cell.className = cellClass;
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            return row;
         });
 
-        this.hudElements.leaderboardContent.innerHTML = html || '<div style="opacity: 0.5;">Aucun joueur</div>';
+        if (rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.style.opacity = '0.5';
+            empty.textContent = 'Aucun joueur';
+            rows.push(empty);
+        }
+        this.hudElements.leaderboardContent.replaceChildren(...rows);
     }
 
     /**
      * Show lap completion notification
      */
-    showLapComplete(lapNumber) {
+    showLapComplete(lapNumber, lapTime = null) {
         const notification = document.createElement('div');
         notification.className = 'lap-complete-notification';
         notification.innerHTML = `
             <div class="notification-icon">🏁</div>
             <div class="notification-text">TOUR ${lapNumber} TERMINÉ!</div>
+            ${lapTime !== null ? `<div class="notification-subtext">${this._formatRaceTime(lapTime)}</div>` : ''}
         `;
         document.body.appendChild(notification);
         
@@ -243,68 +314,115 @@ export class UIManager {
     }
 
     /**
-     * Show victory message
+     * Show race countdown (3, 2, 1...) until the given time
+     * @param {number} endsAt - Local timestamp (ms) when the race starts
      */
-    showVictory() {
-        this._removeGameMessage();
+    showCountdown(endsAt) {
+        this._removeCountdown();
         
-        const victoryDiv = document.createElement('div');
-        victoryDiv.id = 'game-message';
-        victoryDiv.className = 'game-message victory';
-        victoryDiv.innerHTML = `
-            <div class="game-message-icon">🏆</div>
-            <div class="game-message-title">VICTOIRE!</div>
-            <div class="game-message-subtitle">${this.gameState.isHost ? 'Cliquez sur "Nouvelle Partie" pour rejouer' : 'L\'hôte peut lancer une nouvelle partie'}</div>
-        `;
-        document.body.appendChild(victoryDiv);
+        const countdownDiv = document.createElement('div');
+        countdownDiv.id = 'countdown';
+        countdownDiv.className = 'countdown';
+        document.body.appendChild(countdownDiv);
         
-        setTimeout(() => victoryDiv.classList.add('show'), 10);
+        const tick = () => {
+            const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+            countdownDiv.textContent = Math.max(1, remaining);
+        };
+        tick();
+        this.countdownInterval = setInterval(tick, 100);
     }
 
     /**
-     * Show defeat message
+     * Show the "GO!" signal when the race starts
      */
-    showDefeat(winnerId) {
-        this._removeGameMessage();
+    showGo() {
+        this._removeCountdown();
         
-        const defeatDiv = document.createElement('div');
-        defeatDiv.id = 'game-message';
-        defeatDiv.className = 'game-message defeat';
-        defeatDiv.innerHTML = `
-            <div class="game-message-icon">💀</div>
-            <div class="game-message-title">DÉFAITE</div>
-            <div class="game-message-subtitle">Joueur ${winnerId} a gagné!</div>
-            <div class="game-message-info">${this.gameState.isHost ? 'Cliquez sur "Nouvelle Partie" pour rejouer' : 'L\'hôte peut lancer une nouvelle partie'}</div>
-        `;
-        document.body.appendChild(defeatDiv);
+        const goDiv = document.createElement('div');
+        goDiv.id = 'countdown';
+        goDiv.className = 'countdown go';
+        goDiv.textContent = 'GO!';
+        document.body.appendChild(goDiv);
         
-        setTimeout(() => defeatDiv.classList.add('show'), 10);
+        setTimeout(() => {
+            if (goDiv.parentNode) goDiv.remove();
+        }, 1000);
     }
 
     /**
-     * Show draw message
+     * Show final race standings
+     * @param {Array} standings - Array of {id, position, laps, finished, finishTime}
+     * @param {number} localId - Local player id (highlighted)
      */
-    showDraw() {
+    showResults(standings, localId) {
         this._removeGameMessage();
+        this._removeCountdown();
+        
+        const local = standings.find(entry => entry.id === localId);
+        const won = local && local.position === 1 && local.finished;
         
-        const drawDiv = document.createElement('div');
-        drawDiv.id = 'game-message';
-        drawDiv.className = 'game-message draw';
-        drawDiv.innerHTML = `
-            <div class="game-message-icon">🤝</div>
-            <div class="game-message-title">ÉGALITÉ!</div>
-            <div class="game-message-subtitle">Tous les joueurs sont tombés!</div>
-            <div class="game-message-info">${this.gameState.isHost ? 'Cliquez sur "Nouvelle Partie" pour rejouer' : 'L\'hôte peut lancer une nouvelle partie'}</div>
+        let title = 'COURSE TERMINÉE';
+        let className = 'draw';
+        let icon = '🏁';
+        if (won) {
+            title = 'VICTOIRE!';
+            className = 'victory';
+            icon = '🏆';
+        } else if (local) {
+            title = `${local.position}${local.position === 1 ? 'ER' : 'E'} PLACE`;
+            className = 'defeat';
+        }
+        
+        const resultsDiv = document.createElement('div');
+        resultsDiv.id = 'game-message';
+        resultsDiv.className = `game-message ${className}`;
+        resultsDiv.innerHTML = `
+            <div class="game-message-icon">${icon}</div>
+            <div class="game-message-title">${title}</div>
+            <div class="race-results"></div>
+            <div class="game-message-info">Retour au lobby dans quelques secondes</div>
         `;
-        document.body.appendChild(drawDiv);
         
-        setTimeout(() => drawDiv.classList.add('show'), 10);
+        // Player names come from other clients: set as text, never as HTML
+        const results = resultsDiv.querySelector('.race-results');
+        standings.forEach((entry) => {
+            const time = entry.finished ? this._formatRaceTime(entry.finishTime) : `${entry.laps} ${entry.laps > 1 ? 'tours' : 'tour'}`;
+            const row = document.createElement('div');
+            row.className = entry.id === localId ? 'leaderboard-entry leaderboard-highlight' : 'leaderboard-entry';
+            [
+                ['leaderboard-position', `${entry.position}.`],
+                ['leaderboard-name', `${this.gameState.getPlayerName(entry.id)}${entry.id === localId ? ' (Vous)' : ''}`],
+                ['leaderboard-laps', time],
+                ['leaderboard-best', entry.bestLapTime !== null ? `⏱ ${this._formatRaceTime(entry.bestLapTime)}` : '']
+            ].forEach(([cellClass, text]) => {
+                const cell = document.createElement('span');
+                cell.className = cellClass;
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            results.appendChild(row);
+        });
+        
+        document.body.appendChild(resultsDiv);
+        
+        setTimeout(() => resultsDiv.classList.add('show'), 10);
+    }
+
+    /**
+     * Format a race time in ms as m:ss.mmm
+     */
+    _formatRaceTime(ms) {
+        const minutes = Math.floor(ms / 60000);
+        const seconds = Math.floor((ms % 60000) / 1000);
+        const millis = Math.floor(ms % 1000);
+        return `${minutes}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
     }
 
     /**
      * Show host controls
      */
-    showHostControls(onStartGame, onResetGame) {
+    showHostControls(onStartGame, onResetGame, onReturnToLobby) {
         let controls = document.getElementById('host-controls');
         
         if (!controls) {
@@ -326,9 +444,13 @@ export class UIManager {
             document.body.appendChild(controls);
         }
         
-        if (!this.gameState.isGameActive) {
+        const raceRunning = this.gameState.phase === RacePhase.COUNTDOWN || this.gameState.phase === RacePhase.RACING;
+        if (!raceRunning) {
             controls.innerHTML = `
                 🎮 <span style="color: #00ff00;">VOUS ÊTES L'HÔTE</span><br>
+                ${this._trackChoiceHTML()}
+                ${this._generatorSettingsHTML()}
+                ${this._opponentSettingsHTML()}
                 <button id="start-game-btn" class="host-btn primary">
                     🚀 DÉMARRER LA PARTIE
                 </button>
@@ -338,6 +460,9 @@ export class UIManager {
             if (startBtn && onStartGame) {
                 startBtn.addEventListener('click', onStartGame);
             }
+            this._bindTrackChoice();
+            this._bindGeneratorSettings();
+            this._bindOpponentSettings();
         } else {
             controls.innerHTML = `
                 🎮 <span style="color: #00ff00;">VOUS ÊTES L'HÔTE</span><br>
@@ -345,6 +470,9 @@ export class UIManager {
                     <button id="reset-game-btn" class="host-btn warning">
                         🔄 RÉINITIALISER
                     </button>
+                    <button id="lobby-btn" class="host-btn warning">
+                        🏠 LOBBY
+                    </button>
                 </div>
             `;
             
@@ -352,18 +480,171 @@ export class UIManager {
             if (resetBtn && onResetGame) {
                 resetBtn.addEventListener('click', onResetGame);
             }
+            
+            const lobbyBtn = document.getElementById('lobby-btn');
+            if (lobbyBtn && onReturnToLobby) {
+                lobbyBtn.addEventListener('click', onReturnToLobby);
+            }
         }
     }
 
+    /**
+     * Offer the choice of AI opponents in the lobby's host controls
+     * @param {Object} settings - { count, difficulty, difficulties: { key: { label } } }
+     * @param {Function} onChange - Called with (count, difficulty) when the host changes them
+     */
+    setOpponentSettings(settings, onChange) {
+        this.opponentSettings = { ...settings, onChange };
+    }
+
+    /**
+     * Offer the settings of the generated tracks in the lobby's host controls
+     * @param {Object} settings - Generator options { style, length, ... }, with the
+     *   styles { key: { label, defaults } } and parameters { key: { min, max, step, label } } to offer
+     * @param {Function} onChange - Called with the generator options when the host changes them
+     */
+    setGeneratorSettings(settings, onChange) {
+        const { styles, parameters, ...options } = settings;
+        this.generatorSettings = { options, styles, parameters, onChange };
+    }
+
+    /**
+     * Offer the choice of the track in the lobby's host controls
+     * @param {Array} tracks - Track files { id, name }
+     * @param {string} selected - Id of the chosen track, 'random' for a generated one
+     * @param {Function} onChange - Called with the id of the track chosen by the host
+     */
+    setTrackChoices(tracks, selected, onChange) {
+        this.trackChoice = { tracks, selected, onChange };
+    }
+
     /**
      * Update host controls based on game state
      */
-    updateHostControls(onStartGame, onResetGame) {
+    updateHostControls(onStartGame, onResetGame, onReturnToLobby) {
         if (this.gameState.isHost) {
-            this.showHostControls(onStartGame, onResetGame);
+            this.showHostControls(onStartGame, onResetGame, onReturnToLobby);
         }
     }
 
+    /**
+     * Track selector of the lobby's host controls (empty until the track list is loaded)
+     */
+    _trackChoiceHTML() {
+        const choice = this.trackChoice;
+        if (!choice) return '';
+        
+        const options = [{ id: 'random', name: 'Aléatoire' }, ...choice.tracks].map((track) =>
+            `<option value="${track.id}" ${track.id === choice.selected ? 'selected' : ''}>${track.name}</option>`
+        ).join('');
+        
+        return `
+            <div class="lobby-settings">
+                <label>Circuit <select id="track-choice">${options}</select></label>
+            </div>
+        `;
+    }
+
+    _bindTrackChoice() {
+        const select = document.getElementById('track-choice');
+        if (!select) return;
+        
+        select.addEventListener('change', () => {
+            this.trackChoice.selected = select.value;
+            this.trackChoice.onChange(select.value);
+            
+            // Generator settings only apply to generated tracks
+            const generator = document.getElementById('generator-settings');
+            if (generator) generator.style.display = select.value === 'random' ? '' : 'none';
+        });
+    }
+
+    /**
+     * Generated track selectors of the lobby's host controls: style and its parameters
+     * (hidden when a track file is chosen)
+     */
+    _generatorSettingsHTML() {
+        const settings = this.generatorSettings;
+        if (!settings) return '';
+        
+        const { options } = settings;
+        const styles = Object.entries(settings.styles).map(([key, style]) =>
+            `<option value="${key}" ${key === options.style ? 'selected' : ''}>${style.label}</option>`
+        ).join('');
+        const sliders = Object.entries(settings.parameters).map(([name, range]) => `
+            <label>${range.label}
+                <input type="range" data-parameter="${name}" min="${range.min}" max="${range.max}" step="${range.step}" value="${options[name]}">
+            </label>
+        `).join('');
+        const hidden = this.trackChoice && this.trackChoice.selected !== 'random';
+        
+        return `
+            <div id="generator-settings" class="lobby-settings generator-settings" style="${hidden ? 'display: none;' : ''}">
+                <label>Style <select id="generator-style">${styles}</select></label>
+                ${sliders}
+            </div>
+        `;
+    }
+
+    _bindGeneratorSettings() {
+        const style = document.getElementById('generator-style');
+        if (!style) return;
+        const sliders = document.querySelectorAll('#generator-settings input[data-parameter]');
+        
+        const onChange = () => {
+            this.generatorSettings.options = { style: style.value };
+            sliders.forEach((slider) => {
+                this.generatorSettings.options[slider.dataset.parameter] = Number(slider.value);
+            });
+            this.generatorSettings.onChange({ ...this.generatorSettings.options });
+        };
+        // A new style starts from its own defaults
+        style.addEventListener('change', () => {
+            const defaults = this.generatorSettings.styles[style.value].defaults;
+            sliders.forEach((slider) => {
+                slider.value = defaults[slider.dataset.parameter];
+            });
+            onChange();
+        });
+        sliders.forEach(slider => slider.addEventListener('change', onChange));
+    }
+
+    /**
+     * Opponent selectors of the lobby's host controls (empty without AI opponents)
+     */
+    _opponentSettingsHTML() {
+        const settings = this.opponentSettings;
+        if (!settings) return '';
+        
+        const counts = Array.from({ length: 8 }, (_, count) =>
+            `<option value="${count}" ${count === settings.count ? 'selected' : ''}>${count}</option>`
+        ).join('');
+        const levels = Object.entries(settings.difficulties).map(([key, level]) =>
+            `<option value="${key}" ${key === settings.difficulty ? 'selected' : ''}>${level.label}</option>`
+        ).join('');
+        
+        return `
+            <div class="lobby-settings">
+                <label>IA <select id="opponent-count">${counts}</select></label>
+                <label>Niveau <select id="opponent-difficulty">${levels}</select></label>
+            </div>
+        `;
+    }
+
+    _bindOpponentSettings() {
+        const count = document.getElementById('opponent-count');
+        const difficulty = document.getElementById('opponent-difficulty');
+        if (!count || !difficulty) return;
+        
+        const onChange = () => {
+            this.opponentSettings.count = Number(count.value);
+            this.opponentSettings.difficulty = difficulty.value;
+            this.opponentSettings.onChange(this.opponentSettings.count, this.opponentSettings.difficulty);
+        };
+        count.addEventListener('change', onChange);
+        difficulty.addEventListener('change', onChange);
+    }
+
     /**
      * Remove game over message
      */
@@ -372,6 +653,176 @@ export class UIManager {
         if (existing) existing.remove();
     }
 
+    /**
+     * Remove countdown overlay
+     */
+    _removeCountdown() {
+        if (this.countdownInterval) {
+            clearInterval(this.countdownInterval);
+            this.countdownInterval = null;
+        }
+        const existing = document.getElementById('countdown');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Show the connection lost banner while reconnecting
+     * @param {number} attempt - Reconnection attempt number
+     */
+    showReconnecting(attempt) {
+        let banner = document.getElementById('reconnect-message');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'reconnect-message';
+            banner.className = 'reconnect-banner';
+            document.body.appendChild(banner);
+        }
+        banner.textContent = `Connexion perdue, reconnexion... (tentative ${attempt})`;
+    }
+
+    /**
+     * Remove the reconnection banner
+     */
+    hideReconnecting() {
+        const banner = document.getElementById('reconnect-message');
+        if (banner) banner.remove();
+    }
+
+    /**
+     * Show or hide the network diagnostics panel
+     * @returns {boolean} true if the panel is now visible
+     */
+    toggleNetworkPanel() {
+        const visible = this.networkPanel.style.display === 'none';
+        this.networkPanel.style.display = visible ? 'block' : 'none';
+        return visible;
+    }
+
+    /**
+     * Update network diagnostics (only while the panel is visible)
+     * @param {Object} stats - See NetworkClient.getStats
+     */
+    updateNetworkStats(stats) {
+        if (this.networkPanel.style.display === 'none') return;
+
+        const rate = (messages, bytes) => `${messages.toFixed(0)} msg/s · ${(bytes / 1024).toFixed(1)} Ko/s`;
+        this.hudElements.netRtt.textContent = stats.rtt === null ? '-' : `${Math.round(stats.rtt)} ms`;
+        this.hudElements.netJitter.textContent = `${Math.round(stats.jitter)} ms`;
+        this.hudElements.netSend.textContent = rate(stats.sendRate, stats.bytesSentRate);
+        this.hudElements.netReceive.textContent = rate(stats.receiveRate, stats.bytesReceivedRate);
+        this.hudElements.netDropped.textContent = `${stats.droppedSent} envoi · ${stats.droppedReceived} réception`;
+    }
+
+    /**
+     * Show the track editor panel
+     * @param {Object} handlers - {
+     *   onAction(action): 'add', 'remove', 'checkpoint', 'start', 'save' or 'close',
+     *   onPointChange(field, value): 'y', 'width' or 'surface' of the selected point,
+     *   onNameChange(name), onOpenFile(file)
+     * }
+     */
+    showTrackEditor(handlers) {
+        if (!this.trackEditorPanel) {
+            this._createTrackEditorPanel();
+        }
+        this.trackEditorHandlers = handlers;
+        this.trackEditorPanel.style.display = 'block';
+    }
+
+    hideTrackEditor() {
+        if (this.trackEditorPanel) {
+            this.trackEditorPanel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show the selected point and the last message of the editor
+     * @param {Object} state - See TrackEditor.getState, message overridden by Game for file errors
+     */
+    updateTrackEditor(state) {
+        if (!this.trackEditorPanel) return;
+
+        const tags = [state.isStart && 'départ', state.isCheckpoint && 'checkpoint'].filter(Boolean);
+        this.hudElements.editorPoint.textContent = `${state.index + 1} / ${state.count}${tags.length ? ` (${tags.join(', ')})` : ''}`;
+        
+        // Keep what the player is typing
+        const set = (input, value) => {
+            if (document.activeElement !== input) input.value = value;
+        };
+        set(this.hudElements.editorName, state.name);
+        set(this.hudElements.editorAltitude, state.point.y);
+        set(this.hudElements.editorWidth, state.point.width);
+        this.hudElements.editorSurface.value = state.point.surface;
+        
+        this.hudElements.editorMessage.textContent = state.message || `${state.checkpoints} checkpoint${state.checkpoints > 1 ? 's' : ''}`;
+    }
+
+    /**
+     * Create the track editor panel (hidden until shown)
+     */
+    _createTrackEditorPanel() {
+        const surfaces = Object.entries(SURFACE_LABELS).map(([key, label]) =>
+            `<option value="${key}">${label}</option>`
+        ).join('');
+        
+        this.trackEditorPanel = document.createElement('div');
+        this.trackEditorPanel.className = 'track-editor';
+        this.trackEditorPanel.innerHTML = `
+            <div class="track-editor-title">✏️ ÉDITEUR DE CIRCUIT</div>
+            <label class="row">Nom <input id="editor-name" type="text" maxlength="60"></label>
+            <div class="row"><div>Point</div><div id="editor-point">-</div></div>
+            <label class="row">Altitude <input id="editor-altitude" type="number" step="0.5"></label>
+            <label class="row">Largeur <input id="editor-width" type="number" min="6" max="40" step="1"></label>
+            <label class="row">Revêtement <select id="editor-surface">${surfaces}</select></label>
+            <div class="track-editor-buttons">
+                <button data-action="add">➕ Point</button>
+                <button data-action="remove">🗑️ Point</button>
+                <button data-action="checkpoint">🚩 Checkpoint</button>
+                <button data-action="start">🏁 Départ ici</button>
+                <button data-action="open">📂 Ouvrir</button>
+                <button data-action="save">💾 Enregistrer</button>
+                <button data-action="close">✖ Quitter</button>
+            </div>
+            <input id="editor-file" type="file" accept=".json,application/json" hidden>
+            <div id="editor-message" class="track-editor-message"></div>
+            <div class="track-editor-help">
+                Glisser un point : le déplacer · Glisser le sol : défiler · Molette : zoom<br>
+                ←/→ : point suivant · Inser / Suppr : ajouter / supprimer<br>
+                PgPréc / PgSuiv : altitude · + / - : largeur · C : checkpoint · F2 : quitter
+            </div>
+        `;
+        document.body.appendChild(this.trackEditorPanel);
+        
+        this.hudElements.editorName = document.getElementById('editor-name');
+        this.hudElements.editorPoint = document.getElementById('editor-point');
+        this.hudElements.editorAltitude = document.getElementById('editor-altitude');
+        this.hudElements.editorWidth = document.getElementById('editor-width');
+        this.hudElements.editorSurface = document.getElementById('editor-surface');
+        this.hudElements.editorMessage = document.getElementById('editor-message');
+        const fileInput = document.getElementById('editor-file');
+        
+        this.trackEditorPanel.querySelectorAll('button[data-action]').forEach((button) => {
+            button.addEventListener('click', () => {
+                if (button.dataset.action === 'open') {
+                    fileInput.click();
+                } else {
+                    this.trackEditorHandlers.onAction(button.dataset.action);
+                }
+            });
+        });
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.trackEditorHandlers.onOpenFile(fileInput.files[0]);
+            }
+            fileInput.value = ''; // Opening the same file again still fires change
+        });
+        
+        this.hudElements.editorName.addEventListener('change', (e) => this.trackEditorHandlers.onNameChange(e.target.value));
+        this.hudElements.editorAltitude.addEventListener('change', (e) => this.trackEditorHandlers.onPointChange('y', e.target.value));
+        this.hudElements.editorWidth.addEventListener('change', (e) => this.trackEditorHandlers.onPointChange('width', e.target.value));
+        this.hudElements.editorSurface.addEventListener('change', (e) => this.trackEditorHandlers.onPointChange('surface', e.target.value));
+    }
+
     /**
      * Remove spectator message
      */
@@ -385,6 +836,7 @@ export class UIManager {
      */
     clearMessages() {
         this._removeGameMessage();
+        this._removeCountdown();
         this.removeSpectatorMessage();
     }
 
@@ -427,8 +879,10 @@ export class UIManager {
     /**
      * Initialize minimap with track data
      * @param {Array} skeletonPoints - Array of THREE.Vector3 points defining the track centerline
+     * @param {TrackAnalysis} analysis - Racing line, corners and difficulty of the track (optional)
+     * @param {boolean} closed - The track is a loop (see TrackLayout.closed)
      */
-    initMinimap(skeletonPoints) {
+    initMinimap(skeletonPoints, analysis = null, closed = true) {
         if (!skeletonPoints || skeletonPoints.length === 0) return;
 
         // Calculate track bounds
@@ -453,6 +907,8 @@ export class UIManager {
         
         // Store skeleton points for later drawing
         this.trackSkeletonPoints = skeletonPoints;
+        this.trackClosed = closed;
+        this.trackAnalysis = analysis;
 
         // Draw track on minimap
         this._drawTrack(skeletonPoints);
@@ -494,22 +950,25 @@ export class UIManager {
 
         // Close the loop
         const firstPoint = skeletonPoints[0];
-        ctx.lineTo(
-            this._worldToMinimapX(firstPoint.x),
-            this._worldToMinimapY(firstPoint.z)
-        );
-        
-        ctx.closePath();
-        
-        // Fill the track
-        ctx.fill();
+        if (this.trackClosed) {
+            ctx.lineTo(
+                this._worldToMinimapX(firstPoint.x),
+                this._worldToMinimapY(firstPoint.z)
+            );
+            
+            ctx.closePath();
+            
+            // Fill the track
+            ctx.fill();
+        }
         
         // Stroke the track outline
         ctx.stroke();
 
-        // Draw finish line marker (at first skeleton point)
-        const finishX = this._worldToMinimapX(firstPoint.x);
-        const finishY = this._worldToMinimapY(firstPoint.z);
+        // Draw finish line marker (at first skeleton point, at the last one of an open track)
+        const finishPoint = this.trackClosed ? firstPoint : skeletonPoints[skeletonPoints.length - 1];
+        const finishX = this._worldToMinimapX(finishPoint.x);
+        const finishY = this._worldToMinimapY(finishPoint.z);
         
         // Finish line glow
         ctx.shadowColor = 'rgba(0, 255, 0, 0.8)';
@@ -528,6 +987,50 @@ export class UIManager {
         
         // Reset shadow
         ctx.shadowBlur = 0;
+        
+        this._drawTrackAnalysis(ctx);
+    }
+
+    /**
+     * Draw the racing line, the corner numbers and the difficulty on the minimap
+     */
+    _drawTrackAnalysis(ctx) {
+        const analysis = this.trackAnalysis;
+        if (!analysis) return;
+        
+        // Racing line
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        analysis.line.forEach((point, index) => {
+            const x = this._worldToMinimapX(point.x);
+            const y = this._worldToMinimapY(point.z);
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        if (this.trackClosed) {
+            ctx.closePath();
+        }
+        ctx.stroke();
+        
+        // Corner numbers at the apexes
+        ctx.font = 'bold 9px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffff00';
+        analysis.corners.forEach((corner) => {
+            const apex = analysis.samples[corner.apex];
+            ctx.fillText(corner.number, this._worldToMinimapX(apex.x), this._worldToMinimapY(apex.z));
+        });
+        
+        // Difficulty score
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`Difficulté ${analysis.difficulty}/10`, 4, 4);
     }
 
     /**
@@ -569,22 +1072,25 @@ export class UIManager {
 
             // Close the loop
             const firstPoint = this.trackSkeletonPoints[0];
-            ctx.lineTo(
-                this._worldToMinimapX(firstPoint.x),
-                this._worldToMinimapY(firstPoint.z)
-            );
-            
-            ctx.closePath();
-            
-            // Fill the track
-            ctx.fill();
+            if (this.trackClosed) {
+                ctx.lineTo(
+                    this._worldToMinimapX(firstPoint.x),
+                    this._worldToMinimapY(firstPoint.z)
+                );
+                
+                ctx.closePath();
+                
+                // Fill the track
+                ctx.fill();
+            }
             
             // Stroke the track outline
             ctx.stroke();
 
-            // Draw finish line marker (at first skeleton point)
-            const finishX = this._worldToMinimapX(firstPoint.x);
-            const finishY = this._worldToMinimapY(firstPoint.z);
+            // Draw finish line marker (at first skeleton point, at the last one of an open track)
+            const finishPoint = this.trackClosed ? firstPoint : this.trackSkeletonPoints[this.trackSkeletonPoints.length - 1];
+            const finishX = this._worldToMinimapX(finishPoint.x);
+            const finishY = this._worldToMinimapY(finishPoint.z);
             
             // Finish line glow
             ctx.shadowColor = 'rgba(0, 255, 0, 0.8)';
@@ -603,6 +1109,8 @@ export class UIManager {
             
             // Reset shadow
             ctx.shadowBlur = 0;
+            
+            this._drawTrackAnalysis(ctx);
         }
 
         // Draw players
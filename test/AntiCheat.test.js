@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ANTI_CHEAT, checkStep, createPlayerWatch, keepOnTrack, recordFlag, spendInputTime } from '../server/AntiCheat.js';
+import { CAR_PHYSICS, createCarState, stepCar } from '../src/shared/CarPhysics.js';
+import { TrackLayout } from '../src/shared/TrackLayout.js';
+
+const layout = new TrackLayout(1234);
+
+function frames(count, dt) {
+    return Array.from({ length: count }, (_, i) => ({ seq: i, dt, throttle: 1, steer: 0 }));
+}
+
+function gridCar() {
+    return { ...createCarState(), ...layout.getGridPosition(0) };
+}
+
+test('input time is limited to the real time elapsed', () => {
+    const watch = createPlayerWatch(0);
+
+    // The first batch may run ahead by maxInputAhead
+    const ahead = spendInputTime(watch, frames(19, 0.1), 0);
+    assert.equal(ahead.excess, 0);
+    spendInputTime(watch, frames(1, 0.1), 0);
+
+    // No time left: the next frames are cut to nothing
+    const cut = spendInputTime(watch, frames(5, 0.1), 0);
+    assert.ok(Math.abs(cut.excess - 0.5) < 1e-9);
+    assert.ok(cut.frames.every((frame) => frame.dt === 0));
+
+    // Half a second later, half a second of frames is accepted again
+    const refilled = spendInputTime(watch, frames(10, 0.1), 500);
+    assert.ok(Math.abs(refilled.excess - 0.5) < 1e-9);
+});
+
+test('the input budget never grows past maxInputAhead', () => {
+    const watch = createPlayerWatch(0);
+    const { excess } = spendInputTime(watch, frames(30, 0.1), 60000);
+    assert.ok(Math.abs(excess - (3 - ANTI_CHEAT.maxInputAhead)) < 1e-9);
+});
+
+test('frames longer than maxStepDt only cost maxStepDt', () => {
+    const watch = createPlayerWatch(0);
+    const { excess } = spendInputTime(watch, [{ seq: 1, dt: 10, throttle: 1, steer: 0 }], 0);
+    assert.equal(excess, 0);
+    assert.ok(Math.abs(watch.inputBudget - (ANTI_CHEAT.maxInputAhead - CAR_PHYSICS.maxStepDt)) < 1e-9);
+});
+
+test('a normal driving step is not flagged', () => {
+    let state = gridCar();
+    for (let i = 0; i < 300; i++) {
+        const next = stepCar(state, { throttle: 1, steer: Math.sin(i / 30), boost: i > 100, drift: false }, 1 / 60, layout);
+        const { state: checked, violation } = checkStep(state, next, 1 / 60, layout);
+        assert.equal(violation, null, `step ${i}`);
+        assert.deepEqual(checked, next);
+        state = next;
+    }
+});
+
+test('impossible speeds, turns and moves are corrected and flagged', () => {
+    const from = gridCar();
+
+    const fast = checkStep(from, { ...from, speed: 10000 }, 1 / 60, layout);
+    assert.match(fast.violation, /speed/);
+    assert.equal(fast.state.speed, CAR_PHYSICS.maxSpeed * CAR_PHYSICS.boostMaxMultiplier);
+
+    const spun = checkStep(from, { ...from, rotY: from.rotY + 3 }, 1 / 60, layout);
+    assert.match(spun.violation, /turned/);
+    assert.ok(Math.abs(spun.state.rotY - from.rotY) < 3);
+
+    const teleported = checkStep(from, { ...from, x: from.x + 50 }, 1 / 60, layout);
+    assert.match(teleported.violation, /moved/);
+    assert.equal(teleported.state.x, from.x);
+    assert.equal(teleported.state.z, from.z);
+});
+
+test('a car far off the track is put back against the wall', () => {
+    const car = gridCar();
+    const closest = layout.closestPoint(car.x, car.z);
+    assert.equal(keepOnTrack(car, layout), car);
+
+    const away = { ...car, x: car.x + 200, speed: 100 };
+    const kept = keepOnTrack(away, layout);
+    assert.notEqual(kept, away);
+    assert.equal(kept.speed, 0);
+    assert.ok(layout.closestPoint(kept.x, kept.z).distance <= layout.trackWidth / 2);
+    assert.ok(closest.distance <= layout.trackWidth / 2);
+});
+
+// A car at full boost against the wall of the grid straight, heading outward
+function carIntoWall() {
+    const grid = layout.getGridPosition(0);
+    const closest = layout.closestPoint(grid.x, grid.z);
+    const outX = Math.cos(grid.rotY);
+    const outZ = -Math.sin(grid.rotY);
+    const edge = closest.width / 2 - CAR_PHYSICS.wallRadius - 0.05;
+    return {
+        car: {
+            ...createCarState(closest.x + outX * edge, grid.y, closest.z + outZ * edge, Math.atan2(-outX, -outZ)),
+            speed: CAR_PHYSICS.maxSpeed * CAR_PHYSICS.boostMaxMultiplier
+        },
+        outX,
+        outZ
+    };
+}
+
+test('hitting a wall at a low frame rate is corrected without a flag', () => {
+    let { car } = carIntoWall();
+    const dt = CAR_PHYSICS.maxStepDt;
+    let corrected = false;
+    for (let i = 0; i < 10; i++) {
+        const next = stepCar(car, { throttle: 1, steer: 0, boost: true, drift: false }, dt, layout);
+        const { state, violation } = checkStep(car, next, dt, layout);
+        assert.equal(violation, null, `step ${i}`);
+        corrected ||= state !== next && state.speed === 0;
+        car = state;
+    }
+    assert.ok(corrected); // The wall could not hold the car back in one step
+    const closest = layout.closestPoint(car.x, car.z);
+    assert.ok(closest.distance <= closest.width / 2 + ANTI_CHEAT.offTrackMargin);
+});
+
+test('leaving the track without hitting a wall is flagged', () => {
+    const { car, outX, outZ } = carIntoWall();
+    const out = { ...car, x: car.x + outX * 3, z: car.z + outZ * 3, wallImpact: 0 };
+    const { state, violation } = checkStep(car, out, CAR_PHYSICS.maxStepDt, layout);
+    assert.match(violation, /off track/);
+    assert.equal(state.speed, 0);
+});
+
+test('too many flags within the window kick the player', () => {
+    const watch = createPlayerWatch(0);
+    for (let i = 0; i < ANTI_CHEAT.maxFlags; i++) {
+        assert.equal(recordFlag(watch, i), false);
+    }
+    assert.equal(recordFlag(watch, ANTI_CHEAT.maxFlags), true);
+
+    // Old flags expire
+    const later = createPlayerWatch(0);
+    for (let i = 0; i < ANTI_CHEAT.maxFlags; i++) {
+        recordFlag(later, 0);
+    }
+    assert.equal(recordFlag(later, ANTI_CHEAT.flagWindow), false);
+});
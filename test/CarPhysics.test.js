@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCarState, createInput, stepCar, simulateInputs } from '../src/shared/CarPhysics.js';
+import { TrackLayout } from '../src/shared/TrackLayout.js';
+
+// Inputs covering acceleration, steering, drift, boost and braking
+function inputSequence(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        seq: i,
+        dt: 1 / 60 + (i % 3) * 0.002,
+        throttle: i % 50 < 40 ? 1 : -1,
+        steer: Math.sin(i / 20),
+        boost: i % 90 > 60,
+        drift: i % 120 > 100
+    }));
+}
+
+test('stepCar gives the same state for the same state, input and dt', () => {
+    const layout = new TrackLayout(1234);
+    const start = { ...createCarState(), ...layout.getGridPosition(0) };
+    const input = { ...createInput(), throttle: 1, steer: 0.5, boost: true };
+
+    const a = stepCar(start, input, 1 / 60, layout);
+    const b = stepCar(start, input, 1 / 60, layout);
+    assert.deepEqual(a, b);
+});
+
+test('stepCar does not modify the state it is given', () => {
+    const start = createCarState(10, 0.2, -5, 1);
+    const copy = structuredClone(start);
+    stepCar(start, { ...createInput(), throttle: 1, steer: -1 }, 1 / 60);
+    assert.deepEqual(start, copy);
+});
+
+test('replaying the same inputs on the track ends in the same state', () => {
+    const layout = new TrackLayout(1234);
+    const start = { ...createCarState(), ...layout.getGridPosition(1) };
+    const frames = inputSequence(600);
+
+    const stepped = frames.reduce((state, frame) => stepCar(state, frame, frame.dt, layout), start);
+    const replayed = simulateInputs(start, frames, layout);
+    const again = simulateInputs(start, frames, new TrackLayout(1234));
+
+    assert.deepEqual(replayed, stepped);
+    assert.deepEqual(again, stepped);
+    assert.notEqual(stepped.x, start.x); // The car did move
+});
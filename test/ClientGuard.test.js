@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClientGuard } from '../server/ClientGuard.js';
+
+function createGuard(options = {}) {
+    const clock = { time: 0 };
+    const guard = new ClientGuard({ messageRate: 10, messageBurst: 5, now: () => clock.time, ...options });
+    return { guard, clock };
+}
+
+test('oversized messages are refused', () => {
+    const { guard } = createGuard({ maxMessageSize: 100 });
+    assert.equal(guard.check(100), null);
+    assert.match(guard.check(101), /Message too large/);
+});
+
+test('a burst is accepted, then the rate limits the messages', () => {
+    const { guard, clock } = createGuard();
+    for (let i = 0; i < 5; i++) {
+        assert.equal(guard.check(10), null);
+    }
+    assert.equal(guard.check(10), 'Too many messages');
+
+    clock.time += 100; // One message every 100 ms at 10 per second
+    assert.equal(guard.check(10), null);
+    assert.equal(guard.check(10), 'Too many messages');
+
+    clock.time += 60000; // The burst refills, but no further
+    for (let i = 0; i < 5; i++) {
+        assert.equal(guard.check(10), null);
+    }
+    assert.equal(guard.check(10), 'Too many messages');
+});
+
+test('only repeated violations within the window disconnect', () => {
+    const { guard, clock } = createGuard({ maxViolations: 3, violationWindow: 1000 });
+    assert.equal(guard.recordViolation(), false);
+    assert.equal(guard.recordViolation(), false);
+    assert.equal(guard.recordViolation(), false);
+
+    clock.time += 1000; // The first ones expired
+    assert.equal(guard.recordViolation(), false);
+    assert.equal(guard.recordViolation(), false);
+    assert.equal(guard.recordViolation(), false);
+    assert.equal(guard.recordViolation(), true);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalSession } from '../src/network/LocalSession.js';
+import { RacePhase } from '../src/shared/RacePhase.js';
+
+test('a start_game message starts the race on a track built with its generator options', (t) => {
+    const session = new LocalSession(null);
+    t.after(() => session.disconnect());
+    const phases = [];
+    session.on('race_phase', (msg) => phases.push(msg));
+
+    session.send({ type: 'start_game', generator: { style: 'sprint', length: 900 } });
+
+    assert.equal(session.race.phase, RacePhase.COUNTDOWN);
+    assert.equal(session.layout.generator.style, 'sprint');
+    assert.equal(session.layout.generator.length, 900);
+    assert.equal(session.layout.closed, false);
+    assert.equal(phases.at(-1).trackGenerator.style, 'sprint');
+    assert.equal(phases.at(-1).lapCount, 1);
+});
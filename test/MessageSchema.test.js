@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_INPUT_FRAMES, validateMessage } from '../server/MessageSchema.js';
+import { CAR_PHYSICS } from '../src/shared/CarPhysics.js';
+
+function frame(seq, overrides = {}) {
+    return { seq, dt: 1 / 60, throttle: 1, steer: 0, ...overrides };
+}
+
+test('messages without a known type are rejected', () => {
+    assert.match(validateMessage(null).error, /without type/);
+    assert.match(validateMessage({ name: 'Ada' }).error, /without type/);
+    assert.match(validateMessage({ type: 'kick_everyone' }).error, /Unknown message type/);
+});
+
+test('only the schema fields are kept', () => {
+    const { message } = validateMessage({ type: 'player_info', name: '  Ada  ', color: 0x3366ff, sender: 99, isHost: true });
+    assert.deepEqual(message, { type: 'player_info', name: 'Ada', color: 0x3366ff });
+});
+
+test('numbers are clamped and strings truncated', () => {
+    const { message } = validateMessage({
+        type: 'input',
+        frames: [frame(1, { dt: 5, throttle: -3, steer: 0.5 })]
+    });
+    assert.deepEqual(message.frames, [{ seq: 1, dt: CAR_PHYSICS.maxStepDt, throttle: -1, steer: 0.5, boost: false, drift: false }]);
+
+    assert.equal(validateMessage({ type: 'lives_update', lives: 7.6 }).message.lives, 3);
+    assert.equal(validateMessage({ type: 'player_info', name: 'x'.repeat(50) }).message.name.length, 20);
+});
+
+test('missing or mistyped fields are rejected', () => {
+    assert.match(validateMessage({ type: 'lives_update' }).error, /Missing lives_update.lives/);
+    assert.match(validateMessage({ type: 'lives_update', lives: '3' }).error, /must be a number/);
+    assert.match(validateMessage({ type: 'lives_update', lives: NaN }).error, /must be a number/);
+    assert.match(validateMessage({ type: 'collision', target: -1 }).error, /positive integer/);
+    assert.match(validateMessage({ type: 'input', frames: {} }).error, /must be an array/);
+    assert.match(validateMessage({ type: 'input', frames: [frame(1), 'x'] }).error, /frames\[1\] must be an object/);
+    assert.match(validateMessage({ type: 'input', frames: [frame(1, { boost: 1 })] }).error, /must be a boolean/);
+    assert.match(validateMessage({ type: 'powerup_spawn', powerupId: 1, powerupType: 'laser', x: 0, y: 0, z: 0 }).error, /must be one of/);
+});
+
+test('input batches are capped to their newest frames', () => {
+    const frames = Array.from({ length: MAX_INPUT_FRAMES + 10 }, (_, i) => frame(i));
+    const kept = validateMessage({ type: 'input', frames }).message.frames;
+    assert.equal(kept.length, MAX_INPUT_FRAMES);
+    assert.equal(kept[0].seq, 10);
+    assert.equal(kept.at(-1).seq, MAX_INPUT_FRAMES + 9);
+
+    // Errors point at the index in the message
+    frames[MAX_INPUT_FRAMES + 5] = 'x';
+    assert.match(validateMessage({ type: 'input', frames }).error, new RegExp(`frames\\[${MAX_INPUT_FRAMES + 5}\\] must be an object`));
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROTOCOL_VERSION, decodeMessage, encodeMessage, quantizeFrame } from '../src/shared/Protocol.js';
+import { CAR_PHYSICS } from '../src/shared/CarPhysics.js';
+
+function carState(overrides = {}) {
+    return {
+        sender: 70000, // Above u16: player ids are not recycled
+        seq: 123456,
+        x: 412.3456,
+        y: 7.891,
+        z: -253.0004,
+        rotY: 2.5,
+        speed: 187.33,
+        boostEnergy: CAR_PHYSICS.boostMaxEnergy * 0.4,
+        energyRegenTimer: 0.75,
+        segmentId: 31,
+        segmentT: 0.42,
+        lives: 3,
+        lap: 2,
+        ...overrides
+    };
+}
+
+test('a snapshot survives a round-trip within the quantization steps', () => {
+    const snapshot = { type: 'snapshot', tick: 4000000000, time: 1712345678901.5, states: [carState(), carState({ sender: 1, rotY: -1 })] };
+    const buffer = encodeMessage(snapshot);
+    assert.ok(buffer instanceof ArrayBuffer);
+    assert.equal(new Uint8Array(buffer)[0], PROTOCOL_VERSION);
+
+    const decoded = decodeMessage(buffer);
+    assert.equal(decoded.type, 'snapshot');
+    assert.equal(decoded.tick, snapshot.tick);
+    assert.equal(decoded.time, snapshot.time);
+    assert.equal(decoded.states.length, 2);
+
+    const [car] = decoded.states;
+    const sent = snapshot.states[0];
+    assert.equal(car.sender, sent.sender);
+    assert.equal(car.seq, sent.seq);
+    assert.ok(Math.abs(car.x - sent.x) <= 0.0005);
+    assert.ok(Math.abs(car.z - sent.z) <= 0.0005);
+    assert.ok(Math.abs(car.y - sent.y) <= 0.005);
+    assert.ok(Math.abs(car.rotY - sent.rotY) <= Math.PI / 65536);
+    assert.ok(Math.abs(car.speed - sent.speed) <= 0.01);
+    assert.ok(Math.abs(car.boostEnergy - sent.boostEnergy) <= CAR_PHYSICS.boostMaxEnergy / 65535);
+    assert.ok(Math.abs(car.energyRegenTimer - sent.energyRegenTimer) <= 0.0005);
+    assert.ok(Math.abs(car.segmentT - sent.segmentT) <= 1 / 65535);
+    assert.equal(car.segmentId, sent.segmentId);
+    assert.equal(car.lives, sent.lives);
+    assert.equal(car.lap, sent.lap);
+
+    // Headings are sent over a single turn
+    const turned = decoded.states[1];
+    assert.ok(Math.abs(turned.rotY - (Math.PI * 2 - 1)) <= Math.PI / 65536);
+});
+
+test('input frames come back as quantizeFrame rounds them', () => {
+    const frames = [
+        { seq: 1, dt: 1 / 60, throttle: 1, steer: -0.333, boost: true, drift: false },
+        { seq: 2, dt: 0.0173, throttle: -0.5, steer: 0.77, boost: false, drift: true },
+        { seq: 3, dt: 0.02, throttle: 0, steer: 0, boost: false, drift: false }
+    ];
+    const decoded = decodeMessage(encodeMessage({ type: 'input', frames }));
+
+    assert.equal(decoded.type, 'input');
+    assert.deepEqual(decoded.frames, frames.map(quantizeFrame));
+});
+
+test('other messages stay JSON', () => {
+    const message = { type: 'lap', id: 3, lap: 1, lapTime: 41234 };
+    const text = encodeMessage(message);
+    assert.equal(typeof text, 'string');
+    assert.deepEqual(decodeMessage(text), message);
+});
+
+test('binary messages of another version or truncated are rejected', () => {
+    const buffer = encodeMessage({ type: 'snapshot', tick: 1, time: 0, states: [carState()] });
+    assert.throws(() => decodeMessage(buffer.slice(0, buffer.byteLength - 1)), /Truncated snapshot/);
+
+    const bytes = new Uint8Array(buffer.slice(0));
+    bytes[0] = PROTOCOL_VERSION - 1;
+    assert.throws(() => decodeMessage(bytes), /Unsupported protocol version/);
+});
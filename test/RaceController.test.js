@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RaceController } from '../src/shared/RaceController.js';
+import { RacePhase } from '../src/shared/RacePhase.js';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Short phases so the timers run during the test, a clock the test moves by hand
+function createRace(options = {}) {
+    const clock = { time: 1000 };
+    const phases = [];
+    const race = new RaceController({
+        lapCount: 2,
+        checkpointCount: 2,
+        countdownDuration: 5,
+        resultsDuration: 5,
+        finishTimeout: 5,
+        now: () => clock.time,
+        onPhaseChange: (state) => phases.push(state.phase),
+        ...options
+    });
+    return { race, clock, phases };
+}
+
+// Pass every checkpoint in order, then the finish line
+function completeLap(race, id) {
+    for (let checkpoint = 0; checkpoint < race.checkpointCount; checkpoint++) {
+        race.recordCheckpoint(id, checkpoint);
+    }
+    return race.recordLap(id);
+}
+
+async function startRacing(race, ids = [1, 2]) {
+    race.startCountdown(ids, 42);
+    await wait(20);
+    assert.equal(race.phase, RacePhase.RACING);
+}
+
+test('a race goes from the lobby to the countdown, then racing', async () => {
+    const { race, phases } = createRace();
+    assert.equal(race.phase, RacePhase.LOBBY);
+
+    race.startCountdown([7, 3], 1234);
+    assert.equal(race.phase, RacePhase.COUNTDOWN);
+    assert.equal(race.getState().trackSeed, 1234);
+    assert.deepEqual(race.getState().racers, [{ id: 7, grid: 0 }, { id: 3, grid: 1 }]);
+
+    await wait(20);
+    assert.deepEqual(phases, [RacePhase.COUNTDOWN, RacePhase.RACING]);
+    race.dispose();
+});
+
+test('checkpoints only count during the race and in order', async () => {
+    const { race } = createRace();
+    race.startCountdown([1], 42);
+    assert.equal(race.recordCheckpoint(1, 0), false); // Still on the grid
+
+    await wait(20);
+    assert.equal(race.recordCheckpoint(1, 1), false); // Skipped a checkpoint
+    assert.equal(race.recordCheckpoint(2, 0), false); // Not a racer
+    assert.equal(race.recordLap(1), null); // Finish line before the checkpoints
+    assert.equal(race.recordCheckpoint(1, 0), true);
+    assert.equal(race.recordCheckpoint(1, 1), true);
+    assert.equal(race.recordLap(1).lap, 1);
+    assert.equal(race.getStandings()[0].laps, 1);
+    race.dispose();
+});
+
+test('the race ends when every racer finished, then goes back to the lobby', async () => {
+    const { race, clock, phases } = createRace();
+    await startRacing(race);
+
+    clock.time += 60000;
+    completeLap(race, 2);
+    completeLap(race, 2);
+    assert.equal(race.phase, RacePhase.RACING); // Racer 1 is still running
+    clock.time += 1000;
+    completeLap(race, 1);
+    completeLap(race, 1);
+    assert.equal(race.phase, RacePhase.RESULTS);
+
+    const standings = race.getStandings();
+    assert.deepEqual(standings.map((s) => s.id), [2, 1]);
+    assert.deepEqual(standings.map((s) => s.finishTime), [60000, 61000]);
+
+    await wait(20);
+    assert.equal(race.phase, RacePhase.LOBBY);
+    assert.deepEqual(phases.slice(-2), [RacePhase.RESULTS, RacePhase.LOBBY]);
+    race.dispose();
+});
+
+test('the others get a limited time once the first racer finished', async () => {
+    const { race } = createRace({ resultsDuration: 1000 });
+    await startRacing(race);
+
+    completeLap(race, 1);
+    completeLap(race, 1);
+    assert.equal(race.phase, RacePhase.RACING);
+    assert.notEqual(race.getState().endsAt, null);
+
+    await wait(20);
+    assert.equal(race.phase, RacePhase.RESULTS);
+    assert.deepEqual(race.getStandings().map((s) => [s.id, s.finished]), [[1, true], [2, false]]);
+    race.dispose();
+});
+
+test('removing racers ends or cancels the race', async () => {
+    const { race } = createRace();
+    await startRacing(race);
+    completeLap(race, 1);
+    completeLap(race, 1);
+    race.removeRacer(2); // The last one running left
+    assert.equal(race.phase, RacePhase.RESULTS);
+    race.dispose();
+
+    const other = createRace().race;
+    other.startCountdown([1], 42);
+    other.removeRacer(1);
+    assert.equal(other.phase, RacePhase.LOBBY);
+    other.dispose();
+});
+
+test('an open track is raced over a single lap', () => {
+    const { race } = createRace({ lapCount: 3 });
+    race.startCountdown([1], 42, null, { style: 'sprint' });
+    assert.equal(race.lapCount, 1);
+    assert.deepEqual(race.getState().trackGenerator, { style: 'sprint' });
+
+    race.startCountdown([1], 42, { closed: false, points: [], checkpoints: [] });
+    assert.equal(race.lapCount, 1);
+    assert.equal(race.getState().trackGenerator, null);
+
+    race.startCountdown([1], 42, null, { style: 'oval' });
+    assert.equal(race.lapCount, 3);
+    race.dispose();
+});
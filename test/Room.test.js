@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { Room } from '../server/Room.js';
+
+// Socket stand-in keeping the JSON messages sent to it
+function fakeSocket() {
+    return {
+        readyState: WebSocket.OPEN,
+        sent: [],
+        closed: null,
+        send(data) {
+            this.sent.push(data);
+        },
+        close(code, reason) {
+            this.closed = { code, reason };
+            this.readyState = WebSocket.CLOSED;
+        },
+        messages(type) {
+            return this.sent
+                .filter((data) => typeof data === 'string')
+                .map((data) => JSON.parse(data))
+                .filter((message) => message.type === type);
+        }
+    };
+}
+
+test('the first player to join hosts the room', (t) => {
+    const room = new Room('ABCD');
+    t.after(() => room.dispose());
+    const host = fakeSocket();
+    const guest = fakeSocket();
+    room.addPlayer(1, host);
+    room.addPlayer(2, guest);
+
+    assert.equal(room.size, 2);
+    assert.equal(room.hostId, 1);
+    const [welcome] = host.messages('welcome');
+    assert.equal(welcome.roomCode, 'ABCD');
+    assert.equal(welcome.isHost, true);
+    assert.equal(guest.messages('welcome')[0].isHost, false);
+});
+
+test('messages are relayed within the room only', (t) => {
+    const room = new Room('ROOMA');
+    const other = new Room('ROOMB');
+    t.after(() => {
+        room.dispose();
+        other.dispose();
+    });
+    const sender = fakeSocket();
+    const mate = fakeSocket();
+    const stranger = fakeSocket();
+    room.addPlayer(1, sender);
+    room.addPlayer(2, mate);
+    other.addPlayer(3, stranger);
+
+    room.handleMessage(1, { type: 'player_info', name: 'Ada', color: 0x3366ff });
+
+    assert.deepEqual(mate.messages('player_info').map((m) => [m.sender, m.name]), [[1, 'Ada']]);
+    assert.equal(sender.messages('player_info').length, 0);
+    assert.equal(stranger.messages('player_info').length, 0);
+});
+
+test('a black car keeps its color', (t) => {
+    const room = new Room('ABCD');
+    t.after(() => room.dispose());
+    const black = fakeSocket();
+    const other = fakeSocket();
+    room.addPlayer(1, black);
+    room.addPlayer(2, other);
+
+    room.handleMessage(1, { type: 'player_info', name: 'Noir', color: 0 });
+    assert.equal(room.playerStates.get(1).color, 0);
+
+    room.handleMessage(2, { type: 'request_player_infos' });
+    assert.deepEqual(other.messages('player_info').map((m) => [m.sender, m.color]), [[1, 0], [1, 0]]);
+});
+
+test('only the host starts the race', (t) => {
+    const room = new Room('ABCD', { lapCount: 2 });
+    t.after(() => room.dispose());
+    const host = fakeSocket();
+    const guest = fakeSocket();
+    room.addPlayer(1, host);
+    room.addPlayer(2, guest);
+
+    room.handleMessage(2, { type: 'start_game' });
+    assert.equal(room.race.phase, 'lobby');
+
+    room.handleMessage(1, { type: 'start_game' });
+    assert.equal(room.race.phase, 'countdown');
+    assert.deepEqual(guest.messages('race_phase').map((m) => m.phase), ['countdown']);
+});
+
+test('the host leaving hands the room over, the last one leaving empties it', (t) => {
+    const room = new Room('ABCD');
+    t.after(() => room.dispose());
+    const host = fakeSocket();
+    const guest = fakeSocket();
+    room.addPlayer(1, host);
+    room.addPlayer(2, guest);
+
+    room.removePlayer(1);
+    assert.equal(room.hostId, 2);
+    assert.equal(guest.messages('you_are_host').length, 1);
+    assert.deepEqual(guest.messages('disconnect').map((m) => m.id), [1]);
+    assert.equal(room.playerStates.has(1), false);
+
+    room.removePlayer(2);
+    assert.equal(room.size, 0);
+    assert.equal(room.hostId, null);
+});
+
+test('idle players are removed and disconnected, players holding a slot are left to their grace period', (t) => {
+    const room = new Room('ABCD');
+    t.after(() => room.dispose());
+    const idle = fakeSocket();
+    const active = fakeSocket();
+    const away = fakeSocket();
+    room.addPlayer(1, idle);
+    room.addPlayer(2, active);
+    room.addPlayer(3, away);
+    room.disconnectPlayer(3, away);
+
+    room.playerStates.forEach((state) => {
+        state.lastUpdate -= 60000;
+    });
+    room.handleMessage(2, { type: 'request_player_infos' }); // Any message counts as activity
+    room.removeInactivePlayers(30000);
+
+    assert.deepEqual(idle.closed, { code: 1000, reason: 'Inactive' });
+    assert.equal(room.playerStates.has(1), false);
+    assert.deepEqual(active.messages('disconnect').map((m) => m.id), [1]);
+    assert.equal(active.closed, null);
+    assert.equal(room.playerStates.has(3), true);
+    assert.equal(room.hostId, 2);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRACK_FORMAT, TRACK_FORMAT_VERSION, hashTrackDefinition, parseTrackDefinition } from '../src/shared/TrackDefinition.js';
+import { TrackLayout } from '../src/shared/TrackLayout.js';
+
+// A small valid track: a ring of 16 points
+function ringDefinition(overrides = {}) {
+    return {
+        format: TRACK_FORMAT,
+        version: TRACK_FORMAT_VERSION,
+        meta: { name: 'Ring', author: 'Test' },
+        width: 14,
+        points: Array.from({ length: 16 }, (_, i) => ({
+            x: Math.cos((i / 16) * Math.PI * 2) * 80,
+            y: 0,
+            z: Math.sin((i / 16) * Math.PI * 2) * 80
+        })),
+        checkpoints: [4, 8, 12],
+        ...overrides
+    };
+}
+
+test('a valid definition is normalized', () => {
+    const data = ringDefinition();
+    data.points[3] = { ...data.points[3], width: 20, surface: 'ice', banking: 5 };
+    data.meta.secret = 'dropped';
+    data.extra = true;
+
+    const { definition, error } = parseTrackDefinition(data);
+    assert.equal(error, undefined);
+    assert.deepEqual(Object.keys(definition), ['format', 'version', 'meta', 'width', 'closed', 'points', 'checkpoints']);
+    assert.deepEqual(definition.meta, { name: 'Ring', author: 'Test' });
+    assert.equal(definition.closed, true);
+    assert.deepEqual(definition.points[0], { ...data.points[0], width: 14, surface: 'asphalt' });
+    assert.deepEqual(definition.points[3], { x: data.points[3].x, y: 0, z: data.points[3].z, width: 20, surface: 'ice' });
+});
+
+test('invalid definitions are rejected with the reason', () => {
+    const cases = [
+        [null, /Not a track definition/],
+        [ringDefinition({ format: 'other' }), /Not a track definition/],
+        [ringDefinition({ version: undefined }), /Missing track format version/],
+        [ringDefinition({ version: TRACK_FORMAT_VERSION + 1 }), /newer than this game/],
+        [ringDefinition({ width: 2 }), /width must be between/],
+        [ringDefinition({ points: ringDefinition().points.slice(0, 4) }), /points must hold/],
+        [ringDefinition({ points: [...ringDefinition().points.slice(1), { x: 0, y: 0, z: 5000 }] }), /points\[15\] must have x, y and z/],
+        [ringDefinition({ points: [{ ...ringDefinition().points[0], surface: 'lava' }, ...ringDefinition().points.slice(1)] }), /points\[0\].surface/],
+        [ringDefinition({ checkpoints: [] }), /at least one point index/],
+        [ringDefinition({ checkpoints: [0, 8] }), /after the finish line/],
+        [ringDefinition({ checkpoints: [4, 16] }), /after the finish line/],
+        [ringDefinition({ checkpoints: [8, 4] }), /racing order/],
+        [ringDefinition({ closed: 'no' }), /closed must be true or false/],
+        [ringDefinition({ closed: false, checkpoints: [4, 15] }), /before the finish line/]
+    ];
+    for (const [data, reason] of cases) {
+        const { definition, error } = parseTrackDefinition(data);
+        assert.equal(definition, undefined);
+        assert.match(error, reason);
+    }
+});
+
+test('a layout exported then loaded keeps its geometry and identity', () => {
+    const layout = new TrackLayout(1234);
+    const { definition } = parseTrackDefinition(JSON.parse(JSON.stringify(layout.toDefinition({ name: 'Export' }))));
+    const loaded = TrackLayout.fromDefinition(definition);
+
+    assert.equal(loaded.seed, hashTrackDefinition(definition));
+    assert.equal(loaded.meta.name, 'Export');
+    assert.deepEqual(loaded.toDefinition().points, definition.points);
+    assert.deepEqual(loaded.toDefinition().checkpoints, definition.checkpoints);
+
+    // The hash only depends on the geometry
+    const renamed = { ...definition, meta: { name: 'Other' } };
+    assert.equal(hashTrackDefinition(renamed), hashTrackDefinition(definition));
+    const moved = { ...definition, points: definition.points.map((point) => ({ ...point, x: point.x + 1 })) };
+    assert.notEqual(hashTrackDefinition(moved), hashTrackDefinition(definition));
+});
+
+test('an open track keeps its flag through export and load', () => {
+    const { definition } = parseTrackDefinition(ringDefinition({ closed: false }));
+    assert.equal(definition.closed, false);
+    assert.notEqual(hashTrackDefinition(definition), hashTrackDefinition({ ...definition, closed: true }));
+
+    const loaded = TrackLayout.fromDefinition(definition);
+    assert.equal(loaded.closed, false);
+    assert.equal(loaded.getSpanCount(), definition.points.length - 1);
+    assert.equal(loaded.toDefinition().closed, false);
+});
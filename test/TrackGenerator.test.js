@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GENERATOR_PARAMETERS, TRACK_STYLES, normalizeGeneratorOptions } from '../src/shared/TrackGenerator.js';
+import { TrackLayout } from '../src/shared/TrackLayout.js';
+
+test('generator options are completed from the style and bounded', () => {
+    assert.deepEqual(normalizeGeneratorOptions({}), { style: 'classic', ...TRACK_STYLES.classic.defaults });
+    assert.equal(normalizeGeneratorOptions({ style: 'spiral' }).style, 'classic');
+
+    const options = normalizeGeneratorOptions({ style: 'oval', length: 99999, complexity: -1, elevation: NaN });
+    assert.equal(options.length, GENERATOR_PARAMETERS.length.max);
+    assert.equal(options.complexity, GENERATOR_PARAMETERS.complexity.min);
+    assert.equal(options.elevation, TRACK_STYLES.oval.defaults.elevation);
+});
+
+test('every style generates the same track for the same seed', () => {
+    for (const style of Object.keys(TRACK_STYLES)) {
+        const a = new TrackLayout(42, null, { style });
+        const b = new TrackLayout(42, null, { style });
+        assert.deepEqual(a.points, b.points, style);
+        assert.deepEqual(a.checkpoints, b.checkpoints, style);
+        assert.ok(a.points.every((point) => Number.isFinite(point.x) && Number.isFinite(point.y) && Number.isFinite(point.z)), style);
+    }
+});
+
+test('checkpoints are in racing order, after the start line', () => {
+    for (const style of Object.keys(TRACK_STYLES)) {
+        for (const seed of [1, 7, 2024]) {
+            const layout = new TrackLayout(seed, null, { style });
+            const indices = layout.toDefinition().checkpoints;
+            assert.equal(indices.length, layout.numCheckpoints, `${style} ${seed}`);
+            indices.forEach((index, i) => {
+                assert.ok(index > layout.startIndex, `${style} ${seed}`);
+                assert.ok(i === 0 || index > indices[i - 1], `${style} ${seed}`);
+            });
+        }
+    }
+});
+
+test('a sprint is an open road with its grid before the start line', () => {
+    const sprint = new TrackLayout(7, null, { style: 'sprint' });
+    assert.equal(sprint.closed, false);
+    assert.equal(sprint.getSpanCount(), sprint.points.length - 1);
+    assert.ok(sprint.startIndex > 0);
+
+    const loop = new TrackLayout(7, null, { style: 'classic' });
+    assert.equal(loop.closed, true);
+    assert.equal(loop.startIndex, 0);
+});
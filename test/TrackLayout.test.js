@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrackLayout } from '../src/shared/TrackLayout.js';
+import { SeededRandom } from '../src/shared/SeededRandom.js';
+
+// Positions on and around the track: on the road, near the walls and far outside
+function samplePositions(layout, random, count) {
+    const xs = layout.points.map(p => p.x);
+    const zs = layout.points.map(p => p.z);
+    const margin = 60;
+    const minX = Math.min(...xs) - margin;
+    const minZ = Math.min(...zs) - margin;
+    const sizeX = Math.max(...xs) + margin - minX;
+    const sizeZ = Math.max(...zs) + margin - minZ;
+
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        const point = layout.points[Math.floor(random.next() * layout.points.length)];
+        const offset = (random.next() - 0.5) * layout.trackWidth * 2;
+        positions.push({ x: point.x + offset, z: point.z - offset, y: point.y });
+        positions.push({ x: minX + random.next() * sizeX, z: minZ + random.next() * sizeZ, y: null });
+    }
+    return positions;
+}
+
+function assertSameClosest(layout, seed) {
+    const spans = Array.from({ length: layout.getSpanCount() }, (_, i) => i);
+    samplePositions(layout, new SeededRandom(seed), 300).forEach(({ x, z, y }) => {
+        for (const level of [null, y]) {
+            const fromGrid = layout.closestPoint(x, z, level);
+            const bruteForce = layout._closestAmong(x, z, level, spans);
+            assert.ok(Math.abs(fromGrid.distance - bruteForce.distance) < 1e-9,
+                `closestPoint(${x}, ${z}, ${level}) is ${fromGrid.distance} away, brute force ${bruteForce.distance}`);
+            assert.ok(Math.abs(fromGrid.y - bruteForce.y) < 1e-9);
+        }
+    });
+}
+
+test('closestPoint matches a brute-force search on the figure-eight', () => {
+    for (const seed of [1, 42, 2024]) {
+        const layout = new TrackLayout(seed, null, { style: 'figure-eight' });
+        assertSameClosest(layout, seed);
+    }
+});
+
+test('closestPoint matches a brute-force search on an open sprint', () => {
+    const layout = new TrackLayout(7, null, { style: 'sprint' });
+    assert.equal(layout.closed, false);
+    assertSameClosest(layout, 7);
+});